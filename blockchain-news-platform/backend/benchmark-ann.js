@@ -0,0 +1,102 @@
+// benchmark-ann.js - Build and query latency of the HNSW index vs. brute force
+//
+//   npm run bench:ann -- [--articles 100000] [--dim 384] [--queries 200] [--ef 64]
+//
+// Uses synthetic clustered unit vectors (topics plus noise), which behave much
+// more like sentence embeddings than uniform random vectors do.
+const HNSWIndex = require('./hnsw');
+
+function parseArgs(argv) {
+  const args = { articles: 100000, dim: 384, queries: 200, ef: 64, k: 10, topics: 1000 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (name in args) {
+      args[name] = parseInt(argv[i + 1]);
+    }
+  }
+  return args;
+}
+
+function normalize(vector) {
+  let magnitude = 0;
+  for (let i = 0; i < vector.length; i++) magnitude += vector[i] * vector[i];
+  magnitude = Math.sqrt(magnitude);
+  for (let i = 0; i < vector.length; i++) vector[i] /= magnitude;
+  return vector;
+}
+
+function randomVector(dim) {
+  const vector = new Float32Array(dim);
+  for (let i = 0; i < dim; i++) vector[i] = Math.random() * 2 - 1;
+  return normalize(vector);
+}
+
+function nearTopic(topic, noise) {
+  const vector = new Float32Array(topic.length);
+  for (let i = 0; i < topic.length; i++) vector[i] = topic[i] + (Math.random() * 2 - 1) * noise;
+  return normalize(vector);
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function bruteForce(vectors, query, k) {
+  const scores = new Float32Array(vectors.length);
+  for (let n = 0; n < vectors.length; n++) {
+    let dot = 0;
+    const vector = vectors[n];
+    for (let i = 0; i < query.length; i++) dot += vector[i] * query[i];
+    scores[n] = dot;
+  }
+  return Array.from(scores.keys()).sort((a, b) => scores[b] - scores[a]).slice(0, k);
+}
+
+function report(label, timings) {
+  const sorted = timings.slice().sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, t) => sum + t, 0) / sorted.length;
+  console.log(`${label.padEnd(12)} mean ${mean.toFixed(2)}ms  p50 ${percentile(sorted, 0.5).toFixed(2)}ms  p95 ${percentile(sorted, 0.95).toFixed(2)}ms  p99 ${percentile(sorted, 0.99).toFixed(2)}ms`);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log(`HNSW benchmark: ${args.articles} articles, ${args.dim} dimensions, ${args.queries} queries, k=${args.k}, ef=${args.ef}`);
+
+  const topics = Array.from({ length: args.topics }, () => randomVector(args.dim));
+  const vectors = Array.from({ length: args.articles }, (_, i) => nearTopic(topics[i % args.topics], 0.08));
+
+  const index = new HNSWIndex({ efSearch: args.ef });
+  const buildStart = process.hrtime.bigint();
+  vectors.forEach((vector, i) => {
+    index.add(`article_${i}`, vector);
+    if ((i + 1) % 10000 === 0) {
+      const elapsed = Number(process.hrtime.bigint() - buildStart) / 1e9;
+      console.log(`  inserted ${i + 1} (${elapsed.toFixed(1)}s)`);
+    }
+  });
+  const buildSeconds = Number(process.hrtime.bigint() - buildStart) / 1e9;
+  console.log(`Build: ${buildSeconds.toFixed(1)}s (${(buildSeconds * 1e6 / args.articles).toFixed(0)}µs per insert), heap ${(process.memoryUsage().heapUsed / 1048576).toFixed(0)}MB`);
+
+  const queries = Array.from({ length: args.queries }, () => nearTopic(topics[Math.floor(Math.random() * args.topics)], 0.1));
+  const annTimings = [];
+  const exactTimings = [];
+  let recall = 0;
+
+  queries.forEach(query => {
+    let start = process.hrtime.bigint();
+    const found = index.search(query, args.k, args.ef).map(hit => parseInt(hit.key.slice('article_'.length)));
+    annTimings.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+    start = process.hrtime.bigint();
+    const exact = new Set(bruteForce(vectors, query, args.k));
+    exactTimings.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+    recall += found.filter(n => exact.has(n)).length / args.k;
+  });
+
+  report('HNSW', annTimings);
+  report('Brute force', exactTimings);
+  console.log(`Recall@${args.k}: ${(recall / queries.length).toFixed(3)}`);
+}
+
+main();
@@ -0,0 +1,70 @@
+// block-producer.js - Packs pending transactions into blocks
+const EventEmitter = require('events');
+
+class BlockProducer extends EventEmitter {
+  constructor(blockchain, options = {}) {
+    super();
+    this.blockchain = blockchain;
+    this.intervalMs = options.intervalMs || 10000;
+    this.maxTransactions = options.maxTransactions || 50;
+    this.timer = null;
+    this.lastBlockAt = null;
+    this.lastRunAt = Date.now();
+  }
+
+  start() {
+    this.lastRunAt = Date.now();
+    this.timer = setInterval(() => {
+      this.lastRunAt = Date.now();
+      this.produce();
+    }, this.intervalMs);
+    console.log(`Block producer started (every ${this.intervalMs}ms or ${this.maxTransactions} transactions)`);
+  }
+
+  // Called whenever a transaction enters the pool; mines early once a block is full
+  notify() {
+    if (this.blockchain.pendingTransactions.length >= this.maxTransactions) {
+      this.produce();
+    }
+  }
+
+  async produce() {
+    // Mining runs in a worker; never start a second block on top of it
+    if (this.blockchain.pendingTransactions.length === 0 || this.blockchain.isMining()) {
+      return null;
+    }
+
+    try {
+      const block = await this.blockchain.minePendingTransactions(this.maxTransactions);
+      if (block) {
+        this.lastBlockAt = Date.now();
+        console.log(`Produced block #${block.index} with ${block.data.transactions.length} transactions`);
+        this.emit('blockProduced', block);
+      }
+      return block;
+    } catch (error) {
+      console.error('Block production failed:', error.message);
+      return null;
+    }
+  }
+
+  getStatus() {
+    return {
+      intervalMs: this.intervalMs,
+      maxTransactions: this.maxTransactions,
+      mining: this.blockchain.isMining(),
+      nextDifficulty: this.blockchain.getNextDifficulty(),
+      lastBlockAt: this.lastBlockAt,
+      nextBlockIn: Math.max(0, this.lastRunAt + this.intervalMs - Date.now())
+    };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = BlockProducer;
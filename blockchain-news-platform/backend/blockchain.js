@@ -2,45 +2,443 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { Worker } = require('worker_threads');
+const {
+  verifyArticle,
+  verifyVote,
+  verifyRevision,
+  verifyFactCheck,
+  buildArticlePayload,
+  buildVotePayload,
+  buildRevisionPayload,
+  buildFactCheckPayload,
+  isValidTags,
+  isValidArticleMetadata,
+  isValidArticleText,
+  isValidVoteType
+} = require('./identity');
+const { isValidFactCheckClaims } = require('./factcheck');
+const { getUrlKey, getContentHash } = require('./dedupe');
+const { isValidDiff, applyDiff, isWellFormedRevision } = require('./revisions');
+
+// Consensus parameters - every node must agree on these
+const GENESIS_TIMESTAMP = 1704067200000; // 2024-01-01T00:00:00Z
+const INITIAL_DIFFICULTY = 2;
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 6;
+const TARGET_BLOCK_TIME_MS = 10000;
+const RETARGET_INTERVAL = 10; // blocks between difficulty adjustments
+const MAX_REORG_HISTORY = 100;
+const MAX_TRANSACTIONS_PER_BLOCK = 500;
+const MAX_FUTURE_BLOCK_TIME_MS = 2 * 60 * 1000;
+
+// What each transaction type signs, and the fields it may carry on top of
+// that: the signature and values every node derives the same way from it
+const PAYLOAD_BUILDERS = {
+  ARTICLE: buildArticlePayload,
+  VOTE: buildVotePayload,
+  ARTICLE_REVISION: buildRevisionPayload,
+  FACTCHECK: buildFactCheckPayload
+};
+const DERIVED_FIELDS = {
+  ARTICLE: ['id'],
+  VOTE: ['supersedes'],
+  ARTICLE_REVISION: ['id'],
+  FACTCHECK: ['id']
+};
+
+// Anything else would be relayed and stored unauthenticated
+function hasOnlySignedFields(tx) {
+  const builder = PAYLOAD_BUILDERS[tx.type];
+  if (!builder) return true;
+  const allowed = new Set([...Object.keys(builder(tx)), 'signature', ...DERIVED_FIELDS[tx.type]]);
+  return Object.keys(tx).every(key => allowed.has(key));
+}
+
+// A vote's `supersedes` depends on the ledger it lands in, so mempool copies
+// are checked without it and get it recomputed against ours
+function withoutSupersedes(tx) {
+  if (!tx || tx.type !== 'VOTE') return tx;
+  const { supersedes, ...vote } = tx;
+  return vote;
+}
+
+// Blocks carry a batch of transactions; early blocks held a single one as data
+function getBlockTransactions(block) {
+  const data = block && block.data;
+  if (!data || typeof data !== 'object') return [];
+  if (Array.isArray(data.transactions)) return data.transactions;
+  return data.type ? [data] : [];
+}
+
+function getArticleId(article) {
+  return `article_${article.timestamp}_${article.signature.substring(0, 9)}`;
+}
+
+function getRevisionId(revision) {
+  return `revision_${revision.timestamp}_${revision.signature.substring(0, 9)}`;
+}
+
+// Bring a resolved article up to date with one of its revisions
+function applyRevision(article, revision, block) {
+  article.title = revision.title !== undefined ? revision.title : article.title;
+  article.content = applyDiff(article.content || '', revision.diff);
+  article.versionId = revision.id;
+  article.revisionCount++;
+  article.corrected = article.corrected || revision.correction;
+  article.revisedAt = block ? block.timestamp : revision.timestamp;
+}
+
+// Mempool copy of a transaction that passed `check`
+function withDerivedFields(transaction, check) {
+  const tx = { ...withoutSupersedes(transaction) };
+  if (tx.type === 'VOTE') {
+    // A vote that flips the voter's previous direction supersedes it
+    tx.supersedes = check.previousVote ? check.previousVote.signature : null;
+  }
+  return tx;
+}
+
+function getFactCheckId(report) {
+  return `factcheck_${report.timestamp}_${report.signature.substring(0, 9)}`;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Block hashes commit to the data only through dataHash, so a header alone
+// (everything but `data`) is enough to check linkage and proof-of-work
+function calculateHeaderHash(header) {
+  return sha256(
+    header.index +
+    header.previousHash +
+    header.timestamp +
+    header.dataHash +
+    header.difficulty +
+    header.nonce
+  );
+}
+
+function calculateDataHash(data) {
+  return sha256(JSON.stringify(data));
+}
+
+function hasValidProofOfWork(header) {
+  return header.hash.substring(0, header.difficulty) === '0'.repeat(header.difficulty);
+}
+
+// Check a header against the headers/blocks before it (context[i] is at index i)
+function isValidHeader(header, context) {
+  const prevHeader = context[header.index - 1];
+  if (!prevHeader || header.previousHash !== prevHeader.hash) {
+    return false;
+  }
+  if (header.timestamp < prevHeader.timestamp) {
+    return false;
+  }
+  if (header.hash !== calculateHeaderHash(header)) {
+    return false;
+  }
+  return header.difficulty === getDifficultyForIndex(context, header.index) && hasValidProofOfWork(header);
+}
 
 class Block {
-  constructor(index, timestamp, data, previousHash = '') {
+  constructor(index, timestamp, data, previousHash = '', difficulty = 0) {
     this.index = index;
     this.timestamp = timestamp;
     this.data = data;
+    this.dataHash = calculateDataHash(data);
     this.previousHash = previousHash;
+    this.difficulty = difficulty;
     this.nonce = 0;
     this.hash = this.calculateHash();
   }
 
   calculateHash() {
-    return crypto
-      .createHash('sha256')
-      .update(
-        this.index +
-        this.previousHash +
-        this.timestamp +
-        JSON.stringify(this.data) +
-        this.nonce
-      )
-      .digest('hex');
+    return calculateHeaderHash(this);
+  }
+
+  static fromJSON(blockData) {
+    const block = new Block(
+      blockData.index,
+      blockData.timestamp,
+      blockData.data,
+      blockData.previousHash,
+      blockData.difficulty
+    );
+    block.nonce = blockData.nonce;
+    block.hash = blockData.hash;
+    return block;
   }
 
+  getHeader() {
+    return {
+      index: this.index,
+      timestamp: this.timestamp,
+      previousHash: this.previousHash,
+      dataHash: this.dataHash,
+      difficulty: this.difficulty,
+      nonce: this.nonce,
+      hash: this.hash
+    };
+  }
+
+  hasValidProofOfWork() {
+    return hasValidProofOfWork(this);
+  }
+
+  // Synchronous proof-of-work search; only ever run inside miner-worker.js
   mineBlock(difficulty) {
     while (this.hash.substring(0, difficulty) !== Array(difficulty + 1).join('0')) {
       this.nonce++;
       this.hash = this.calculateHash();
     }
-    console.log(`Block mined: ${this.hash}`);
   }
 }
 
-class Blockchain {
+// Expected number of hashes needed to mine a block: 16^difficulty for hex-zero targets
+function getBlockWork(block) {
+  return Math.pow(16, block.difficulty || 0);
+}
+
+function getChainWork(chain) {
+  return chain.reduce((total, block) => total + getBlockWork(block), 0);
+}
+
+// Ids of articles touched (created or voted on) by the given blocks
+function getAffectedArticleIds(blocks) {
+  const ids = new Set();
+  for (const block of blocks) {
+    for (const tx of getBlockTransactions(block)) {
+      ids.add(tx.type === 'ARTICLE' ? tx.id : tx.articleId);
+    }
+  }
+  ids.delete(undefined);
+  return Array.from(ids);
+}
+
+// Difficulty the block at `index` must carry, derived only from the blocks before it
+function getDifficultyForIndex(chain, index) {
+  if (index <= 1) return INITIAL_DIFFICULTY;
+
+  const previous = chain[index - 1];
+  if (index % RETARGET_INTERVAL !== 0 || index <= RETARGET_INTERVAL) {
+    return previous.difficulty;
+  }
+
+  // Compare how long the last window took against the target block time
+  const windowStart = chain[index - RETARGET_INTERVAL];
+  const elapsed = previous.timestamp - windowStart.timestamp;
+  const expected = TARGET_BLOCK_TIME_MS * (RETARGET_INTERVAL - 1);
+
+  let difficulty = previous.difficulty;
+  if (elapsed < expected / 2) {
+    difficulty++;
+  } else if (elapsed > expected * 2) {
+    difficulty--;
+  }
+  return Math.min(MAX_DIFFICULTY, Math.max(MIN_DIFFICULTY, difficulty));
+}
+
+// What transaction validation needs to know about everything before a point
+// in the chain: seen signatures, article ids and their current versions, the
+// URLs and content hashes already published, each voter's latest vote and the
+// vote tallies those add up to
+class LedgerState {
   constructor() {
+    this.signatures = new Set();
+    this.articleIds = new Set();
+    this.articleVersions = new Map();
+    this.articleUrls = new Map();
+    this.contentHashes = new Map();
+    this.latestVotes = new Map();
+    this.voteTallies = new Map();
+  }
+
+  // Independent copy, for checking transactions on top of this state
+  clone() {
+    const state = new LedgerState();
+    state.signatures = new Set(this.signatures);
+    state.articleIds = new Set(this.articleIds);
+    state.articleVersions = new Map(Array.from(this.articleVersions, ([id, version]) => [id, { ...version }]));
+    state.articleUrls = new Map(this.articleUrls);
+    state.contentHashes = new Map(this.contentHashes);
+    state.latestVotes = new Map(this.latestVotes);
+    state.voteTallies = new Map(Array.from(this.voteTallies, ([id, tally]) => [id, { ...tally }]));
+    return state;
+  }
+
+  static fromBlocks(blocks) {
+    const state = new LedgerState();
+    for (const block of blocks) {
+      getBlockTransactions(block).forEach(tx => state.apply(tx));
+    }
+    return state;
+  }
+
+  // `malformed` marks failures that can never become valid (bad signatures,
+  // forged ids), as opposed to duplicates or ordering races between peers
+  check(tx) {
+    if (!tx || !tx.signature) {
+      return { valid: false, error: 'Transaction must be signed', malformed: true };
+    }
+    if (this.signatures.has(tx.signature)) {
+      return { valid: false, error: 'Transaction has already been recorded' };
+    }
+    if (!hasOnlySignedFields(tx)) {
+      return { valid: false, error: 'Transaction has fields its signature does not cover', malformed: true };
+    }
+
+    switch (tx.type) {
+      case 'ARTICLE':
+        if (!verifyArticle(tx)) {
+          return { valid: false, error: 'Invalid article signature', malformed: true };
+        }
+        if (!isValidArticleText(tx)) {
+          return { valid: false, error: 'Article title or content is missing, not text, or too long', malformed: true };
+        }
+        if (!isValidTags(tx.tags)) {
+          return { valid: false, error: 'Invalid article tags', malformed: true };
+        }
+        if (!isValidArticleMetadata(tx)) {
+          return { valid: false, error: 'Invalid article metadata', malformed: true };
+        }
+        // Ids are derived from the signature so every node agrees on them
+        if (tx.id !== getArticleId(tx)) {
+          return { valid: false, error: 'Article id does not match its signature', malformed: true };
+        }
+        if (this.articleIds.has(tx.id)) {
+          return { valid: false, error: 'Article already exists' };
+        }
+        return this.checkDuplicate(tx);
+
+      case 'VOTE': {
+        if (!verifyVote(tx)) {
+          return { valid: false, error: 'Invalid vote signature', malformed: true };
+        }
+        if (!isValidVoteType(tx.voteType)) {
+          return { valid: false, error: 'Vote type must be up or down', malformed: true };
+        }
+        if (!this.articleIds.has(tx.articleId)) {
+          return { valid: false, error: 'Article not found' };
+        }
+        const previousVote = this.latestVotes.get(`${tx.articleId}:${tx.voter}`) || null;
+        if (previousVote && previousVote.voteType === tx.voteType) {
+          return { valid: false, error: `Already voted ${tx.voteType} on this article` };
+        }
+        if (tx.supersedes !== undefined && tx.supersedes !== (previousVote ? previousVote.signature : null)) {
+          return { valid: false, error: 'Vote supersedes a different vote' };
+        }
+        return { valid: true, previousVote };
+      }
+
+      case 'ARTICLE_REVISION': {
+        if (!verifyRevision(tx)) {
+          return { valid: false, error: 'Invalid revision signature', malformed: true };
+        }
+        if (!isWellFormedRevision(tx)) {
+          return { valid: false, error: 'Invalid revision', malformed: true };
+        }
+        if (tx.id !== getRevisionId(tx)) {
+          return { valid: false, error: 'Revision id does not match its signature', malformed: true };
+        }
+        const current = this.articleVersions.get(tx.articleId);
+        if (!current) {
+          return { valid: false, error: 'Article not found' };
+        }
+        if (tx.author !== current.author) {
+          return { valid: false, error: 'Only the original author can revise an article' };
+        }
+        // Revisions form a chain: each one must build on the latest version
+        if (tx.previousId !== current.versionId) {
+          return { valid: false, error: 'Revision is not based on the latest version of the article' };
+        }
+        if (!isValidDiff(tx.diff, current.content)) {
+          return { valid: false, error: 'Revision diff does not apply to the latest version' };
+        }
+        return { valid: true };
+      }
+
+      case 'FACTCHECK':
+        if (!verifyFactCheck(tx)) {
+          return { valid: false, error: 'Invalid fact-check signature', malformed: true };
+        }
+        if (!isValidFactCheckClaims(tx.claims)) {
+          return { valid: false, error: 'Invalid fact-check claims', malformed: true };
+        }
+        if (tx.id !== getFactCheckId(tx)) {
+          return { valid: false, error: 'Fact-check id does not match its signature', malformed: true };
+        }
+        if (!this.articleIds.has(tx.articleId)) {
+          return { valid: false, error: 'Article not found' };
+        }
+        return { valid: true };
+
+      default:
+        return { valid: false, error: `Unknown transaction type: ${tx.type}`, malformed: true };
+    }
+  }
+
+  // The same story may be published once, whoever submits it
+  checkDuplicate(tx) {
+    const urlKey = getUrlKey(tx);
+    if (urlKey && this.articleUrls.has(urlKey)) {
+      return { valid: false, error: 'An article with this URL already exists', duplicateOf: this.articleUrls.get(urlKey) };
+    }
+    const contentHash = getContentHash(tx);
+    if (contentHash && this.contentHashes.has(contentHash)) {
+      return { valid: false, error: 'An article with the same content already exists', duplicateOf: this.contentHashes.get(contentHash) };
+    }
+    return { valid: true };
+  }
+
+  apply(tx) {
+    this.signatures.add(tx.signature);
+    if (tx.type === 'ARTICLE') {
+      this.articleIds.add(tx.id);
+      this.articleVersions.set(tx.id, { author: tx.author, content: tx.content || '', versionId: tx.id });
+      const urlKey = getUrlKey(tx);
+      const contentHash = getContentHash(tx);
+      if (urlKey) this.articleUrls.set(urlKey, tx.id);
+      if (contentHash) this.contentHashes.set(contentHash, tx.id);
+    } else if (tx.type === 'ARTICLE_REVISION') {
+      const current = this.articleVersions.get(tx.articleId);
+      current.content = applyDiff(current.content, tx.diff);
+      current.versionId = tx.id;
+    } else if (tx.type === 'VOTE') {
+      // Each voter's latest vote per article counts
+      const key = `${tx.articleId}:${tx.voter}`;
+      const previous = this.latestVotes.get(key);
+      if (previous) {
+        this.countVote(previous, -1);
+      }
+      this.latestVotes.set(key, tx);
+      this.countVote(tx, 1);
+    }
+  }
+
+  countVote(vote, delta) {
+    const tally = this.voteTallies.get(vote.articleId) || { votes: 0, downvotes: 0 };
+    if (vote.voteType === 'up') {
+      tally.votes += delta;
+    } else if (vote.voteType === 'down') {
+      tally.downvotes += delta;
+    }
+    this.voteTallies.set(vote.articleId, tally);
+  }
+}
+
+class Blockchain {
+  constructor(options = {}) {
     this.chain = [];
-    this.difficulty = 2;
     this.pendingTransactions = [];
-    this.dataDir = path.join(__dirname, 'blockchain_data');
+    this.reorgs = [];
+    // Article id -> node ids of the peers that relayed it to us. This node's
+    // own observation, so it is kept in memory and never stored on chain.
+    this.articleRelays = new Map();
+    this.miningWorker = null;
+    this.dataDir = options.dataDir || path.join(__dirname, 'blockchain_data');
     
     if (!fs.existsSync(this.dataDir)) {
       fs.mkdirSync(this.dataDir, { recursive: true });
@@ -52,82 +450,473 @@ class Blockchain {
       this.chain = [this.createGenesisBlock()];
       this.saveBlockchain();
     }
+
+    this.loadPendingTransactions();
+    this.loadReorgs();
+    this.rebuildState();
+  }
+
+  // The ledger at our tip and where each article and revision sits in the
+  // chain. Both are updated block by block and rebuilt only when the chain is
+  // replaced.
+  rebuildState() {
+    this.ledger = new LedgerState();
+    this.articleIndex = new Map();
+    this.pendingLedger = null;
+    this.chain.forEach(block => this.recordBlock(block));
+  }
+
+  recordBlock(block) {
+    for (const tx of getBlockTransactions(block)) {
+      this.ledger.apply(tx);
+      if (tx.type === 'ARTICLE') {
+        this.articleIndex.set(tx.id, { tx, block, revisions: [] });
+      } else if (tx.type === 'ARTICLE_REVISION' && this.articleIndex.has(tx.articleId)) {
+        this.articleIndex.get(tx.articleId).revisions.push({ tx, block });
+      }
+    }
+    // Rebuilt from the new tip on next use
+    this.pendingLedger = null;
   }
 
   createGenesisBlock() {
-    return new Block(0, Date.now(), 'Genesis Block', '0');
+    return new Block(0, GENESIS_TIMESTAMP, 'Genesis Block', '0');
   }
 
   getLatestBlock() {
     return this.chain[this.chain.length - 1];
   }
 
-  addBlock(data) {
-    const newBlock = new Block(
-      this.chain.length,
+  getNextDifficulty() {
+    return getDifficultyForIndex(this.chain, this.chain.length);
+  }
+
+  // Run proof-of-work in a worker thread so the HTTP server and P2P sockets stay
+  // responsive. Resolves with the mined block, or null if mining was cancelled.
+  mineBlockAsync(block) {
+    if (this.miningWorker) {
+      return Promise.reject(new Error('A block is already being mined'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'miner-worker.js'), {
+        workerData: { block }
+      });
+      this.miningWorker = worker;
+      let settled = false;
+
+      const release = () => {
+        if (this.miningWorker === worker) {
+          this.miningWorker = null;
+        }
+      };
+
+      worker.once('message', ({ nonce, hash }) => {
+        settled = true;
+        release();
+        block.nonce = nonce;
+        block.hash = hash;
+        resolve(block);
+      });
+
+      worker.once('error', (error) => {
+        settled = true;
+        release();
+        reject(error);
+      });
+
+      worker.once('exit', () => {
+        release();
+        // Terminated before finding a nonce: cancelled
+        if (!settled) {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  // Abandon the block being mined, e.g. because a peer's block extended the chain first
+  cancelMining() {
+    if (this.miningWorker) {
+      console.log('Cancelling in-progress mining');
+      this.miningWorker.terminate();
+    }
+  }
+
+  isMining() {
+    return this.miningWorker !== null;
+  }
+
+  // Full check of a block a peer claims extends our tip: linkage, hash,
+  // proof-of-work, difficulty, data hash and every transaction inside it
+  validateNewBlock(blockData) {
+    const tip = this.getLatestBlock();
+    if (!blockData || blockData.index !== tip.index + 1) {
+      return { valid: false, error: 'Block does not extend our tip' };
+    }
+    if (blockData.previousHash !== tip.hash) {
+      return { valid: false, error: 'Block does not extend our tip' };
+    }
+    if (blockData.timestamp > Date.now() + MAX_FUTURE_BLOCK_TIME_MS) {
+      return { valid: false, error: 'Block timestamp is too far in the future' };
+    }
+    return this.validateBlock(blockData, this.chain, this.ledger.clone());
+  }
+
+  validateBlock(blockData, context, ledger) {
+    const block = Block.fromJSON(blockData);
+    if (blockData.dataHash !== undefined && blockData.dataHash !== block.dataHash) {
+      return { valid: false, error: 'Data hash does not match block data' };
+    }
+    if (block.hash !== block.calculateHash()) {
+      return { valid: false, error: 'Hash does not match block contents' };
+    }
+    if (!isValidHeader(block, context)) {
+      return { valid: false, error: 'Invalid proof-of-work, difficulty or linkage' };
+    }
+
+    const transactions = block.data && block.data.transactions;
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+      return { valid: false, error: 'Block has no transactions' };
+    }
+    if (transactions.length > MAX_TRANSACTIONS_PER_BLOCK) {
+      return { valid: false, error: 'Block has too many transactions' };
+    }
+
+    for (const tx of transactions) {
+      const check = ledger.check(tx);
+      if (!check.valid) {
+        return { valid: false, error: `Invalid transaction: ${check.error}` };
+      }
+      ledger.apply(tx);
+    }
+    return { valid: true };
+  }
+
+  // Append a block mined by a peer exactly as received (it is never re-mined)
+  // and drop its transactions from the pool. Throws if the block is invalid.
+  appendBlock(blockData) {
+    const check = this.validateNewBlock(blockData);
+    if (!check.valid) {
+      throw new Error(check.error);
+    }
+
+    const block = Block.fromJSON(blockData);
+    this.cancelMining();
+    this.chain.push(block);
+    this.recordBlock(block);
+    this.removeConfirmedTransactions(block);
+    this.saveBlockchain();
+    return block;
+  }
+
+  hasBlock(hash) {
+    return this.chain.some(block => block.hash === hash);
+  }
+
+  getBlockByHash(hash) {
+    return this.chain.find(block => block.hash === hash) || null;
+  }
+
+  // Append blocks that directly extend our tip (e.g. from a sync batch).
+  // Stops at the first invalid block; returns the blocks actually appended.
+  extendChain(blocks) {
+    const ledger = this.ledger.clone();
+    const appended = [];
+    for (const blockData of blocks) {
+      if (blockData.index !== this.chain.length || !this.validateBlock(blockData, this.chain, ledger).valid) {
+        break;
+      }
+      const block = Block.fromJSON(blockData);
+      this.chain.push(block);
+      this.recordBlock(block);
+      appended.push(block);
+    }
+
+    if (appended.length > 0) {
+      this.cancelMining();
+      appended.forEach(block => this.removeConfirmedTransactions(block));
+      this.saveBlockchain();
+    }
+    return appended;
+  }
+
+  // Hashes at exponentially growing distances from the tip, so a peer can
+  // find where our chains diverge without us sending every hash
+  getLocator(extraHeaders = []) {
+    const hashes = this.chain.map(block => block.hash).concat(extraHeaders.map(header => header.hash));
+    const locator = [];
+    let step = 1;
+    for (let i = hashes.length - 1; i > 0; i -= step) {
+      locator.push(hashes[i]);
+      if (locator.length >= 10) step *= 2;
+    }
+    locator.push(hashes[0]);
+    return locator;
+  }
+
+  // Headers following the first locator hash found on our chain
+  getHeadersAfter(locator, maxCount) {
+    let startIndex = 0;
+    for (const hash of locator || []) {
+      const block = this.chain.find(b => b.hash === hash);
+      if (block) {
+        startIndex = block.index;
+        break;
+      }
+    }
+    return this.chain
+      .slice(startIndex + 1, startIndex + 1 + maxCount)
+      .map(block => block.getHeader());
+  }
+
+  getBlockRange(from, to) {
+    return this.chain.slice(Math.max(0, from), to + 1);
+  }
+
+  // Every transaction recorded on the chain, oldest first
+  *transactions() {
+    for (const block of this.chain) {
+      for (const tx of getBlockTransactions(block)) {
+        yield { tx, block };
+      }
+    }
+  }
+
+  // Copy of the ledger as of our tip, optionally with the pending pool applied on top
+  getLedgerState(includePending = false) {
+    return includePending ? this.getPendingLedger().clone() : this.ledger.clone();
+  }
+
+  // Tip ledger plus the pending pool, kept until the chain or pool changes.
+  // Callers must not apply to it.
+  getPendingLedger() {
+    if (!this.pendingLedger) {
+      this.pendingLedger = this.ledger.clone();
+      this.pendingTransactions.forEach(tx => this.pendingLedger.apply(tx));
+    }
+    return this.pendingLedger;
+  }
+
+  // Queue a signed transaction for the next block. Throws if it is invalid.
+  addTransaction(transaction) {
+    const check = this.validateTransaction(transaction);
+    if (!check.valid) {
+      throw new Error(check.error);
+    }
+
+    const tx = withDerivedFields(transaction, check);
+    this.pendingTransactions.push(tx);
+    this.getPendingLedger().apply(tx);
+    this.savePendingTransactions();
+    return tx;
+  }
+
+  // Check a transaction against the chain and everything already pending
+  validateTransaction(tx) {
+    return this.getPendingLedger().check(withoutSupersedes(tx));
+  }
+
+  // Pack up to maxTransactions pending transactions into a new block
+  async minePendingTransactions(maxTransactions = 50) {
+    this.revalidatePendingTransactions();
+    if (this.pendingTransactions.length === 0) {
+      return null;
+    }
+
+    const batch = this.pendingTransactions.slice(0, Math.min(maxTransactions, MAX_TRANSACTIONS_PER_BLOCK));
+    const tip = this.getLatestBlock();
+    const candidate = new Block(
+      tip.index + 1,
       Date.now(),
-      data,
-      this.getLatestBlock().hash
+      { transactions: batch },
+      tip.hash,
+      this.getNextDifficulty()
     );
-    newBlock.mineBlock(this.difficulty);
-    this.chain.push(newBlock);
+
+    const block = await this.mineBlockAsync(candidate);
+
+    // Cancelled, or the chain moved on while the worker was busy
+    if (!block || this.getLatestBlock().hash !== tip.hash) {
+      return null;
+    }
+
+    console.log(`Block mined: ${block.hash} (difficulty ${block.difficulty})`);
+    this.chain.push(block);
+    this.recordBlock(block);
+    this.removeConfirmedTransactions(block);
     this.saveBlockchain();
-    return newBlock;
+    return block;
   }
 
-  addArticle(article) {
-    const articleData = {
-      type: 'ARTICLE',
-      ...article,
-      timestamp: Date.now()
+  // Re-check the pool against the current chain: a peer's block may have
+  // confirmed or invalidated some of these since they were queued
+  revalidatePendingTransactions() {
+    this.pendingTransactions = this.filterValidTransactions(this.pendingTransactions);
+    this.pendingLedger = null;
+    this.savePendingTransactions();
+  }
+
+  // Keep the transactions that are still valid, in order, on top of our chain
+  filterValidTransactions(transactions) {
+    const ledger = this.getLedgerState();
+    const valid = [];
+    transactions.forEach(transaction => {
+      const check = ledger.check(withoutSupersedes(transaction));
+      if (!check.valid) return;
+      const tx = withDerivedFields(transaction, check);
+      ledger.apply(tx);
+      valid.push(tx);
+    });
+    return valid;
+  }
+
+  removeConfirmedTransactions(block) {
+    const confirmed = new Set(getBlockTransactions(block).map(tx => tx.signature));
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !confirmed.has(tx.signature));
+    this.pendingLedger = null;
+    this.savePendingTransactions();
+  }
+
+  // A peer that relays an article, or a block containing it, has verified its
+  // signature and ledger rules independently
+  recordArticleRelay(articleId, nodeId) {
+    if (!this.articleRelays.has(articleId)) {
+      this.articleRelays.set(articleId, new Set());
+    }
+    this.articleRelays.get(articleId).add(nodeId);
+  }
+
+  getPeerVerifications(articleId) {
+    const relays = this.articleRelays.get(articleId);
+    return relays ? relays.size : 0;
+  }
+
+  // Mined votes, tallied as blocks are recorded
+  getVoteTallies() {
+    return this.ledger.voteTallies;
+  }
+
+  getVoteTally(articleId) {
+    const tally = this.ledger.voteTallies.get(articleId);
+    return tally ? { ...tally } : { votes: 0, downvotes: 0 };
+  }
+
+  // Articles resolve to their latest mined revision; blockIndex and blockHash
+  // stay those of the original submission
+  getArticle(id) {
+    const entry = this.articleIndex.get(id);
+    if (!entry) return null;
+
+    const { tx, block } = entry;
+    const article = {
+      ...tx,
+      ...this.getVoteTally(id),
+      blockIndex: block.index,
+      blockHash: block.hash,
+      blockTimestamp: block.timestamp,
+      peerVerifications: this.getPeerVerifications(id),
+      versionId: tx.id,
+      revisionCount: 0,
+      corrected: false
     };
-    return this.addBlock(articleData);
+    entry.revisions.forEach(revision => applyRevision(article, revision.tx, revision.block));
+    return article;
   }
 
   searchArticles(query) {
-    const results = [];
-    for (const block of this.chain) {
-      if (block.data && block.data.type === 'ARTICLE') {
-        const article = block.data;
-        if (
-          article.title?.toLowerCase().includes(query.toLowerCase()) ||
-          article.content?.toLowerCase().includes(query.toLowerCase())
-        ) {
-          results.push({
-            ...article,
-            blockIndex: block.index,
-            blockHash: block.hash
-          });
-        }
-      }
-    }
-    return results;
+    const needle = query.toLowerCase();
+    return this.getAllArticles().filter(article =>
+      article.title?.toLowerCase().includes(needle) ||
+      article.content?.toLowerCase().includes(needle)
+    );
   }
 
   getAllArticles() {
-    return this.chain
-      .filter(block => block.data && block.data.type === 'ARTICLE')
-      .map(block => ({
-        ...block.data,
-        blockIndex: block.index,
-        blockHash: block.hash
-      }));
+    const tallies = this.getVoteTallies();
+    const articles = new Map();
+    for (const { tx, block } of this.transactions()) {
+      if (tx.type === 'ARTICLE') {
+        articles.set(tx.id, {
+          ...tx,
+          ...(tallies.get(tx.id) || { votes: 0, downvotes: 0 }),
+          blockIndex: block.index,
+          blockHash: block.hash,
+          blockTimestamp: block.timestamp,
+          peerVerifications: this.getPeerVerifications(tx.id),
+          versionId: tx.id,
+          revisionCount: 0,
+          corrected: false
+        });
+      } else if (tx.type === 'ARTICLE_REVISION' && articles.has(tx.articleId)) {
+        applyRevision(articles.get(tx.articleId), tx, block);
+      }
+    }
+    return Array.from(articles.values());
   }
 
-  isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+  // Every version of an article, original first, each with the block that
+  // recorded it; queued revisions follow, flagged pending
+  getArticleHistory(articleId) {
+    const versions = [];
+    let current = null;
+    const addVersion = (tx, block) => {
+      if (tx.type === 'ARTICLE') {
+        current = { title: tx.title, content: tx.content || '' };
+      } else {
+        current = {
+          title: tx.title !== undefined ? tx.title : current.title,
+          content: applyDiff(current.content, tx.diff)
+        };
+      }
+      versions.push({
+        version: versions.length,
+        id: tx.id,
+        type: tx.type,
+        title: current.title,
+        content: current.content,
+        diff: tx.diff,
+        reason: tx.reason,
+        correction: tx.correction,
+        author: tx.author,
+        timestamp: tx.timestamp,
+        signature: tx.signature,
+        ...(block
+          ? { blockIndex: block.index, blockHash: block.hash, blockTimestamp: block.timestamp }
+          : { pending: true })
+      });
+    };
 
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        return false;
+    for (const { tx, block } of this.transactions()) {
+      if ((tx.type === 'ARTICLE' && tx.id === articleId) ||
+          (current && tx.type === 'ARTICLE_REVISION' && tx.articleId === articleId)) {
+        addVersion(tx, block);
       }
+    }
+    if (current) {
+      this.pendingTransactions
+        .filter(tx => tx.type === 'ARTICLE_REVISION' && tx.articleId === articleId)
+        .forEach(tx => addVersion(tx, null));
+    }
+    return versions;
+  }
 
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        return false;
+  // Fact-check reports on an article, newest first; queued ones are flagged pending
+  getFactChecks(articleId) {
+    const reports = [];
+    for (const { tx, block } of this.transactions()) {
+      if (tx.type === 'FACTCHECK' && tx.articleId === articleId) {
+        reports.push({ ...tx, blockIndex: block.index, blockHash: block.hash });
       }
     }
-    return true;
+    this.pendingTransactions
+      .filter(tx => tx.type === 'FACTCHECK' && tx.articleId === articleId)
+      .forEach(tx => reports.push({ ...tx, pending: true }));
+    return reports.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  isChainValid() {
+    return this.isValidChain(this.chain);
   }
 
   saveBlockchain() {
@@ -135,68 +924,133 @@ class Blockchain {
     fs.writeFileSync(filePath, JSON.stringify(this.chain, null, 2));
   }
 
+  savePendingTransactions() {
+    const filePath = path.join(this.dataDir, 'pending.json');
+    fs.writeFileSync(filePath, JSON.stringify(this.pendingTransactions, null, 2));
+  }
+
+  loadPendingTransactions() {
+    const filePath = path.join(this.dataDir, 'pending.json');
+    if (fs.existsSync(filePath)) {
+      this.pendingTransactions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      console.log(`Loaded ${this.pendingTransactions.length} pending transactions from disk`);
+    }
+  }
+
   loadBlockchain() {
     const filePath = path.join(this.dataDir, 'blockchain.json');
     if (fs.existsSync(filePath)) {
       const data = fs.readFileSync(filePath, 'utf8');
       const loadedChain = JSON.parse(data);
       
+      // Chains saved before the fixed genesis block can never validate; set them aside
+      if (!loadedChain.length || loadedChain[0].hash !== this.createGenesisBlock().hash) {
+        const backupPath = path.join(this.dataDir, `blockchain.legacy-${Date.now()}.json`);
+        fs.renameSync(filePath, backupPath);
+        console.log(`Stored chain has an incompatible genesis block; moved it to ${backupPath}`);
+        return;
+      }
+
       // Reconstruct Block objects with methods
-      this.chain = loadedChain.map(blockData => {
-        const block = new Block(
-          blockData.index,
-          blockData.timestamp,
-          blockData.data,
-          blockData.previousHash
-        );
-        block.nonce = blockData.nonce;
-        block.hash = blockData.hash;
-        return block;
-      });
+      this.chain = loadedChain.map(blockData => Block.fromJSON(blockData));
       
       console.log(`Loaded ${this.chain.length} blocks from disk`);
     }
   }
 
+  // Fork choice: the valid chain with the most cumulative proof-of-work wins.
+  // Returns a reorg record describing what changed, or null if ours is kept.
   replaceChain(newChain) {
-    if (newChain.length <= this.chain.length) {
-      console.log('Received chain is not longer than current chain');
-      return false;
+    if (getChainWork(newChain) <= getChainWork(this.chain)) {
+      console.log('Received chain does not have more work than current chain');
+      return null;
     }
 
-    if (!this.isValidChain(newChain)) {
+    // Only the blocks after the shared prefix need validating
+    const ancestorIndex = this.findCommonAncestor(newChain);
+    if (!this.isValidChain(newChain, ancestorIndex + 1)) {
       console.log('Received chain is invalid');
-      return false;
+      return null;
     }
 
-    console.log('Replacing blockchain with new chain');
-    this.chain = newChain;
+    const orphanedBlocks = this.chain.slice(ancestorIndex + 1);
+    const adoptedBlocks = newChain.slice(ancestorIndex + 1).map(blockData => Block.fromJSON(blockData));
+    const oldTip = this.getLatestBlock();
+
+    console.log(`Reorganizing: rolling back ${orphanedBlocks.length} block(s) to #${ancestorIndex}, applying ${adoptedBlocks.length}`);
+    this.cancelMining();
+    this.chain = this.chain.slice(0, ancestorIndex + 1).concat(adoptedBlocks);
+    this.rebuildState();
     this.saveBlockchain();
-    return true;
+
+    const replayed = this.replayOrphanedTransactions(orphanedBlocks);
+
+    const reorg = {
+      timestamp: Date.now(),
+      ancestorIndex,
+      ancestorHash: this.chain[ancestorIndex].hash,
+      oldTip: { index: oldTip.index, hash: oldTip.hash },
+      newTip: { index: this.getLatestBlock().index, hash: this.getLatestBlock().hash },
+      orphanedBlocks: orphanedBlocks.map(block => ({ index: block.index, hash: block.hash })),
+      adoptedBlocks: adoptedBlocks.map(block => ({ index: block.index, hash: block.hash })),
+      replayedTransactions: replayed.length,
+      affectedArticleIds: getAffectedArticleIds(orphanedBlocks.concat(adoptedBlocks))
+    };
+    this.recordReorg(reorg);
+    return reorg;
   }
 
-  isValidChain(chain) {
-    if (JSON.stringify(chain[0]) !== JSON.stringify(this.createGenesisBlock())) {
-      return false;
+  // Highest index at which our chain and the candidate agree
+  findCommonAncestor(otherChain) {
+    const limit = Math.min(this.chain.length, otherChain.length);
+    let index = 0;
+    while (index + 1 < limit && this.chain[index + 1].hash === otherChain[index + 1].hash) {
+      index++;
     }
+    return index;
+  }
 
-    for (let i = 1; i < chain.length; i++) {
-      const block = chain[i];
-      const prevBlock = chain[i - 1];
+  // Put transactions from rolled-back blocks back into the pool, ahead of what
+  // was already pending, unless the adopted chain already includes them
+  replayOrphanedTransactions(orphanedBlocks) {
+    const orphaned = orphanedBlocks.flatMap(block => getBlockTransactions(block));
+    const pending = this.filterValidTransactions(orphaned.concat(this.pendingTransactions));
+    const replayed = new Set(orphaned.map(tx => tx.signature));
 
-      if (block.previousHash !== prevBlock.hash) {
-        return false;
-      }
+    this.pendingTransactions = pending;
+    this.pendingLedger = null;
+    this.savePendingTransactions();
+    return pending.filter(tx => replayed.has(tx.signature));
+  }
+
+  recordReorg(reorg) {
+    this.reorgs.push(reorg);
+    this.reorgs = this.reorgs.slice(-MAX_REORG_HISTORY);
+    fs.writeFileSync(path.join(this.dataDir, 'reorgs.json'), JSON.stringify(this.reorgs, null, 2));
+  }
 
-      const testBlock = new Block(
-        block.index,
-        block.timestamp,
-        block.data,
-        block.previousHash
-      );
-      testBlock.nonce = block.nonce;
+  loadReorgs() {
+    const filePath = path.join(this.dataDir, 'reorgs.json');
+    if (fs.existsSync(filePath)) {
+      this.reorgs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  }
+
+  getTotalWork() {
+    return getChainWork(this.chain);
+  }
+
+  // Validate a candidate chain. Blocks before `fromIndex` are trusted, which
+  // lets callers skip the prefix they already share with our own chain.
+  isValidChain(chain, fromIndex = 1) {
+    if (!chain.length || chain[0].hash !== this.createGenesisBlock().hash) {
+      return false;
+    }
 
-      if (block.hash !== testBlock.calculateHash()) {
+    const start = Math.max(1, fromIndex);
+    const ledger = LedgerState.fromBlocks(chain.slice(0, start));
+    for (let i = start; i < chain.length; i++) {
+      if (chain[i].index !== i || !this.validateBlock(chain[i], chain, ledger).valid) {
         return false;
       }
     }
@@ -204,4 +1058,12 @@ class Blockchain {
   }
 }
 
-module.exports = Blockchain;
\ No newline at end of file
+module.exports = Blockchain;
+module.exports.Block = Block;
+module.exports.getBlockTransactions = getBlockTransactions;
+module.exports.getArticleId = getArticleId;
+module.exports.getFactCheckId = getFactCheckId;
+module.exports.getRevisionId = getRevisionId;
+module.exports.getDifficultyForIndex = getDifficultyForIndex;
+module.exports.getChainWork = getChainWork;
+module.exports.isValidHeader = isValidHeader;
\ No newline at end of file
@@ -0,0 +1,122 @@
+// chat-sessions.js - Server-side chat conversations keyed by session id
+//
+// Each session keeps its recent messages verbatim and folds older turns into
+// a running summary, so the history sent to the model stays bounded:
+//   system prompt + summary + messages[summarizedCount..]
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_SESSIONS = 200; // least recently used sessions are dropped beyond this
+const MAX_MESSAGES = 100; // per session, kept for resuming the conversation
+const SUMMARIZE_AFTER = 12; // unsummarized messages before older ones are folded in
+const RECENT_MESSAGES = 6; // always sent to the model verbatim
+
+class ChatSessionStore {
+  constructor(dataDir) {
+    this.sessionsPath = path.join(dataDir, 'chat_sessions.json');
+    this.sessions = new Map();
+    this.loadSessions();
+  }
+
+  static isValidId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  getOrCreate(id) {
+    let session = this.sessions.get(id);
+    if (!session) {
+      const now = Date.now();
+      session = { id, title: null, createdAt: now, updatedAt: now, summary: '', summarizedCount: 0, messages: [] };
+      this.sessions.set(id, session);
+      this.evictOldSessions();
+    }
+    return session;
+  }
+
+  // Newest first, without the message bodies
+  list() {
+    return Array.from(this.sessions.values())
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(session => ({
+        id: session.id,
+        title: session.title,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        messageCount: session.messages.length
+      }));
+  }
+
+  delete(id) {
+    const removed = this.sessions.delete(id);
+    if (removed) {
+      this.saveSessions();
+    }
+    return removed;
+  }
+
+  addMessage(session, message) {
+    session.messages.push(message);
+    session.updatedAt = message.timestamp || Date.now();
+    if (!session.title && message.role === 'user') {
+      session.title = message.content.substring(0, 80);
+    }
+
+    const overflow = session.messages.length - MAX_MESSAGES;
+    if (overflow > 0) {
+      session.messages.splice(0, overflow);
+      session.summarizedCount = Math.max(0, session.summarizedCount - overflow);
+    }
+    this.saveSessions();
+  }
+
+  // Messages the model sees verbatim, oldest first
+  getHistory(session) {
+    return session.messages.slice(session.summarizedCount);
+  }
+
+  // Older unsummarized messages to fold into the summary, or [] if the
+  // history is still short enough
+  getMessagesToSummarize(session) {
+    const unsummarized = session.messages.length - session.summarizedCount;
+    if (unsummarized <= SUMMARIZE_AFTER) return [];
+    return session.messages.slice(session.summarizedCount, session.messages.length - RECENT_MESSAGES);
+  }
+
+  applySummary(session, summary, count) {
+    session.summary = summary;
+    session.summarizedCount += count;
+    this.saveSessions();
+  }
+
+  evictOldSessions() {
+    if (this.sessions.size <= MAX_SESSIONS) return;
+    const oldest = Array.from(this.sessions.values())
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .slice(0, this.sessions.size - MAX_SESSIONS);
+    oldest.forEach(session => this.sessions.delete(session.id));
+  }
+
+  saveSessions() {
+    const sessions = Array.from(this.sessions.values());
+    fs.writeFileSync(this.sessionsPath, JSON.stringify(sessions));
+  }
+
+  loadSessions() {
+    if (fs.existsSync(this.sessionsPath)) {
+      try {
+        const sessions = JSON.parse(fs.readFileSync(this.sessionsPath, 'utf8'));
+        sessions.forEach(session => this.sessions.set(session.id, session));
+        console.log(`Loaded ${this.sessions.size} chat session(s)`);
+      } catch (error) {
+        console.error('Error loading chat sessions:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = ChatSessionStore;
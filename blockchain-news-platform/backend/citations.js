@@ -0,0 +1,99 @@
+// citations.js - Numbered chat sources and the citations an answer makes to them
+//
+// Sources are numbered [1]..[n] in the system prompt; the model cites them
+// inline with those markers, and each marker in the answer is resolved to a
+// structured citation: { marker, articleId, blockIndex, blockHash, title, claim, quote }
+
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const MIN_QUOTE_WORDS = 4;
+
+// `lookup(id)` returns the on-chain article (for its block position), or null
+// while it is still pending
+function buildSources(articles, lookup) {
+  return articles.map((article, index) => {
+    const onChain = lookup(article.id);
+    return {
+      number: index + 1,
+      articleId: article.id,
+      title: article.title,
+      url: article.url,
+      blockIndex: onChain ? onChain.blockIndex : null,
+      blockHash: onChain ? onChain.blockHash : null,
+      passages: (article.passages || []).map(passage => passage.text),
+      content: article.content || ''
+    };
+  });
+}
+
+function splitSentences(text) {
+  return text.match(/[^.!?\n]+[.!?]*/g) || [];
+}
+
+function words(text) {
+  return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// The span of the source backing `claim`: a quotation from the claim if it
+// appears verbatim in the source, otherwise the source sentence sharing the
+// most words with the claim
+function findQuote(claim, source) {
+  const text = [source.content, ...source.passages].join('\n');
+  const lowerText = text.toLowerCase();
+
+  const quoted = claim.match(/["“]([^"”]+)["”]/);
+  if (quoted && words(quoted[1]).length >= MIN_QUOTE_WORDS) {
+    const start = lowerText.indexOf(quoted[1].toLowerCase());
+    if (start !== -1) return text.substring(start, start + quoted[1].length);
+  }
+
+  const claimWords = new Set(words(claim));
+  let best = null;
+  let bestOverlap = 0;
+  splitSentences(text).forEach(sentence => {
+    const overlap = new Set(words(sentence).filter(word => claimWords.has(word))).size;
+    if (overlap > bestOverlap) {
+      best = sentence.trim();
+      bestOverlap = overlap;
+    }
+  });
+  return best;
+}
+
+// One citation per distinct (marker, sentence) pair; markers that don't
+// match a source are ignored
+function extractCitations(answer, sources) {
+  const citations = [];
+  const seen = new Set();
+  let previousClaim = '';
+
+  splitSentences(answer).forEach(sentence => {
+    // A marker placed after the full stop belongs to the sentence before it
+    const claim = sentence.replace(MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').trim() || previousClaim;
+    previousClaim = claim;
+    for (const match of sentence.matchAll(MARKER_PATTERN)) {
+      match[1].split(',').map(number => parseInt(number)).forEach(number => {
+        const source = sources[number - 1];
+        const key = `${number}:${claim}`;
+        if (!source || seen.has(key)) return;
+        seen.add(key);
+
+        citations.push({
+          marker: number,
+          articleId: source.articleId,
+          blockIndex: source.blockIndex,
+          blockHash: source.blockHash,
+          title: source.title,
+          claim: claim,
+          quote: findQuote(claim, source)
+        });
+      });
+    }
+  });
+
+  return citations;
+}
+
+module.exports = {
+  buildSources,
+  extractCitations
+};
@@ -0,0 +1,275 @@
+// dedupe.js - Exact and near-duplicate detection between articles
+//
+// Exact duplicates - the same canonical URL, or the same text once case,
+// punctuation and spacing are ignored - break a ledger rule, so every node
+// rejects them. Near duplicates (rewrites, lightly edited copies) are a local
+// judgement from SimHash fingerprints and, where both articles are embedded,
+// vector similarity; they are accepted and grouped into story clusters.
+const crypto = require('crypto');
+const { canonicalizeUrl } = require('./ingest');
+
+const MIN_HASHED_CONTENT = 200; // shorter texts are too generic to call duplicates
+const MIN_FINGERPRINT_WORDS = 20; // fingerprints of shorter texts are too noisy to compare
+const SIMHASH_MAX_DISTANCE = 10; // differing bits out of 64; unrelated texts sit around 32
+const EMBEDDING_MIN_SIMILARITY = 0.92;
+const NEIGHBOUR_CANDIDATES = 10; // nearest documents in the vector index compared per article
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Canonical URL, or null for original articles with placeholder URLs
+function getUrlKey(article) {
+  if (!article.url || article.url.startsWith('#')) return null;
+  return canonicalizeUrl(article.url);
+}
+
+function getContentHash(article) {
+  const text = normalizeText(article.content);
+  if (text.length < MIN_HASHED_CONTENT) return null;
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// 64-bit SimHash over word 3-shingles, as [high, low] 32-bit halves, or null
+// when the text is too short to fingerprint reliably
+function simhash(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+  const weights = new Int32Array(64);
+  for (let i = 0; i + 3 <= words.length; i++) {
+    const digest = crypto.createHash('md5').update(words.slice(i, i + 3).join(' ')).digest();
+    const halves = [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+    for (let bit = 0; bit < 64; bit++) {
+      const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+      weights[bit] += set ? 1 : -1;
+    }
+  }
+
+  const fingerprint = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) fingerprint[bit >> 5] |= 1 << (bit & 31);
+  }
+  return fingerprint;
+}
+
+function popcount(value) {
+  value = value - ((value >>> 1) & 0x55555555);
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hammingDistance(a, b) {
+  return popcount(a[0] ^ b[0]) + popcount(a[1] ^ b[1]);
+}
+
+// Keys of the band buckets a fingerprint falls in: the 64 bits split into
+// `bands` runs. Fingerprints within `bands - 1` bits of each other agree on
+// at least one whole band, so they always share a bucket.
+function getBandKeys(fingerprint, bands) {
+  const keys = [];
+  for (let band = 0; band < bands; band++) {
+    let value = '';
+    for (let bit = Math.floor(band * 64 / bands); bit < Math.floor((band + 1) * 64 / bands); bit++) {
+      value += (fingerprint[bit >> 5] >>> (bit & 31)) & 1;
+    }
+    keys.push(`${band}:${value}`);
+  }
+  return keys;
+}
+
+// Near-duplicate groups are kept up to date as articles are indexed: each new
+// article is compared only with the candidates that share a SimHash band
+// bucket with it or sit near it in the vector index, and joins (or merges)
+// their clusters. A cluster is named after its earliest article.
+class DuplicateDetector {
+  constructor(ragProcessor, options = {}) {
+    this.ragProcessor = ragProcessor;
+    this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : SIMHASH_MAX_DISTANCE;
+    this.minSimilarity = options.minSimilarity || EMBEDDING_MIN_SIMILARITY;
+    this.bands = Math.min(64, this.maxDistance + 1);
+    this.fingerprints = new Map(); // version id -> simhash; a version's text never changes
+    this.indexed = new Map(); // article id -> { id, timestamp, fingerprint, bandKeys, clusterId }
+    this.buckets = new Map(); // band key -> Set of article ids
+    this.clusters = new Map(); // cluster id -> Set of article ids
+  }
+
+  fingerprint(article) {
+    const key = article.versionId || article.id;
+    if (key && this.fingerprints.has(key)) {
+      return this.fingerprints.get(key);
+    }
+    const fingerprint = simhash(`${article.title} ${article.content || ''}`);
+    if (key) {
+      this.fingerprints.set(key, fingerprint);
+    }
+    return fingerprint;
+  }
+
+  // Mean of the article's passage vectors, or null if it isn't embedded
+  getDocumentVector(id) {
+    const embedding = this.ragProcessor.embeddings.get(id);
+    if (!embedding || embedding.passages.length === 0) return null;
+    const vectors = embedding.passages.map(passage => passage.vector);
+    return vectors[0].map((_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+  }
+
+  // Returns { distance, similarity } when the two look like copies of each
+  // other, otherwise null
+  compare(fingerprintA, fingerprintB, vectorA, vectorB) {
+    const distance = fingerprintA && fingerprintB ? hammingDistance(fingerprintA, fingerprintB) : null;
+    const similarity = vectorA && vectorB ? this.ragProcessor.cosineSimilarity(vectorA, vectorB) : null;
+
+    if ((distance !== null && distance <= this.maxDistance) ||
+        (similarity !== null && similarity >= this.minSimilarity)) {
+      return { distance, similarity: similarity !== null ? Math.round(similarity * 1000) / 1000 : null };
+    }
+    return null;
+  }
+
+  // Indexed articles that could be near duplicates of a text with this
+  // fingerprint and vector
+  getCandidateIds(fingerprint, vector) {
+    const ids = new Set();
+    if (fingerprint) {
+      getBandKeys(fingerprint, this.bands).forEach(key => {
+        (this.buckets.get(key) || []).forEach(id => ids.add(id));
+      });
+    }
+    if (vector) {
+      this.ragProcessor.findCandidates(vector, NEIGHBOUR_CANDIDATES).forEach(id => {
+        if (this.indexed.has(id)) ids.add(id);
+      });
+    }
+    return ids;
+  }
+
+  // Near duplicates of a submission among `candidates`, closest first. The
+  // submission is embedded on the fly when the embedding model is available;
+  // indexed candidates are only compared if the buckets or vector index
+  // bring them up.
+  async findNearDuplicates(article, candidates) {
+    let vector = null;
+    try {
+      vector = await this.ragProcessor.generateEmbedding(`${article.title} ${(article.content || '').substring(0, 2000)}`);
+    } catch (error) {
+      // Fingerprints alone still catch lightly edited copies
+    }
+
+    const fingerprint = this.fingerprint(article);
+    const nearby = this.getCandidateIds(fingerprint, vector);
+    return candidates
+      .filter(candidate => candidate.id !== article.id && (nearby.has(candidate.id) || !this.indexed.has(candidate.id)))
+      .map(candidate => {
+        const match = this.compare(fingerprint, this.fingerprint(candidate), vector, this.getDocumentVector(candidate.id));
+        return match && { id: candidate.id, title: candidate.title, ...match };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.similarity || 0) - (a.similarity || 0) || (a.distance ?? 64) - (b.distance ?? 64));
+  }
+
+  // Called as each article is indexed, after its embedding is stored. An
+  // article keeps the cluster it was first given; a revision only refreshes
+  // its fingerprint so later articles are compared with the current text.
+  assign(article) {
+    const fingerprint = this.fingerprint(article);
+    const existing = this.indexed.get(article.id);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        this.unbucket(existing);
+        existing.fingerprint = fingerprint;
+        this.bucket(existing);
+      }
+      return;
+    }
+
+    const vector = this.getDocumentVector(article.id);
+    const matchedClusters = new Set();
+    this.getCandidateIds(fingerprint, vector).forEach(id => {
+      const candidate = this.indexed.get(id);
+      if (this.compare(fingerprint, candidate.fingerprint, vector, this.getDocumentVector(id))) {
+        matchedClusters.add(candidate.clusterId);
+      }
+    });
+
+    const entry = { id: article.id, timestamp: article.timestamp, fingerprint, bandKeys: [], clusterId: article.id };
+    this.indexed.set(article.id, entry);
+    this.clusters.set(article.id, new Set([article.id]));
+    this.bucket(entry);
+    matchedClusters.forEach(clusterId => this.mergeClusters(clusterId, entry.clusterId));
+  }
+
+  // Joins two clusters under the earlier of their first articles
+  mergeClusters(a, b) {
+    if (a === b) return;
+    const [keep, drop] = this.indexed.get(a).timestamp <= this.indexed.get(b).timestamp ? [a, b] : [b, a];
+    const members = this.clusters.get(keep);
+    this.clusters.get(drop).forEach(id => {
+      members.add(id);
+      this.indexed.get(id).clusterId = keep;
+    });
+    this.clusters.delete(drop);
+  }
+
+  // Clusters live in memory only; at startup they are rebuilt by assigning
+  // every article on the chain again, oldest first
+  rebuild(articles) {
+    this.indexed.clear();
+    this.buckets.clear();
+    this.clusters.clear();
+    articles.forEach(article => this.assign(article));
+  }
+
+  // For articles dropped from the chain by a reorg
+  remove(id) {
+    const entry = this.indexed.get(id);
+    if (!entry) return;
+    this.unbucket(entry);
+    this.indexed.delete(id);
+
+    const members = this.clusters.get(entry.clusterId);
+    members.delete(id);
+    this.clusters.delete(entry.clusterId);
+    if (members.size > 0) {
+      // The cluster is named after its earliest remaining article
+      const first = Array.from(members).reduce((earliest, memberId) =>
+        this.indexed.get(memberId).timestamp < this.indexed.get(earliest).timestamp ? memberId : earliest);
+      members.forEach(memberId => { this.indexed.get(memberId).clusterId = first; });
+      this.clusters.set(first, members);
+    }
+  }
+
+  bucket(entry) {
+    entry.bandKeys = entry.fingerprint ? getBandKeys(entry.fingerprint, this.bands) : [];
+    entry.bandKeys.forEach(key => {
+      if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+      this.buckets.get(key).add(entry.id);
+    });
+  }
+
+  unbucket(entry) {
+    entry.bandKeys.forEach(key => {
+      const bucket = this.buckets.get(key);
+      bucket.delete(entry.id);
+      if (bucket.size === 0) this.buckets.delete(key);
+    });
+  }
+
+  getCluster(id) {
+    const entry = this.indexed.get(id);
+    if (!entry) return { clusterId: id, size: 1 };
+    return { clusterId: entry.clusterId, size: this.clusters.get(entry.clusterId).size };
+  }
+
+  // Map of article id -> { clusterId, size } for `articles`; articles not
+  // indexed yet stand alone
+  getClusters(articles) {
+    return new Map(articles.map(article => [article.id, this.getCluster(article.id)]));
+  }
+}
+
+module.exports = DuplicateDetector;
+module.exports.getUrlKey = getUrlKey;
+module.exports.getContentHash = getContentHash;
+module.exports.simhash = simhash;
+module.exports.hammingDistance = hammingDistance;
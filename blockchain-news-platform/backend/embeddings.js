@@ -0,0 +1,252 @@
+// embeddings.js - Pluggable sentence-embedding providers for the RAG index
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+
+// Every provider exposes the same shape:
+//   id         - identifies the vector space (provider + model); vectors from
+//                different ids must never be compared
+//   dimension  - length of every vector it returns
+//   embed(texts) -> Promise<number[][]>, one L2-normalized vector per text
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function retryableError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+function normalize(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude ? vector.map(value => value / magnitude) : vector;
+}
+
+// Sentence-transformer model run on the CPU through transformers.js (ONNX).
+// The model is downloaded to the transformers.js cache on first use.
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.model = options.model || 'Xenova/all-MiniLM-L6-v2';
+    this.dimension = options.dimension || 384;
+    this.id = `local:${this.model}`;
+    this.extractor = null;
+  }
+
+  load() {
+    if (!this.extractor) {
+      // transformers.js is an ES module; load it lazily so other providers don't need it
+      this.extractor = import('@huggingface/transformers')
+        .then(({ pipeline }) => {
+          console.log(`Loading embedding model ${this.model}...`);
+          return pipeline('feature-extraction', this.model, { dtype: 'fp32' });
+        })
+        .catch(error => {
+          this.extractor = null;
+          throw new Error(`Could not load embedding model ${this.model}: ${error.message}`);
+        });
+    }
+    return this.extractor;
+  }
+
+  async embed(texts) {
+    const extractor = await this.load();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    const vectors = output.tolist();
+
+    if (vectors[0] && vectors[0].length !== this.dimension) {
+      throw new Error(`Model ${this.model} returned ${vectors[0].length}-d vectors, expected ${this.dimension}`);
+    }
+    return vectors;
+  }
+}
+
+// Any endpoint that speaks the OpenAI /v1/embeddings API (OpenAI, Ollama,
+// LM Studio, vLLM, text-embeddings-inference, ...)
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.model = options.model || 'text-embedding-3-small';
+    // Only ask the endpoint to shorten vectors when a dimension was configured;
+    // not every OpenAI-compatible server supports the parameter
+    this.requestDimensions = !!options.dimension;
+    this.dimension = options.dimension || 1536;
+    this.batchSize = options.batchSize || 64;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.retryBaseMs = options.retryBaseMs || 500;
+    this.id = `openai:${this.baseUrl}:${this.model}:${this.dimension}`;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const response = await this.withRetries({
+        model: this.model,
+        input: batch,
+        dimensions: this.requestDimensions ? this.dimension : undefined
+      });
+
+      const data = (response.data || []).sort((a, b) => a.index - b.index);
+      if (data.length !== batch.length) {
+        throw new Error(`Embedding endpoint returned ${data.length} vectors for ${batch.length} inputs`);
+      }
+      data.forEach(item => {
+        if (item.embedding.length !== this.dimension) {
+          throw new Error(`Embedding endpoint returned ${item.embedding.length}-d vectors, expected ${this.dimension}`);
+        }
+        vectors.push(normalize(item.embedding));
+      });
+    }
+    return vectors;
+  }
+
+  // Same policy as the LLM providers: exponential backoff with jitter,
+  // honouring Retry-After, for timeouts, network errors and retryable statuses
+  async withRetries(body) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await this.request(body);
+      } catch (error) {
+        if (!error.retryable || retry >= this.maxRetries) {
+          throw error;
+        }
+        const backoff = error.retryAfterMs || this.retryBaseMs * Math.pow(2, retry) * (0.5 + Math.random());
+        console.log(`Embedding request failed (${error.message}), retrying in ${Math.round(backoff)}ms`);
+        await sleep(backoff);
+      }
+    }
+  }
+
+  request(body) {
+    const url = new URL(`${this.baseUrl}/embeddings`);
+    const transport = url.protocol === 'http:' ? http : https;
+    const requestData = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestData)
+      };
+      if (this.apiKey) {
+        headers['Authorization'] = `Bearer ${this.apiKey}`;
+      }
+
+      const req = transport.request(url, { method: 'POST', headers }, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          let response = null;
+          try {
+            response = JSON.parse(data);
+          } catch (error) {
+            if (res.statusCode < 400) {
+              reject(new Error(`Failed to parse embedding response: ${error.message}`));
+              return;
+            }
+          }
+          if (res.statusCode >= 400 || (response && response.error)) {
+            const error = new Error((response && response.error && response.error.message) || `Embedding API returned ${res.statusCode}`);
+            error.status = res.statusCode;
+            error.retryable = RETRYABLE_STATUS.has(res.statusCode);
+            const retryAfter = parseFloat(res.headers['retry-after']);
+            error.retryAfterMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined;
+            reject(error);
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+      // Idle timeout: no bytes for timeoutMs, whether waiting for headers or mid-body
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy();
+        reject(retryableError(`Embedding API request timed out after ${this.timeoutMs}ms`));
+      });
+      req.on('error', (error) => {
+        reject(retryableError(`Embedding API request failed: ${error.message}`));
+      });
+
+      req.write(requestData);
+      req.end();
+    });
+  }
+}
+
+// Feature hashing of words and word bigrams into a fixed-size vector. Needs no
+// model or network, so it suits offline nodes and tests, but it only matches
+// shared words - "election" still won't find "vote".
+class HashingEmbeddingProvider {
+  constructor(options = {}) {
+    this.dimension = options.dimension || 384;
+    this.id = `hashing:${this.dimension}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const words = (text || '').toLowerCase()
+      .replace(/[^\w\s]/g, '')
+      .split(/\s+/)
+      .filter(w => w.length > 2);
+
+    const features = words.concat(words.slice(1).map((word, i) => `${words[i]} ${word}`));
+    features.forEach(feature => {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      const bucket = digest.readUInt32LE(0) % this.dimension;
+      vector[bucket] += digest[4] & 1 ? 1 : -1;
+    });
+
+    return normalize(vector);
+  }
+}
+
+// Pick a provider from the environment:
+//   EMBEDDING_PROVIDER   local (default) | openai | hashing
+//   EMBEDDING_MODEL      model name for local/openai
+//   EMBEDDING_DIMENSION  vector length
+//   EMBEDDING_BASE_URL   OpenAI-compatible base URL (default https://api.openai.com/v1)
+//   EMBEDDING_API_KEY    API key for the endpoint (falls back to OPENAI_API_KEY)
+//   EMBEDDING_TIMEOUT_MS, EMBEDDING_MAX_RETRIES   request timeout and retry count
+function createEmbeddingProvider(env = process.env) {
+  const options = {
+    model: env.EMBEDDING_MODEL,
+    dimension: parseInt(env.EMBEDDING_DIMENSION) || undefined
+  };
+
+  switch ((env.EMBEDDING_PROVIDER || 'local').toLowerCase()) {
+    case 'local':
+      return new LocalEmbeddingProvider(options);
+    case 'openai':
+      return new OpenAIEmbeddingProvider({
+        ...options,
+        baseUrl: env.EMBEDDING_BASE_URL,
+        apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY,
+        timeoutMs: parseInt(env.EMBEDDING_TIMEOUT_MS) || undefined,
+        maxRetries: env.EMBEDDING_MAX_RETRIES !== undefined ? parseInt(env.EMBEDDING_MAX_RETRIES) : undefined
+      });
+    case 'hashing':
+      return new HashingEmbeddingProvider(options);
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${env.EMBEDDING_PROVIDER}"`);
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  LocalEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  HashingEmbeddingProvider
+};
@@ -0,0 +1,81 @@
+// facets.js - Facet counts over search results
+//
+// Every result is tagged with its facet values so a client can narrow the
+// list it already has, and the response carries the counts per value:
+//   { domain: [{ value, count }], day, week, trust, keyword }
+const { calculateTrustScore } = require('./trust');
+const { getDomain, getArticleDate } = require('./filters');
+
+const TRUST_BUCKETS = [
+  { value: '85-100', min: 85, max: 100 },
+  { value: '70-84', min: 70, max: 84 },
+  { value: '50-69', min: 50, max: 69 },
+  { value: '0-49', min: 0, max: 49 }
+];
+const KEYWORDS_PER_RESULT = 3;
+const MAX_VALUES_PER_FACET = 10;
+
+function getTrustBucket(score) {
+  return TRUST_BUCKETS.find(bucket => score >= bucket.min).value;
+}
+
+// ISO 8601 week, e.g. "2026-W42"; weeks start on Monday and belong to the
+// year their Thursday falls in
+function getIsoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// `extractKeywords(text, topN)` is RAGProcessor.extractKeywords. Results
+// with a date outside Date's range get no day or week facet.
+function getFacetValues(result, extractKeywords) {
+  const date = new Date(getArticleDate(result));
+  const datable = !Number.isNaN(date.getTime());
+  return {
+    domain: getDomain(result.url) || 'original',
+    day: datable ? date.toISOString().slice(0, 10) : [],
+    week: datable ? getIsoWeek(date) : [],
+    trust: getTrustBucket(result.trustScore !== undefined ? result.trustScore : calculateTrustScore(result)),
+    keyword: extractKeywords(`${result.title} ${result.content || ''}`, KEYWORDS_PER_RESULT)
+  };
+}
+
+function countValues(results, field) {
+  const counts = new Map();
+  results.forEach(result => {
+    [].concat(result.facets[field]).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return Array.from(counts, ([value, count]) => ({ value, count }));
+}
+
+// Adds `facets` to each result and returns the aggregated counts. Time facets
+// are listed newest first, trust buckets highest first, the rest by count.
+function buildFacets(results, extractKeywords) {
+  results.forEach(result => {
+    result.facets = getFacetValues(result, extractKeywords);
+  });
+
+  const byCount = (a, b) => b.count - a.count || a.value.localeCompare(b.value);
+  const byValueDesc = (a, b) => b.value.localeCompare(a.value);
+  const trustOrder = TRUST_BUCKETS.map(bucket => bucket.value);
+
+  return {
+    domain: countValues(results, 'domain').sort(byCount).slice(0, MAX_VALUES_PER_FACET),
+    day: countValues(results, 'day').sort(byValueDesc),
+    week: countValues(results, 'week').sort(byValueDesc),
+    trust: countValues(results, 'trust').sort((a, b) => trustOrder.indexOf(a.value) - trustOrder.indexOf(b.value)),
+    keyword: countValues(results, 'keyword').sort(byCount).slice(0, MAX_VALUES_PER_FACET)
+  };
+}
+
+module.exports = {
+  buildFacets,
+  getIsoWeek,
+  TRUST_BUCKETS
+};
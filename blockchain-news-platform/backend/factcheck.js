@@ -0,0 +1,208 @@
+// factcheck.js - Cross-check an article's claims against the rest of the chain
+//
+// Claims are extracted from the article, evidence for each is retrieved from
+// the other articles in the RAG index, and the LLM labels every claim
+// supported / contradicted / unverified with the evidence it relied on.
+
+const { MAX_TITLE_LENGTH } = require('./identity');
+
+const VERDICTS = ['supported', 'contradicted', 'unverified'];
+const MAX_CLAIMS = 8;
+const EVIDENCE_PER_CLAIM = 3;
+const MAX_CLAIM_LENGTH = 500;
+const MAX_QUOTE_LENGTH = 300;
+// Caps on what the model's labels add to a FACTCHECK transaction
+const MAX_EXPLANATION_LENGTH = 500;
+const MAX_CITATIONS_PER_CLAIM = 5;
+
+// Pull the first JSON array out of a model reply, or null
+function parseJsonArray(text) {
+  const match = (text || '').match(/\[[\s\S]*\]/);
+  if (!match) return null;
+  try {
+    const value = JSON.parse(match[0]);
+    return Array.isArray(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Structure check for the claims stored in a FACTCHECK transaction
+function isValidFactCheckClaims(claims) {
+  return Array.isArray(claims) &&
+    claims.length > 0 &&
+    claims.length <= MAX_CLAIMS &&
+    claims.every(claim =>
+      claim &&
+      typeof claim.claim === 'string' &&
+      claim.claim.length > 0 &&
+      claim.claim.length <= MAX_CLAIM_LENGTH &&
+      VERDICTS.includes(claim.verdict) &&
+      typeof claim.explanation === 'string' &&
+      claim.explanation.length <= MAX_EXPLANATION_LENGTH &&
+      Array.isArray(claim.citations) &&
+      claim.citations.length <= MAX_CITATIONS_PER_CLAIM &&
+      claim.citations.every(isValidCitation)
+    );
+}
+
+function isValidCitation(citation) {
+  return !!citation &&
+    typeof citation.articleId === 'string' &&
+    (citation.title === undefined || (typeof citation.title === 'string' && citation.title.length <= MAX_TITLE_LENGTH)) &&
+    (citation.quote === undefined || (typeof citation.quote === 'string' && citation.quote.length <= MAX_QUOTE_LENGTH));
+}
+
+class FactChecker {
+  constructor(ragProcessor, llm) {
+    this.ragProcessor = ragProcessor;
+    this.llm = llm;
+  }
+
+  // Returns { claims: [{ claim, verdict, explanation, citations }], model };
+  // claims is empty when the article makes no checkable statement
+  async check(article) {
+    const claims = await this.extractClaims(article);
+    if (claims.length === 0) {
+      return { claims: [], model: 'none' };
+    }
+
+    const sources = [];
+    const evidence = [];
+    for (const claim of claims) {
+      evidence.push(await this.findEvidence(article, claim, sources));
+    }
+
+    try {
+      return { claims: await this.labelClaims(claims, evidence, sources), model: this.llm.provider.id };
+    } catch (error) {
+      console.error('Fact-check labelling failed:', error.message);
+      // Without a verdict from the model, report the related coverage as-is
+      return {
+        claims: claims.map((claim, index) => ({
+          claim,
+          verdict: 'unverified',
+          explanation: evidence[index].length > 0
+            ? 'Related articles were found but could not be compared automatically.'
+            : 'No other article on the chain covers this claim.',
+          citations: evidence[index].slice(0, MAX_CITATIONS_PER_CLAIM).map(number => this.toCitation(sources[number - 1]))
+        })),
+        model: 'none'
+      };
+    }
+  }
+
+  async extractClaims(article) {
+    const message = `List the main factual claims made in this article, at most ${MAX_CLAIMS}. Each claim must be a single self-contained sentence that could be checked against other reporting. Reply with only a JSON array of strings.
+
+Title: ${article.title}
+Content: ${(article.content || '').substring(0, 4000)}`;
+
+    try {
+      const result = await this.llm.chat(message, {}, { temperature: 0, maxTokens: 600 });
+      const claims = parseJsonArray(result.response);
+      if (claims && claims.length > 0 && claims.every(claim => typeof claim === 'string')) {
+        return claims.slice(0, MAX_CLAIMS).map(claim => claim.trim().substring(0, MAX_CLAIM_LENGTH));
+      }
+      console.error('Claim extraction reply was not a JSON array of strings, using the article sentences');
+    } catch (error) {
+      console.error('Claim extraction failed:', error.message);
+    }
+    return this.extractClaimsFromSentences(article);
+  }
+
+  // Fallback: the article's longer sentences, preferring ones with figures
+  extractClaimsFromSentences(article) {
+    const sentences = ((article.content || article.title).match(/[^.!?]+[.!?]+/g) || [article.content || article.title])
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.split(/\s+/).length >= 5);
+
+    return Array.from(new Set(sentences))
+      .map((sentence, position) => ({ sentence, position, score: (/\d/.test(sentence) ? 2 : 0) + Math.min(sentence.length / 100, 1) }))
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, Math.min(MAX_CLAIMS, 5))
+      .sort((a, b) => a.position - b.position)
+      .map(({ sentence }) => sentence.substring(0, MAX_CLAIM_LENGTH));
+  }
+
+  // Numbers of the sources (shared across claims) that discuss `claim`
+  async findEvidence(article, claim, sources) {
+    const otherArticles = id => id !== article.id;
+    let hits;
+    try {
+      hits = await this.ragProcessor.search(claim, EVIDENCE_PER_CLAIM, 'semantic', otherArticles);
+    } catch (error) {
+      // No embedding model: keyword matches are still useful evidence
+      hits = this.ragProcessor.searchLexical(claim, EVIDENCE_PER_CLAIM, otherArticles);
+    }
+
+    return hits.filter(hit => hit.relevance > 0).map(hit => {
+      let source = sources.find(s => s.articleId === hit.id);
+      if (!source) {
+        source = {
+          number: sources.length + 1,
+          articleId: hit.id,
+          title: hit.title,
+          text: hit.passages && hit.passages.length > 0
+            ? hit.passages.map(passage => passage.text).join(' ')
+            : (hit.content || '').substring(0, 800)
+        };
+        sources.push(source);
+      }
+      return source.number;
+    });
+  }
+
+  async labelClaims(claims, evidence, sources) {
+    const claimList = claims
+      .map((claim, index) => `Claim ${index + 1}: ${claim}\n   Evidence: ${evidence[index].map(n => `[${n}]`).join(' ') || 'none'}`)
+      .join('\n');
+    const sourceList = sources
+      .map(source => `[${source.number}] "${source.title}": ${source.text.substring(0, 800)}`)
+      .join('\n');
+
+    const message = `Fact-check each claim using only the numbered evidence articles. Label a claim "supported" if the evidence confirms it, "contradicted" if the evidence disputes it, and "unverified" if the evidence does not settle it.
+Reply with only a JSON array with one object per claim, in order:
+[{"claim": 1, "verdict": "supported", "sources": [2], "explanation": "one sentence"}]
+
+${claimList}
+
+Evidence articles:
+${sourceList || 'none'}`;
+
+    const result = await this.llm.chat(message, {}, { temperature: 0, maxTokens: 1200 });
+    const labels = (parseJsonArray(result.response) || []).filter(label => label && typeof label === 'object');
+    if (labels.length === 0) {
+      throw new Error('Fact-check reply was not a JSON array of labels');
+    }
+
+    return claims.map((claim, index) => {
+      const label = labels.find(l => Number(l.claim) === index + 1) || {};
+      const verdict = VERDICTS.includes(label.verdict) ? label.verdict : 'unverified';
+      const cited = Array.from(new Set((Array.isArray(label.sources) ? label.sources : [])
+        .map(number => sources[Number(number) - 1])
+        .filter(Boolean)))
+        .slice(0, MAX_CITATIONS_PER_CLAIM);
+      return {
+        claim,
+        verdict,
+        explanation: typeof label.explanation === 'string' ? label.explanation.substring(0, MAX_EXPLANATION_LENGTH) : '',
+        citations: cited.map(source => this.toCitation(source))
+      };
+    });
+  }
+
+  toCitation(source) {
+    return {
+      articleId: source.articleId,
+      title: typeof source.title === 'string' ? source.title.substring(0, MAX_TITLE_LENGTH) : undefined,
+      quote: source.text.substring(0, MAX_QUOTE_LENGTH)
+    };
+  }
+}
+
+module.exports = FactChecker;
+module.exports.isValidFactCheckClaims = isValidFactCheckClaims;
+module.exports.VERDICTS = VERDICTS;
+module.exports.MAX_EXPLANATION_LENGTH = MAX_EXPLANATION_LENGTH;
+module.exports.MAX_CITATIONS_PER_CLAIM = MAX_CITATIONS_PER_CLAIM;
@@ -0,0 +1,364 @@
+// feeds.js - RSS/Atom subscriptions that publish new entries as articles
+//
+// Each registered feed is polled on its own interval. New entries (not seen
+// in the feed before and not already on the chain by URL) become article
+// drafts, and `publish(draft)` - supplied by the server - signs them with the
+// node key and queues them for the next block, where they are indexed like
+// any other article. Feed settings and status live in feeds.json.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fetchPage, canonicalizeUrl, toText, decodeEntities, normalizeLanguage, MAX_CONTENT_LENGTH } = require('./ingest');
+const { isValidTags, MAX_TITLE_LENGTH } = require('./identity');
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+const MAX_FEEDS = 100;
+const MAX_ITEMS_PER_POLL = 20; // newest entries considered per poll
+const MAX_SEEN_PER_FEED = 1000; // entry ids remembered for deduplication
+const FULL_TEXT_MIN_LENGTH = 280; // shorter entries are summaries; fetch the page instead
+const MAX_BYLINE_LENGTH = 120;
+
+class FeedError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'FeedError';
+    this.status = status;
+  }
+}
+
+function getFeedId(url) {
+  return 'feed_' + crypto.createHash('sha256').update(url).digest('hex').substring(0, 12);
+}
+
+// Text of the first <name> element in `xml`, CDATA unwrapped and entities
+// decoded once, or null
+function readElement(xml, name) {
+  const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`, 'i'));
+  if (!match) return null;
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1] : decodeEntities(match[1]);
+}
+
+// Entry HTML (or plain text) to paragraphs separated by blank lines
+function toParagraphs(html) {
+  return (html || '')
+    .split(/<\/p>|<br\s*\/?>\s*<br\s*\/?>|\n\s*\n/i)
+    .map(toText)
+    .filter(Boolean)
+    .join('\n\n')
+    .substring(0, MAX_CONTENT_LENGTH);
+}
+
+function parseDate(value) {
+  const time = Date.parse((value || '').trim());
+  return Number.isFinite(time) && time > 0 && time < Date.now() + 24 * 60 * 60 * 1000 ? time : null;
+}
+
+function cleanByline(value) {
+  // RSS <author> is "email (Name)"; keep the name
+  const text = toText(value || '').replace(/^\S+@\S+\s*\((.*)\)$/, '$1').replace(/^by\s+/i, '').trim();
+  return text && !/^\S+@\S+$/.test(text) ? text.substring(0, MAX_BYLINE_LENGTH) : null;
+}
+
+function atomLink(entry) {
+  const links = Array.from(entry.matchAll(/<link\b([^>]*)\/?>/gi), match => match[1]);
+  const alternate = links.find(attributes => !/rel=/.test(attributes) || /rel=["']alternate["']/.test(attributes));
+  const href = alternate && alternate.match(/href=["']([^"']+)["']/);
+  return href ? decodeEntities(href[1]) : null;
+}
+
+// RSS 2.0, RSS 1.0 (RDF) and Atom. Returns { title, language, items } with
+// items as { guid, title, url, content, byline, publishedAt }, or null if
+// `xml` isn't a feed.
+function parseFeed(xml, feedUrl) {
+  const isAtom = /<feed\b[^>]*>/i.test(xml) && !/<rss\b|<rdf:RDF\b/i.test(xml);
+  if (!isAtom && !/<rss\b|<rdf:RDF\b|<channel\b/i.test(xml)) {
+    return null;
+  }
+
+  const head = xml.split(isAtom ? /<entry\b/i : /<item\b/i)[0];
+  const language = isAtom
+    ? (head.match(/<feed\b[^>]*xml:lang=["']([^"']+)["']/i) || [])[1]
+    : readElement(head, 'language') || readElement(head, 'dc:language');
+
+  const blocks = Array.from(xml.matchAll(isAtom ? /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi : /<item\b[^>]*>([\s\S]*?)<\/item>/gi), match => match[1]);
+  const items = blocks.map(block => {
+    const link = isAtom ? atomLink(block) : (readElement(block, 'link') || '').trim();
+    const guid = (readElement(block, isAtom ? 'id' : 'guid') || link || '').trim();
+    const body = isAtom
+      ? readElement(block, 'content') || readElement(block, 'summary')
+      : readElement(block, 'content:encoded') || readElement(block, 'description');
+    const author = isAtom
+      ? readElement(readElement(block, 'author') || '', 'name')
+      : readElement(block, 'dc:creator') || readElement(block, 'author');
+
+    return {
+      guid,
+      title: toText(readElement(block, 'title') || '').substring(0, MAX_TITLE_LENGTH),
+      url: link ? canonicalizeUrl(link, feedUrl) : null,
+      content: toParagraphs(body),
+      byline: cleanByline(author),
+      publishedAt: parseDate(isAtom
+        ? readElement(block, 'published') || readElement(block, 'updated')
+        : readElement(block, 'pubDate') || readElement(block, 'dc:date'))
+    };
+  });
+
+  return {
+    title: toText(readElement(head, 'title') || '') || null,
+    language: normalizeLanguage(language),
+    items
+  };
+}
+
+// Options:
+//   publish(draft)       signs and queues a draft article, returning the
+//                        transaction, or null if the chain already has the
+//                        same story (URL or text); throws on other rejections
+//   isKnownUrl(url)      true if an article with this URL is already on the
+//                        chain or pending
+//   ingester             ArticleIngester used to fetch the full text of
+//                        entries that only carry a summary (optional)
+//   fetchPage(url)       replaces the network fetcher, as in ArticleIngester
+//   allowPrivateHosts    let the default fetcher reach private addresses
+//   tickMs               how often due feeds are checked
+class FeedManager {
+  constructor(dataDir, options = {}) {
+    this.feedsPath = path.join(dataDir, 'feeds.json');
+    this.publish = options.publish;
+    this.isKnownUrl = options.isKnownUrl || (() => false);
+    this.ingester = options.ingester || null;
+    this.fetchPage = options.fetchPage || (url => fetchPage(url, { allowPrivateHosts: !!options.allowPrivateHosts }));
+    this.tickMs = options.tickMs || 60000;
+    this.feeds = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.loadFeeds();
+  }
+
+  start() {
+    this.timer = setInterval(() => this.pollDueFeeds(), this.tickMs);
+    console.log(`Feed poller started (${this.feeds.size} feed(s), checking every ${this.tickMs}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  get(id) {
+    return this.feeds.get(id) || null;
+  }
+
+  // Feed settings and status, without the dedupe list
+  getStatus(feed) {
+    const { seen, ...status } = feed;
+    return { ...status, nextFetchAt: (feed.lastFetchAt || 0) + feed.intervalMinutes * 60000 };
+  }
+
+  list() {
+    return Array.from(this.feeds.values())
+      .sort((a, b) => a.addedAt - b.addedAt)
+      .map(feed => this.getStatus(feed));
+  }
+
+  // Registers a feed after checking that the URL really serves one, then
+  // imports its current entries
+  async add({ url, intervalMinutes, tags }) {
+    const feedUrl = typeof url === 'string' ? canonicalizeUrl(url) : null;
+    if (!feedUrl) {
+      throw new FeedError('url must be an absolute http(s) address', 400);
+    }
+    const interval = intervalMinutes === undefined ? DEFAULT_INTERVAL_MINUTES : Number(intervalMinutes);
+    if (!Number.isInteger(interval) || interval < MIN_INTERVAL_MINUTES || interval > MAX_INTERVAL_MINUTES) {
+      throw new FeedError(`intervalMinutes must be a whole number from ${MIN_INTERVAL_MINUTES} to ${MAX_INTERVAL_MINUTES}`, 400);
+    }
+    if (!isValidTags(tags)) {
+      throw new FeedError('tags must be unique lowercase labels', 400);
+    }
+    const id = getFeedId(feedUrl);
+    if (this.feeds.has(id)) {
+      throw new FeedError('Feed is already registered', 409);
+    }
+    if (this.feeds.size >= MAX_FEEDS) {
+      throw new FeedError(`At most ${MAX_FEEDS} feeds can be registered`, 409);
+    }
+
+    const parsed = await this.fetchFeed(feedUrl);
+    const feed = {
+      id,
+      url: feedUrl,
+      title: parsed.title,
+      intervalMinutes: interval,
+      tags,
+      addedAt: Date.now(),
+      lastFetchAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      consecutiveErrors: 0,
+      itemsImported: 0,
+      itemsSkipped: 0,
+      seen: []
+    };
+    this.feeds.set(id, feed);
+    await this.importItems(feed, parsed);
+    return this.getStatus(feed);
+  }
+
+  remove(id) {
+    const removed = this.feeds.delete(id);
+    if (removed) {
+      this.saveFeeds();
+    }
+    return removed;
+  }
+
+  async fetchFeed(url) {
+    let page;
+    try {
+      page = await this.fetchPage(url);
+    } catch (error) {
+      throw new FeedError(error.message, error.status || 502);
+    }
+    if (page.status >= 400) {
+      throw new FeedError(`Feed returned ${page.status}`, 502);
+    }
+    const parsed = parseFeed(page.body, page.url || url);
+    if (!parsed) {
+      throw new FeedError('URL does not serve an RSS or Atom feed', 422);
+    }
+    return parsed;
+  }
+
+  // Fetch and import one feed now; errors are recorded on the feed, not thrown
+  async poll(feed) {
+    try {
+      const parsed = await this.fetchFeed(feed.url);
+      feed.title = parsed.title || feed.title;
+      return await this.importItems(feed, parsed);
+    } catch (error) {
+      feed.lastFetchAt = Date.now();
+      feed.lastError = error.message;
+      feed.consecutiveErrors++;
+      this.saveFeeds();
+      console.error(`Feed ${feed.url} failed:`, error.message);
+      return { imported: 0, skipped: 0, error: error.message };
+    }
+  }
+
+  async pollDueFeeds() {
+    // A slow feed must not overlap the next tick
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const now = Date.now();
+      for (const feed of Array.from(this.feeds.values())) {
+        if ((feed.lastFetchAt || 0) + feed.intervalMinutes * 60000 <= now && this.feeds.has(feed.id)) {
+          await this.poll(feed);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // The newest entries not seen before are published oldest first, so the
+  // chain keeps the feed's order
+  async importItems(feed, parsed) {
+    const seen = new Set(feed.seen);
+    const fresh = parsed.items
+      .filter(item => item.guid && !seen.has(item.guid))
+      .sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0))
+      .slice(0, MAX_ITEMS_PER_POLL)
+      .reverse();
+
+    let imported = 0;
+    let skipped = 0;
+    let lastError = null;
+    for (const item of fresh) {
+      try {
+        if (!item.url || !item.title || this.isKnownUrl(item.url)) {
+          skipped++;
+        } else if (await this.publish(await this.buildDraft(feed, parsed, item))) {
+          imported++;
+        } else {
+          // A syndicated copy of an article already on the chain
+          skipped++;
+        }
+        feed.seen.push(item.guid);
+      } catch (error) {
+        // Left unseen so the next poll tries it again
+        lastError = `${item.url}: ${error.message}`;
+        console.error(`Could not import feed entry ${item.url}:`, error.message);
+      }
+    }
+
+    if (feed.seen.length > MAX_SEEN_PER_FEED) {
+      feed.seen.splice(0, feed.seen.length - MAX_SEEN_PER_FEED);
+    }
+    feed.lastFetchAt = Date.now();
+    feed.lastSuccessAt = feed.lastFetchAt;
+    feed.lastError = lastError;
+    feed.consecutiveErrors = 0;
+    feed.itemsImported += imported;
+    feed.itemsSkipped += skipped;
+    this.saveFeeds();
+
+    if (imported > 0) {
+      console.log(`Imported ${imported} article(s) from feed ${feed.title || feed.url}`);
+    }
+    return { imported, skipped, error: lastError };
+  }
+
+  async buildDraft(feed, parsed, item) {
+    const draft = {
+      title: item.title,
+      url: item.url,
+      content: item.content,
+      tags: feed.tags,
+      byline: item.byline || undefined,
+      publishedAt: item.publishedAt || undefined,
+      language: parsed.language || undefined
+    };
+
+    if (this.ingester && draft.content.length < FULL_TEXT_MIN_LENGTH) {
+      try {
+        const page = await this.ingester.ingest(item.url);
+        if (page.content.length > draft.content.length) {
+          draft.content = page.content;
+        }
+        draft.byline = draft.byline || page.byline || undefined;
+        draft.publishedAt = draft.publishedAt || page.publishedAt || undefined;
+        draft.language = draft.language || page.language || undefined;
+      } catch (error) {
+        // The summary from the feed is still worth publishing
+        console.error(`Full text unavailable for ${item.url}:`, error.message);
+      }
+    }
+    return draft;
+  }
+
+  saveFeeds() {
+    fs.writeFileSync(this.feedsPath, JSON.stringify(Array.from(this.feeds.values()), null, 2));
+  }
+
+  loadFeeds() {
+    if (fs.existsSync(this.feedsPath)) {
+      try {
+        const feeds = JSON.parse(fs.readFileSync(this.feedsPath, 'utf8'));
+        feeds.forEach(feed => this.feeds.set(feed.id, feed));
+        console.log(`Loaded ${this.feeds.size} feed subscription(s)`);
+      } catch (error) {
+        console.error('Error loading feeds:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = FeedManager;
+module.exports.FeedError = FeedError;
+module.exports.parseFeed = parseFeed;
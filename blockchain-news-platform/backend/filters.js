@@ -0,0 +1,165 @@
+// filters.js - Structured search filters and result sorting
+const { calculateTrustScore } = require('./trust');
+
+const SORT_OPTIONS = ['relevance', 'newest', 'trusted'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 10;
+
+// Hostname without "www.", or null for placeholder URLs like "#article_..."
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Publication date when the article carries one, otherwise when it was signed
+function getArticleDate(article) {
+  return article.publishedAt || article.timestamp || 0;
+}
+
+// Accepts epoch milliseconds or an ISO date; a bare "YYYY-MM-DD" upper bound
+// covers that whole day
+function parseDate(value, endOfDay) {
+  if (/^\d+$/.test(value)) return parseInt(value);
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+}
+
+// A whole-number query parameter from `min` up to `max`. Returns { value },
+// which is `defaultValue` when the parameter is absent or empty, or { error }.
+function parseIntegerParam(params, name, { min = 1, max = Infinity, defaultValue }) {
+  const raw = params[name];
+  if (raw === undefined || raw === '') return { value: defaultValue };
+  if (typeof raw !== 'string') return { error: `${name} must be given once` };
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max !== Infinity ? `an integer between ${min} and ${max}`
+      : min === 1 ? 'a positive integer' : `an integer of at least ${min}`;
+    return { error: `${name} must be ${range}` };
+  }
+  return { value };
+}
+
+// Build filters from request query parameters. Returns
+// { filters, sort, limit, minRelevance } or { error } describing the first
+// invalid parameter.
+function parseSearchFilters(params) {
+  const filters = {};
+
+  // Express turns "?tags[]=a" or a repeated parameter into an array (and
+  // "?domain[x]=y" into an object); every search parameter takes one value
+  const repeated = Object.keys(params).find(name => typeof params[name] !== 'string');
+  if (repeated) return { error: `${repeated} must be given once` };
+
+  const { value: limit, error } = parseIntegerParam(params, 'limit', { defaultValue: DEFAULT_LIMIT });
+  if (error) return { error };
+
+  // Relevance scores run from 0 to 100; null keeps every match
+  let minRelevance = null;
+  if (params.minRelevance !== undefined && params.minRelevance !== '') {
+    minRelevance = Number(params.minRelevance);
+    if (!Number.isFinite(minRelevance) || minRelevance < 0 || minRelevance > 100) {
+      return { error: 'minRelevance must be a number between 0 and 100' };
+    }
+  }
+
+  if (params.from) {
+    filters.from = parseDate(params.from, false);
+    if (filters.from === null) return { error: 'from must be a date or a timestamp' };
+  }
+  if (params.to) {
+    filters.to = parseDate(params.to, true);
+    if (filters.to === null) return { error: 'to must be a date or a timestamp' };
+  }
+  if (params.domain) {
+    filters.domain = params.domain.toLowerCase().replace(/^www\./, '');
+  }
+  if (params.minTrust !== undefined && params.minTrust !== '') {
+    filters.minTrust = parseFloat(params.minTrust);
+    if (!Number.isFinite(filters.minTrust)) return { error: 'minTrust must be a number' };
+  }
+  if (params.minVotes !== undefined && params.minVotes !== '') {
+    filters.minVotes = parseInt(params.minVotes);
+    if (!Number.isFinite(filters.minVotes)) return { error: 'minVotes must be a number' };
+  }
+  if (params.uploader) {
+    filters.uploader = params.uploader;
+  }
+  if (params.tags) {
+    filters.tags = params.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  }
+
+  const sort = params.sort || 'relevance';
+  if (!SORT_OPTIONS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_OPTIONS.join(', ')}` };
+  }
+
+  return { filters, sort, limit, minRelevance };
+}
+
+function hasFilters(filters) {
+  return !!filters && Object.keys(filters).length > 0;
+}
+
+function matchesFilters(article, filters) {
+  if (!article) return false;
+  if (!hasFilters(filters)) return true;
+
+  const date = getArticleDate(article);
+  if (filters.from !== undefined && date < filters.from) return false;
+  if (filters.to !== undefined && date > filters.to) return false;
+
+  if (filters.domain) {
+    const domain = getDomain(article.url);
+    if (!domain || (domain !== filters.domain && !domain.endsWith(`.${filters.domain}`))) return false;
+  }
+
+  if (filters.minTrust !== undefined && calculateTrustScore(article) < filters.minTrust) return false;
+  if (filters.minVotes !== undefined && (article.votes || 0) - (article.downvotes || 0) < filters.minVotes) return false;
+
+  if (filters.uploader && article.author !== filters.uploader) return false;
+
+  if (filters.tags && filters.tags.length > 0) {
+    const tags = new Set(article.tags || []);
+    if (!filters.tags.every(tag => tags.has(tag))) return false;
+  }
+
+  return true;
+}
+
+// Predicate over article ids for the search indexes. Filters are evaluated
+// against the on-chain articles so vote tallies are current; null when no
+// filter is set.
+function createArticleFilter(articles, filters) {
+  if (!hasFilters(filters)) return null;
+  const allowed = new Set(articles.filter(article => matchesFilters(article, filters)).map(article => article.id));
+  return id => allowed.has(id);
+}
+
+// Results arrive in relevance order; the other sorts reorder that set
+function sortResults(results, sort) {
+  switch (sort) {
+    case 'newest':
+      return results.slice().sort((a, b) => getArticleDate(b) - getArticleDate(a));
+    case 'trusted':
+      return results.slice().sort((a, b) => calculateTrustScore(b) - calculateTrustScore(a) || b.relevance - a.relevance);
+    default:
+      return results;
+  }
+}
+
+module.exports = {
+  parseSearchFilters,
+  parseIntegerParam,
+  matchesFilters,
+  hasFilters,
+  createArticleFilter,
+  sortResults,
+  getDomain,
+  getArticleDate,
+  SORT_OPTIONS
+};
@@ -0,0 +1,332 @@
+// hnsw.js - Hierarchical Navigable Small World graph for approximate
+// nearest-neighbor search over normalized embedding vectors
+// (Malkov & Yashunin, https://arxiv.org/abs/1603.09320)
+
+// Binary heap ordered by `compare`; used as both the candidate min-heap and
+// the bounded result max-heap during graph search
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const byDistance = (a, b) => a.distance - b.distance;
+const byDistanceDesc = (a, b) => b.distance - a.distance;
+
+class HNSWIndex {
+  constructor(options = {}) {
+    this.dimension = options.dimension;
+    this.M = options.M || 16; // links per node on upper layers
+    this.maxLinks0 = this.M * 2; // links per node on layer 0
+    this.efConstruction = options.efConstruction || 100;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    this.keys = []; // node -> key
+    this.vectors = []; // node -> Float32Array
+    this.levels = []; // node -> top layer
+    this.links = []; // node -> [layer -> [node]]
+    this.deleted = []; // node -> bool
+    this.nodeByKey = new Map();
+    this.deletedCount = 0;
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+
+    // Per-search visit stamps; cheaper than allocating a Set for every search
+    this.visitMarks = new Uint32Array(1024);
+    this.visitStamp = 0;
+  }
+
+  get size() {
+    return this.nodeByKey.size;
+  }
+
+  // Vectors are L2-normalized, so cosine distance is 1 - dot product
+  distance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return 1 - dot;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  // Insert a vector under `key`, replacing any vector already stored for it
+  add(key, vector) {
+    if (this.nodeByKey.has(key)) {
+      this.remove(key);
+    }
+    if (this.dimension && vector.length !== this.dimension) {
+      throw new Error(`Vector has ${vector.length} dimensions, index expects ${this.dimension}`);
+    }
+    this.dimension = vector.length;
+
+    const node = this.keys.length;
+    const level = this.randomLevel();
+    this.keys.push(key);
+    this.vectors.push(Float32Array.from(vector));
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.deleted.push(false);
+    this.nodeByKey.set(key, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    const query = this.vectors[node];
+    let entry = this.entryPoint;
+
+    // Greedy descent through the layers above the new node's top layer
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.greedyClosest(query, entry, layer);
+    }
+
+    let entryPoints = [{ node: entry, distance: this.distance(query, this.vectors[entry]) }];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(query, entryPoints, this.efConstruction, layer);
+      const maxLinks = layer === 0 ? this.maxLinks0 : this.M;
+      const neighbors = this.selectNeighbors(candidates, this.M);
+
+      this.links[node][layer] = neighbors.map(n => n.node);
+      neighbors.forEach(({ node: neighbor }) => {
+        const neighborLinks = this.links[neighbor][layer];
+        neighborLinks.push(node);
+        if (neighborLinks.length > maxLinks) {
+          this.links[neighbor][layer] = this.shrinkLinks(neighbor, neighborLinks, maxLinks);
+        }
+      });
+      entryPoints = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  // Deleted nodes stay in the graph as stepping stones but are never returned
+  remove(key) {
+    const node = this.nodeByKey.get(key);
+    if (node === undefined) return false;
+    this.nodeByKey.delete(key);
+    this.deleted[node] = true;
+    this.deletedCount++;
+    return true;
+  }
+
+  // Worth rebuilding once a quarter of the graph is tombstones
+  needsCompaction() {
+    return this.deletedCount > 100 && this.deletedCount > this.keys.length / 4;
+  }
+
+  greedyClosest(query, entry, layer) {
+    let current = entry;
+    let currentDistance = this.distance(query, this.vectors[current]);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.links[current][layer]) {
+        const d = this.distance(query, this.vectors[neighbor]);
+        if (d < currentDistance) {
+          current = neighbor;
+          currentDistance = d;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  // Best-first search of one layer; returns up to `ef` closest nodes, nearest first
+  searchLayer(query, entryPoints, ef, layer) {
+    if (this.visitMarks.length < this.keys.length) {
+      const grown = new Uint32Array(Math.max(this.keys.length, this.visitMarks.length * 2));
+      grown.set(this.visitMarks);
+      this.visitMarks = grown;
+    }
+    const stamp = ++this.visitStamp;
+    const marks = this.visitMarks;
+    entryPoints.forEach(e => {
+      marks[e.node] = stamp;
+    });
+
+    const candidates = new Heap(byDistance);
+    const results = new Heap(byDistanceDesc);
+    entryPoints.forEach(e => {
+      candidates.push(e);
+      results.push(e);
+    });
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+      if (closest.distance > results.peek().distance && results.size >= ef) break;
+
+      for (const neighbor of this.links[closest.node][layer] || []) {
+        if (marks[neighbor] === stamp) continue;
+        marks[neighbor] = stamp;
+
+        const d = this.distance(query, this.vectors[neighbor]);
+        if (results.size < ef || d < results.peek().distance) {
+          const item = { node: neighbor, distance: d };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort(byDistance);
+  }
+
+  // Neighbor selection heuristic: keep a candidate only if it is closer to the
+  // new node than to every neighbor already kept, which spreads links out
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const diverse = selected.every(kept =>
+        this.distance(this.vectors[candidate.node], this.vectors[kept.node]) > candidate.distance
+      );
+      if (diverse) selected.push(candidate);
+    }
+    // Top up with the nearest leftovers so sparse regions stay connected
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      if (!selected.includes(candidate)) selected.push(candidate);
+    }
+    return selected;
+  }
+
+  // An overfull neighbor keeps its closest links. Running the diversity
+  // heuristic here as well costs O(links^2) distances on every overflow and
+  // made inserts several times slower for little recall gain.
+  shrinkLinks(node, links, maxLinks) {
+    return links
+      .map(neighbor => ({ node: neighbor, distance: this.distance(this.vectors[node], this.vectors[neighbor]) }))
+      .sort(byDistance)
+      .slice(0, maxLinks)
+      .map(c => c.node);
+  }
+
+  // k nearest keys to `vector` as [{ key, score }] with score = cosine similarity.
+  // An optional `filter(key)` restricts the results; the beam is doubled until
+  // k matching keys are found or the whole graph has been reachable.
+  search(vector, k = 10, ef = this.efSearch, filter = null) {
+    if (this.entryPoint === -1 || this.size === 0) return [];
+
+    const query = Float32Array.from(vector);
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.greedyClosest(query, entry, layer);
+    }
+
+    // Widen the beam by the tombstone count share so deleted nodes don't crowd out results
+    let beam = Math.max(ef, k) + Math.ceil(this.deletedCount * Math.max(ef, k) / Math.max(1, this.keys.length));
+    const entryPoints = [{ node: entry, distance: this.distance(query, this.vectors[entry]) }];
+    for (;;) {
+      const found = this.searchLayer(query, entryPoints, beam, 0)
+        .filter(({ node }) => !this.deleted[node] && (!filter || filter(this.keys[node])));
+      if (found.length >= k || !filter || beam >= this.keys.length) {
+        return found
+          .slice(0, k)
+          .map(({ node, distance }) => ({ key: this.keys[node], score: 1 - distance }));
+      }
+      beam *= 2;
+    }
+  }
+
+  // Graph structure only; vectors are reattached from the embedding store on load
+  toJSON() {
+    return {
+      dimension: this.dimension,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      keys: this.keys,
+      levels: this.levels,
+      links: this.links,
+      deleted: this.deleted.reduce((list, isDeleted, node) => (isDeleted ? list.concat(node) : list), [])
+    };
+  }
+
+  // `getVector(key)` supplies each node's vector; returns null if any is
+  // missing, in which case the caller should rebuild the index instead
+  static fromJSON(data, getVector, options = {}) {
+    const index = new HNSWIndex({ ...options, dimension: data.dimension, M: data.M, efConstruction: data.efConstruction });
+    const deleted = new Set(data.deleted);
+
+    for (let node = 0; node < data.keys.length; node++) {
+      const isDeleted = deleted.has(node);
+      const vector = getVector(data.keys[node]);
+      if (!vector && !isDeleted) return null;
+
+      index.keys.push(data.keys[node]);
+      // A tombstone's vector may be gone; it is only used for routing, so zeros will do
+      index.vectors.push(Float32Array.from(vector || new Array(data.dimension).fill(0)));
+      index.levels.push(data.levels[node]);
+      index.links.push(data.links[node]);
+      index.deleted.push(isDeleted);
+      if (isDeleted) {
+        index.deletedCount++;
+      } else {
+        index.nodeByKey.set(data.keys[node], node);
+      }
+    }
+
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    return index;
+  }
+}
+
+module.exports = HNSWIndex;
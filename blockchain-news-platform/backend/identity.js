@@ -0,0 +1,236 @@
+// identity.js - Ed25519 identities and signature verification
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// DER prefix that wraps a raw 32-byte Ed25519 public key as SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Signed submissions older (or further in the future) than this are rejected
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+// Deterministic JSON: object keys sorted so every node signs/verifies the same bytes
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return '{' + keys.map(key => JSON.stringify(key) + ':' + canonicalize(value[key])).join(',') + '}';
+}
+
+// Optional article tags: up to MAX_TAGS unique, lowercase labels
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 -]{0,31}$/;
+
+// Every article has a title; content may be empty. Both are capped so a
+// signed article cannot bloat blocks.
+const MAX_TITLE_LENGTH = 300;
+const MAX_CONTENT_LENGTH = 50000;
+
+const VOTE_TYPES = ['up', 'down'];
+
+// Optional metadata read from the source page when an article is ingested
+// from a URL
+const MAX_BYLINE_LENGTH = 120;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+// A publication date may run ahead of the signature by a day of clock skew,
+// no more; later dates would also overflow Date and break the date facets
+const MAX_PUBLISHED_AHEAD_MS = 24 * 60 * 60 * 1000;
+
+// The exact fields an author signs when submitting an article. Articles
+// without tags or page metadata leave those fields undefined, which
+// canonicalize() omits, so their signatures are unchanged.
+function buildArticlePayload(article) {
+  return {
+    type: 'ARTICLE',
+    title: article.title,
+    url: article.url || `#article_${article.timestamp}`,
+    content: article.content || '',
+    timestamp: article.timestamp,
+    author: article.author,
+    tags: article.tags,
+    byline: article.byline,
+    publishedAt: article.publishedAt,
+    language: article.language
+  };
+}
+
+function isValidTags(tags) {
+  if (tags === undefined) return true;
+  return Array.isArray(tags) &&
+    tags.length > 0 &&
+    tags.length <= MAX_TAGS &&
+    new Set(tags).size === tags.length &&
+    tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag));
+}
+
+function isValidArticleText(article) {
+  const { title, content } = article;
+  return typeof title === 'string' && title.trim().length > 0 && title.length <= MAX_TITLE_LENGTH &&
+    (content === undefined || (typeof content === 'string' && content.length <= MAX_CONTENT_LENGTH));
+}
+
+function isValidVoteType(voteType) {
+  return VOTE_TYPES.includes(voteType);
+}
+
+// `article.timestamp` is the signature time that bounds `publishedAt`
+function isValidArticleMetadata(article) {
+  const { byline, publishedAt, language, timestamp } = article;
+  return (byline === undefined || (typeof byline === 'string' && byline.length > 0 && byline.length <= MAX_BYLINE_LENGTH)) &&
+    (publishedAt === undefined || (Number.isSafeInteger(publishedAt) && publishedAt > 0 &&
+      Number.isSafeInteger(timestamp) && publishedAt <= timestamp + MAX_PUBLISHED_AHEAD_MS)) &&
+    (language === undefined || (typeof language === 'string' && LANGUAGE_PATTERN.test(language)));
+}
+
+// The exact fields a voter signs when voting on an article
+function buildVotePayload(vote) {
+  return {
+    type: 'VOTE',
+    articleId: vote.articleId,
+    voteType: vote.voteType,
+    timestamp: vote.timestamp,
+    voter: vote.voter
+  };
+}
+
+// The exact fields an author signs when revising their article. `previousId`
+// is the version being revised (the article id, or the latest revision's id).
+function buildRevisionPayload(revision) {
+  return {
+    type: 'ARTICLE_REVISION',
+    articleId: revision.articleId,
+    previousId: revision.previousId,
+    title: revision.title,
+    diff: revision.diff,
+    reason: revision.reason,
+    correction: revision.correction,
+    timestamp: revision.timestamp,
+    author: revision.author
+  };
+}
+
+// The exact fields a node signs when publishing a fact-check report
+function buildFactCheckPayload(report) {
+  return {
+    type: 'FACTCHECK',
+    articleId: report.articleId,
+    claims: report.claims,
+    model: report.model,
+    timestamp: report.timestamp,
+    checker: report.checker
+  };
+}
+
+function isPublicKey(publicKey) {
+  return typeof publicKey === 'string' && /^[0-9a-f]{64}$/i.test(publicKey);
+}
+
+function verifySignature(payload, signature, publicKey) {
+  if (!isPublicKey(publicKey) || typeof signature !== 'string' || !/^[0-9a-f]{128}$/i.test(signature)) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(
+      null,
+      Buffer.from(canonicalize(payload)),
+      key,
+      Buffer.from(signature, 'hex')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+function verifyArticle(article) {
+  if (!article) return false;
+  return verifySignature(buildArticlePayload(article), article.signature, article.author);
+}
+
+function verifyVote(vote) {
+  if (!vote) return false;
+  return verifySignature(buildVotePayload(vote), vote.signature, vote.voter);
+}
+
+function verifyRevision(revision) {
+  if (!revision) return false;
+  return verifySignature(buildRevisionPayload(revision), revision.signature, revision.author);
+}
+
+function verifyFactCheck(report) {
+  if (!report) return false;
+  return verifySignature(buildFactCheckPayload(report), report.signature, report.checker);
+}
+
+// Sign a payload with a Node KeyObject; the counterpart of verifySignature
+function signPayload(payload, privateKey) {
+  return crypto.sign(null, Buffer.from(canonicalize(payload)), privateKey).toString('hex');
+}
+
+// This node's own Ed25519 keypair, generated on first start and kept in the data dir
+function loadOrCreateNodeIdentity(dataDir) {
+  const keyPath = path.join(dataDir, 'node_key.json');
+  if (fs.existsSync(keyPath)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+      const privateKey = crypto.createPrivateKey(stored.privateKey);
+      return { publicKey: stored.publicKey, privateKey };
+    } catch (error) {
+      console.error('Node key is unreadable, generating a new one:', error.message);
+    }
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' })
+    .subarray(ED25519_SPKI_PREFIX.length)
+    .toString('hex');
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  fs.writeFileSync(keyPath, JSON.stringify({
+    publicKey: rawPublicKey,
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' })
+  }, null, 2), { mode: 0o600 });
+  console.log(`Generated node identity ${rawPublicKey.substring(0, 16)}...`);
+
+  return { publicKey: rawPublicKey, privateKey };
+}
+
+function isFreshTimestamp(timestamp, now = Date.now()) {
+  return Number.isFinite(timestamp) && Math.abs(now - timestamp) <= MAX_SIGNATURE_AGE_MS;
+}
+
+module.exports = {
+  canonicalize,
+  buildArticlePayload,
+  buildVotePayload,
+  buildRevisionPayload,
+  buildFactCheckPayload,
+  verifySignature,
+  verifyArticle,
+  verifyVote,
+  verifyRevision,
+  verifyFactCheck,
+  isValidTags,
+  isValidArticleMetadata,
+  isValidArticleText,
+  isValidVoteType,
+  signPayload,
+  loadOrCreateNodeIdentity,
+  isPublicKey,
+  isFreshTimestamp,
+  MAX_SIGNATURE_AGE_MS,
+  MAX_TAGS,
+  MAX_TITLE_LENGTH,
+  MAX_CONTENT_LENGTH
+};
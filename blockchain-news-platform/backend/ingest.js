@@ -0,0 +1,444 @@
+// ingest.js - Turn a URL into a normalized article draft
+//
+// The page is fetched, the readable text is pulled out of the markup
+// (Readability-style: boilerplate elements dropped, the densest block of
+// paragraphs kept) and the metadata is read from JSON-LD, Open Graph and
+// plain <meta> tags. The draft is returned to the author to review and sign;
+// nothing here touches the chain.
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { MAX_TITLE_LENGTH } = require('./identity');
+
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_CONTENT_LENGTH = 20000;
+const MIN_PARAGRAPH_LENGTH = 40;
+const USER_AGENT = 'BlockchainNewsBot/1.0';
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref_src|_ga)$/i;
+
+// Elements that never hold article text
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'figure'];
+
+class IngestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'IngestError';
+    this.status = status;
+  }
+}
+
+// Loopback, private, link-local and unspecified addresses
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+  const lower = address.toLowerCase();
+  // IPv4-mapped, dotted ("::ffff:127.0.0.1") or as URL parsing writes it ("::ffff:7f00:1")
+  const mapped = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.substring(7));
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+// dns.lookup that refuses to connect to internal hosts
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new IngestError(`Refusing to fetch private address for ${hostname}`, 400));
+    }
+    callback(null, address, family);
+  });
+}
+
+function decodeBody(buffer, contentType) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const charset = ((contentType || '').match(/charset=["']?([\w-]+)/i) ||
+    head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Default page fetcher: GET over http(s), following redirects, with size and
+// time limits. Resolves { url, status, contentType, body } where url is the
+// address the page was finally served from.
+function fetchPage(url, { allowPrivateHosts = false, redirects = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    // IP literals never go through the lookup
+    const literal = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivateHosts && net.isIP(literal) && isPrivateAddress(literal)) {
+      return reject(new IngestError(`Refusing to fetch private address ${literal}`, 400));
+    }
+
+    const req = transport.get(target, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.5' },
+      // A fresh connection each time, so every request goes through the lookup
+      agent: false,
+      lookup: allowPrivateHosts ? undefined : publicLookup
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new IngestError('Too many redirects', 502));
+        }
+        // Thrown here it would escape the promise and take the process down
+        let next;
+        try {
+          next = new URL(res.headers.location, target);
+        } catch (error) {
+          return reject(new IngestError('Invalid redirect', 502));
+        }
+        if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+          return reject(new IngestError('Invalid redirect', 502));
+        }
+        return resolve(fetchPage(next.toString(), { allowPrivateHosts, redirects: redirects + 1 }));
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_PAGE_BYTES) {
+          req.destroy();
+          reject(new IngestError('Page is too large', 502));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        const contentType = res.headers['content-type'] || '';
+        resolve({
+          url: target.toString(),
+          status: res.statusCode,
+          contentType,
+          body: decodeBody(Buffer.concat(chunks), contentType)
+        });
+      });
+      res.on('error', (error) => reject(new IngestError(`Fetch failed: ${error.message}`, 502)));
+    });
+
+    req.setTimeout(FETCH_TIMEOUT_MS, () => {
+      req.destroy();
+      reject(new IngestError(`Fetch timed out after ${FETCH_TIMEOUT_MS}ms`, 504));
+    });
+    req.on('error', (error) => {
+      reject(error instanceof IngestError ? error : new IngestError(`Fetch failed: ${error.message}`, 502));
+    });
+  });
+}
+
+// Absolute http(s) URL with the fragment, default port and tracking
+// parameters removed, or null if `url` can't be resolved against `base`
+function canonicalizeUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  Array.from(parsed.searchParams.keys())
+    .filter(key => TRACKING_PARAMS.test(key))
+    .forEach(key => parsed.searchParams.delete(key));
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  return parsed.toString();
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1));
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : entity;
+  });
+}
+
+// Markup to a single line of plain text
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function readMetaTags(html) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || attributes['http-equiv'] || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content && meta[key] === undefined) {
+      meta[key] = attributes.content.trim();
+    }
+  }
+  return meta;
+}
+
+// The first schema.org Article-like object in the page's JSON-LD blocks
+function readJsonLd(html) {
+  const isArticle = node => node && /Article|BlogPosting|Report/.test([].concat(node['@type']).join(' '));
+  for (const [, json] of html.matchAll(/<script[^>]+application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)) {
+    let data;
+    try {
+      data = JSON.parse(json.trim());
+    } catch (error) {
+      continue;
+    }
+    const nodes = [].concat(data).flatMap(node => (node && node['@graph']) ? node['@graph'] : [node]);
+    const article = nodes.find(isArticle);
+    if (article) return article;
+  }
+  return {};
+}
+
+function jsonLdAuthor(author) {
+  const names = [].concat(author || [])
+    .map(entry => typeof entry === 'string' ? entry : entry && entry.name)
+    .filter(name => typeof name === 'string' && name.trim());
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+function findTitle(html, meta, jsonLd) {
+  const candidates = [
+    meta['og:title'],
+    typeof jsonLd.headline === 'string' ? jsonLd.headline : null,
+    meta['twitter:title']
+  ];
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+  if (title) {
+    // "Headline | Site Name" -> "Headline"
+    candidates.push(toText(title).replace(/\s+[|\-–—»:]\s+[^|\-–—»:]{2,40}$/, ''));
+  }
+  const h1 = (html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i) || [])[1];
+  if (h1) candidates.push(toText(h1));
+  const found = candidates.map(candidate => candidate && decodeEntities(candidate).trim()).find(Boolean);
+  // The ledger caps titles; a longer one could never be published
+  return found ? found.substring(0, MAX_TITLE_LENGTH) : null;
+}
+
+function cleanByline(byline) {
+  const text = toText(byline).replace(/^(by|written by|from)\s+/i, '').trim();
+  // Profile URLs are not names
+  if (!text || /^https?:\/\//.test(text) || text.length > 120) return null;
+  return text;
+}
+
+function findByline(html, meta, jsonLd) {
+  const candidates = [
+    jsonLdAuthor(jsonLd.author),
+    meta['author'],
+    meta['article:author'],
+    meta['dc.creator'],
+    (html.match(/<a\b[^>]*rel=["']author["'][^>]*>([\s\S]*?)<\/a>/i) || [])[1],
+    (html.match(/<(?:span|div|p|a)\b[^>]*class=["'][^"']*\b(?:byline|author)\b[^"']*["'][^>]*>([\s\S]*?)<\/(?:span|div|p|a)>/i) || [])[1]
+  ];
+  for (const candidate of candidates) {
+    const byline = candidate ? cleanByline(candidate) : null;
+    if (byline) return byline;
+  }
+  return null;
+}
+
+function findPublishedAt(html, meta, jsonLd) {
+  const candidates = [
+    jsonLd.datePublished,
+    meta['article:published_time'],
+    meta['og:published_time'],
+    meta['datepublished'],
+    meta['pubdate'],
+    meta['publishdate'],
+    meta['date'],
+    meta['dc.date'],
+    meta['dcterms.created'],
+    (html.match(/<time\b[^>]*datetime=["']([^"']+)["']/i) || [])[1]
+  ];
+  for (const candidate of candidates) {
+    const time = typeof candidate === 'string' ? Date.parse(candidate) : NaN;
+    // Anything after tomorrow is a template placeholder or a bad clock
+    if (Number.isFinite(time) && time > 0 && time < Date.now() + 24 * 60 * 60 * 1000) {
+      return time;
+    }
+  }
+  return null;
+}
+
+// Small stop-word lists for guessing the language of pages that don't declare one
+const STOP_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'for', 'with', 'was'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'por', 'con', 'para'],
+  fr: ['le', 'la', 'de', 'et', 'les', 'des', 'est', 'une', 'pour', 'dans'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'ein', 'zu'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'não', 'para'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'non', 'un', 'sono', 'della']
+};
+
+function normalizeLanguage(tag) {
+  const language = (tag || '').trim().toLowerCase().replace(/_/g, '-');
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(language) ? language : null;
+}
+
+function guessLanguage(text) {
+  const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+  if (words.length < 20) return null;
+  const scores = Object.entries(STOP_WORDS).map(([language, stopWords]) => {
+    const set = new Set(stopWords);
+    return { language, hits: words.filter(word => set.has(word)).length };
+  }).sort((a, b) => b.hits - a.hits);
+  // Only trust a clear winner
+  return scores[0].hits >= 5 && scores[0].hits >= scores[1].hits * 1.5 ? scores[0].language : null;
+}
+
+function findLanguage(html, meta, jsonLd, content) {
+  const declared = [
+    (html.match(/<html\b[^>]*\blang=["']?([\w-]+)/i) || [])[1],
+    typeof jsonLd.inLanguage === 'string' ? jsonLd.inLanguage : null,
+    meta['content-language'],
+    meta['og:locale']
+  ].map(normalizeLanguage).find(Boolean);
+  return declared || guessLanguage(content);
+}
+
+function stripBoilerplate(html) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+  BOILERPLATE_TAGS.forEach(tag => {
+    cleaned = cleaned.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  });
+  return cleaned;
+}
+
+// Readable paragraphs of a block: long enough to be prose and not mostly links
+function readParagraphs(html) {
+  const paragraphs = [];
+  for (const [, tag, inner] of html.matchAll(/<(p|h2|h3|blockquote|li)\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+    const text = toText(inner);
+    const isHeading = tag.toLowerCase().startsWith('h');
+    if (!isHeading && text.length < MIN_PARAGRAPH_LENGTH) continue;
+    if (isHeading && (text.length === 0 || text.length > 200)) continue;
+
+    const linkText = Array.from(inner.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)).map(match => toText(match[1])).join('');
+    if (linkText.length > text.length * 0.5) continue;
+    paragraphs.push({ text, isHeading });
+  }
+
+  // Headings only make sense in front of the text they introduce
+  return paragraphs
+    .filter((paragraph, index) => !paragraph.isHeading || (paragraphs[index + 1] && !paragraphs[index + 1].isHeading))
+    .map(paragraph => paragraph.text);
+}
+
+// Candidate containers, most specific first; the one with the most readable
+// text wins, and the whole body is the last resort
+function extractContent(html) {
+  const cleaned = stripBoilerplate(html);
+  const body = (cleaned.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [null, cleaned])[1];
+  const candidates = [
+    ...Array.from(body.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article>/gi), match => match[1]),
+    ...Array.from(body.matchAll(/<[a-z]+\b[^>]*itemprop=["']articleBody["'][^>]*>([\s\S]*?)<\/(?:div|section)>/gi), match => match[1]),
+    ...Array.from(body.matchAll(/<main\b[^>]*>([\s\S]*?)<\/main>/gi), match => match[1])
+  ];
+
+  let best = [];
+  let bestLength = 0;
+  candidates.forEach(candidate => {
+    const paragraphs = readParagraphs(candidate);
+    const length = paragraphs.join('').length;
+    if (length > bestLength) {
+      best = paragraphs;
+      bestLength = length;
+    }
+  });
+  if (bestLength < MIN_PARAGRAPH_LENGTH * 2) {
+    best = readParagraphs(body);
+  }
+
+  return best.join('\n\n').substring(0, MAX_CONTENT_LENGTH);
+}
+
+// Pure extraction from a fetched page; `pageUrl` is where it was served from
+function extractArticle(html, pageUrl) {
+  const meta = readMetaTags(html);
+  const jsonLd = readJsonLd(html);
+  const canonicalTag = (html.match(/<link\b[^>]*rel=["']canonical["'][^>]*>/i) || [])[0];
+  const declaredUrl = (canonicalTag && parseAttributes(canonicalTag).href) || meta['og:url'];
+  const content = extractContent(html) || meta['og:description'] || meta['description'] || '';
+
+  return {
+    url: (declaredUrl && canonicalizeUrl(declaredUrl, pageUrl)) || canonicalizeUrl(pageUrl),
+    title: findTitle(html, meta, jsonLd),
+    content,
+    byline: findByline(html, meta, jsonLd),
+    publishedAt: findPublishedAt(html, meta, jsonLd),
+    language: findLanguage(html, meta, jsonLd, content)
+  };
+}
+
+// `options.fetchPage(url)` replaces the network fetcher (same resolved shape
+// as fetchPage above), e.g. to serve fixture pages
+class ArticleIngester {
+  constructor(options = {}) {
+    this.allowPrivateHosts = !!options.allowPrivateHosts;
+    this.fetchPage = options.fetchPage || (url => fetchPage(url, { allowPrivateHosts: this.allowPrivateHosts }));
+  }
+
+  async ingest(url) {
+    const requested = canonicalizeUrl(url);
+    if (!requested) {
+      throw new IngestError('URL must be an absolute http(s) address', 400);
+    }
+
+    const page = await this.fetchPage(requested);
+    if (page.status >= 400) {
+      throw new IngestError(`Page returned ${page.status}`, 502);
+    }
+    if (page.contentType && !/html|xml/i.test(page.contentType)) {
+      throw new IngestError(`Unsupported content type ${page.contentType.split(';')[0]}`, 415);
+    }
+
+    const article = extractArticle(page.body, page.url || requested);
+    if (!article.title || !article.content) {
+      throw new IngestError('No readable article found at this URL', 422);
+    }
+    return article;
+  }
+}
+
+module.exports = ArticleIngester;
+module.exports.IngestError = IngestError;
+module.exports.fetchPage = fetchPage;
+module.exports.extractArticle = extractArticle;
+module.exports.canonicalizeUrl = canonicalizeUrl;
+module.exports.toText = toText;
+module.exports.decodeEntities = decodeEntities;
+module.exports.normalizeLanguage = normalizeLanguage;
+module.exports.MAX_CONTENT_LENGTH = MAX_CONTENT_LENGTH;
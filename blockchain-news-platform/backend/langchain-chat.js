@@ -1,85 +1,65 @@
-// langchain-chat.js - LangChain integration with Groq
-const https = require('https');
+// langchain-chat.js - News assistant chat on top of a pluggable LLM provider
+const { createLLMProvider } = require('./llm-providers');
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+// Offline stand-in for follow-up rewriting: "the second one" becomes the
+// title of the second source of the previous answer, and other short
+// follow-ups are searched together with the previous question
+function resolveFollowUp(question, history, sources) {
+  const ordinal = ORDINALS.findIndex(word => new RegExp(`\\b${word}\\b`, 'i').test(question));
+  if (ordinal !== -1 && sources[ordinal]) {
+    return `${question} (${sources[ordinal].title})`;
+  }
 
-class LangChainGroqChat {
-  constructor(apiKey) {
-    this.apiKey = apiKey || process.env.GROQ_API_KEY;
-    this.model = 'llama-3.1-8b-instant'; // Fast and capable model
-    this.apiUrl = 'api.groq.com';
+  const previousQuestion = history.filter(m => m.role === 'user').pop();
+  if (previousQuestion && question.split(/\s+/).length <= 6) {
+    return `${previousQuestion.content} ${question}`;
   }
+  return question;
+}
 
-  async chat(message, context = {}) {
-    if (!this.apiKey) {
-      throw new Error('Groq API key not configured. Set GROQ_API_KEY environment variable.');
-    }
+// Prompting and conversation logic for the news assistant; the completion
+// itself comes from a provider in llm-providers.js
+class LangChainGroqChat {
+  constructor(provider) {
+    this.provider = provider || createLLMProvider(process.env);
+  }
 
-    const systemPrompt = this.buildSystemPrompt(context);
-    
-    const requestData = JSON.stringify({
-      model: this.model,
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: message
-        }
-      ],
-      temperature: 1.0,
-      max_tokens: 1024,
-      top_p: 1,
-      stream: false
-    });
-
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: this.apiUrl,
-        path: '/openai/v1/chat/completions',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Length': Buffer.byteLength(requestData)
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            
-            if (response.error) {
-              reject(new Error(response.error.message || 'Groq API error'));
-              return;
-            }
-
-            const aiMessage = response.choices[0]?.message?.content || 'No response generated';
-            resolve({
-              response: aiMessage,
-              model: response.model,
-              usage: response.usage
-            });
-          } catch (error) {
-            reject(new Error(`Failed to parse Groq response: ${error.message}`));
-          }
-        });
-      });
+  buildMessages(message, context) {
+    // Earlier turns of the conversation, oldest first
+    const history = (context.history || []).map(({ role, content }) => ({ role, content }));
+    return [
+      {
+        role: 'system',
+        content: this.buildSystemPrompt(context)
+      },
+      ...history,
+      {
+        role: 'user',
+        content: message
+      }
+    ];
+  }
 
-      req.on('error', (error) => {
-        reject(new Error(`Groq API request failed: ${error.message}`));
-      });
+  // `options` may override model, temperature and maxTokens for this call
+  async chat(message, context = {}, options = {}) {
+    const result = await this.provider.complete(this.buildMessages(message, context), options);
+    return {
+      response: result.content,
+      model: result.model,
+      usage: result.usage
+    };
+  }
 
-      req.write(requestData);
-      req.end();
-    });
+  // Same as chat(), but relays the reply as it is generated through
+  // `onToken(delta)`; aborting `signal` cancels the request
+  async chatStream(message, context = {}, { onToken, signal, ...options } = {}) {
+    const result = await this.provider.stream(this.buildMessages(message, context), options, { onToken, signal });
+    return {
+      response: result.content,
+      model: result.model
+    };
   }
 
   buildSystemPrompt(context) {
@@ -99,11 +79,25 @@ Guidelines:
 - Explain complex topics simply
 - When summarizing, capture key points in 2-3 sentences`;
 
+    // Sources are numbered so answers can cite them inline as [n]
     if (context.articles && context.articles.length > 0) {
-      prompt += `\n\nAvailable articles in the blockchain:\n`;
+      prompt += `\n- Support each factual claim with the number of its source in square brackets, e.g. [1] or [1, 3]
+- When quoting a source, copy its exact words inside double quotes
+- If the sources don't cover the question, say so instead of guessing`;
+
+      prompt += `\n\nSources from the blockchain:\n`;
       context.articles.forEach((article, index) => {
-        prompt += `\n${index + 1}. "${article.title}"`;
-        if (article.content) {
+        const location = article.blockHash
+          ? `block #${article.blockIndex} ${article.blockHash.substring(0, 12)}`
+          : 'pending';
+        prompt += `\n[${index + 1}] "${article.title}" (article ${article.id}, ${location})`;
+        if (article.passages && article.passages.length > 0) {
+          // Best-matching passages from the retriever, most relevant first
+          prompt += `\n   Relevant passages:`;
+          article.passages.forEach(passage => {
+            prompt += `\n   - ${passage}`;
+          });
+        } else if (article.content) {
           prompt += `\n   Summary: ${article.content.substring(0, 200)}...`;
         }
         if (article.trustScore) {
@@ -112,6 +106,10 @@ Guidelines:
       });
     }
 
+    if (context.conversationSummary) {
+      prompt += `\n\nSummary of the conversation so far:\n${context.conversationSummary}`;
+    }
+
     if (context.selectedArticle) {
       prompt += `\n\nUser is asking about this specific article:`;
       prompt += `\nTitle: "${context.selectedArticle.title}"`;
@@ -138,6 +136,55 @@ Guidelines:
     }
   }
 
+  // Turn a follow-up like "what about the second one?" into a standalone
+  // question for retrieval. `sources` are those of the previous answer.
+  async rewriteQuestion(question, history, sources = []) {
+    if (history.length === 0) return question;
+
+    const transcript = history.slice(-4)
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.substring(0, 500)}`)
+      .join('\n');
+    const sourceList = sources.map(source => `[${source.number}] ${source.title}`).join('\n');
+    const message = `Rewrite the user's latest question as a standalone search query that can be understood without the conversation. Resolve references like "it", "that" or "the second one" using the conversation and the numbered sources of the last answer. Reply with only the rewritten question.
+
+Conversation:
+${transcript}
+${sourceList ? `\nSources of the last answer:\n${sourceList}\n` : ''}
+Latest question:
+${question}`;
+
+    try {
+      const result = await this.chat(message, {}, { temperature: 0, maxTokens: 100 });
+      const rewritten = result.response.trim().replace(/^["']|["']$/g, '');
+      return rewritten || question;
+    } catch (error) {
+      console.error('Question rewriting error:', error.message);
+      return resolveFollowUp(question, history, sources);
+    }
+  }
+
+  // Fold older messages into the running conversation summary
+  async summarizeHistory(messages, previousSummary = '') {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.substring(0, 800)}`)
+      .join('\n');
+    const message = `Update the summary of this conversation between a user and a news assistant. Keep the topics, articles and conclusions that later questions may refer to, in at most 6 sentences.
+${previousSummary ? `\nCurrent summary:\n${previousSummary}\n` : ''}
+New messages:
+${transcript}`;
+
+    try {
+      const result = await this.chat(message, {}, { temperature: 0.2, maxTokens: 400 });
+      return result.response.trim();
+    } catch (error) {
+      console.error('History summarization error:', error.message);
+      // Without the model, keep at least what was asked
+      const questions = messages.filter(m => m.role === 'user').map(m => m.content.substring(0, 120));
+      const summary = [previousSummary, `The user asked: ${questions.join('; ')}`].filter(Boolean).join('\n');
+      return summary.slice(-2000);
+    }
+  }
+
   async analyzeArticles(articles, query) {
     const message = `Based on these articles, ${query}`;
     
@@ -151,4 +198,5 @@ Guidelines:
   }
 }
 
-module.exports = LangChainGroqChat;
\ No newline at end of file
+module.exports = LangChainGroqChat;
+module.exports.resolveFollowUp = resolveFollowUp;
\ No newline at end of file
@@ -0,0 +1,297 @@
+// lexical-index.js - Inverted index with BM25 scoring and Porter stemming
+
+// Common English words that carry no search signal
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all',
+  'can', 'her', 'was', 'one', 'our', 'out', 'day', 'get',
+  'has', 'him', 'his', 'how', 'man', 'new', 'now', 'old',
+  'see', 'two', 'way', 'who', 'boy', 'did', 'its', 'let',
+  'put', 'say', 'she', 'too', 'use', 'this', 'that', 'with',
+  'have', 'from', 'they', 'been', 'will', 'what', 'when',
+  'make', 'like', 'time', 'just', 'know', 'take', 'into',
+  'year', 'your', 'some', 'could', 'them', 'than', 'then',
+  'about', 'would', 'there', 'their', 'which', 'these'
+]);
+
+// BM25 parameters: k1 controls term-frequency saturation, b length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Title words count this many times so a match in the headline outranks one in the body
+const TITLE_WEIGHT = 2;
+
+// --- Porter stemmer (M.F. Porter, 1980) ---
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function isConsonant(word, i) {
+  const c = word[i];
+  if ('aeiou'.includes(c)) return false;
+  if (c === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+// Number of vowel-consonant sequences ("m" in Porter's paper)
+function measure(stem) {
+  let m = 0;
+  let i = 0;
+  while (i < stem.length && isConsonant(stem, i)) i++;
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++;
+    if (i >= stem.length) break;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// consonant-vowel-consonant where the last consonant is not w, x or y
+function endsCvc(word) {
+  const n = word.length;
+  return n >= 3 &&
+    isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+}
+
+function replaceSuffix(word, rules, minMeasure) {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+function stem(word) {
+  if (word.length <= 2) return word;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (word.endsWith('ss')) { /* keep */ }
+  else if (word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b: -eed, -ed, -ing
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else {
+    const suffix = word.endsWith('ed') ? 'ed' : word.endsWith('ing') ? 'ing' : null;
+    if (suffix && hasVowel(word.slice(0, -suffix.length))) {
+      word = word.slice(0, -suffix.length);
+      if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+        word += 'e';
+      } else if (endsDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+        word = word.slice(0, -1);
+      } else if (measure(word) === 1 && endsCvc(word)) {
+        word += 'e';
+      }
+    }
+  }
+
+  // Step 1c: y -> i
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: map double suffixes to single ones
+  word = replaceSuffix(word, STEP2_SUFFIXES, 0);
+  word = replaceSuffix(word, STEP3_SUFFIXES, 0);
+
+  // Step 4: drop suffixes from longer stems
+  for (const suffix of STEP4_SUFFIXES.concat('ion').sort((a, b) => b.length - a.length)) {
+    if (word.endsWith(suffix)) {
+      const base = word.slice(0, -suffix.length);
+      const ionOk = suffix !== 'ion' || base.endsWith('s') || base.endsWith('t');
+      if (measure(base) > 1 && ionOk) word = base;
+      break;
+    }
+  }
+
+  // Step 5: tidy up a final -e and -ll
+  if (word.endsWith('e')) {
+    const base = word.slice(0, -1);
+    const m = measure(base);
+    if (m > 1 || (m === 1 && !endsCvc(base))) word = base;
+  }
+  if (measure(word) > 1 && endsDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+// Lowercase, strip punctuation, drop stop words and stem what is left
+function tokenize(text) {
+  if (!text) return [];
+  return text.toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w))
+    .map(stem);
+}
+
+class LexicalIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.docs = new Map(); // docId -> { length, terms }
+    this.totalLength = 0;
+  }
+
+  getDocumentTokens(document) {
+    const titleTokens = tokenize(document.title);
+    let tokens = tokenize(document.content);
+    for (let i = 0; i < TITLE_WEIGHT; i++) {
+      tokens = tokens.concat(titleTokens);
+    }
+    return tokens;
+  }
+
+  // Index (or re-index) a document
+  add(id, document) {
+    this.remove(id);
+
+    const tokens = this.getDocumentTokens(document);
+    const freq = new Map();
+    tokens.forEach(token => {
+      freq.set(token, (freq.get(token) || 0) + 1);
+    });
+
+    freq.forEach((tf, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, tf);
+    });
+
+    this.docs.set(id, { length: tokens.length, terms: Array.from(freq.keys()) });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+
+    doc.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+    return true;
+  }
+
+  idf(term) {
+    const posting = this.postings.get(term);
+    const df = posting ? posting.size : 0;
+    const n = this.docs.size;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  // BM25 over the query's unique terms. Each result carries the raw score and
+  // a 0-100 relevance: the score as a share of what a document matching every
+  // query term at saturation would get. `filter(id)`, when given, drops
+  // documents before they are scored.
+  search(query, limit = 10, filter = null) {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (terms.length === 0 || this.docs.size === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.size;
+    const scores = new Map();
+    let maxScore = 0;
+
+    terms.forEach(term => {
+      const idf = this.idf(term);
+      maxScore += idf * (K1 + 1);
+
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      posting.forEach((tf, id) => {
+        if (filter && !filter(id)) return;
+        const length = this.docs.get(id).length;
+        const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / avgLength));
+        const entry = scores.get(id) || { id, score: 0, matchedTerms: [] };
+        entry.score += score;
+        entry.matchedTerms.push(term);
+        scores.set(id, entry);
+      });
+    });
+
+    return Array.from(scores.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(entry => ({
+        ...entry,
+        relevance: maxScore ? Math.min(100, (entry.score / maxScore) * 100) : 0
+      }));
+  }
+
+  getStats() {
+    return {
+      documents: this.docs.size,
+      terms: this.postings.size,
+      averageLength: this.docs.size ? this.totalLength / this.docs.size : 0
+    };
+  }
+
+  clear() {
+    this.postings.clear();
+    this.docs.clear();
+    this.totalLength = 0;
+  }
+
+  toJSON() {
+    return {
+      docs: Array.from(this.docs.entries()),
+      postings: Array.from(this.postings.entries()).map(([term, posting]) => [term, Array.from(posting.entries())])
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new LexicalIndex();
+    data.docs.forEach(([id, doc]) => {
+      index.docs.set(id, doc);
+      index.totalLength += doc.length;
+    });
+    data.postings.forEach(([term, posting]) => {
+      index.postings.set(term, new Map(posting));
+    });
+    return index;
+  }
+}
+
+module.exports = LexicalIndex;
+module.exports.tokenize = tokenize;
+module.exports.stem = stem;
+module.exports.STOP_WORDS = STOP_WORDS;
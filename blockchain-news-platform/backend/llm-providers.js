@@ -0,0 +1,335 @@
+// llm-providers.js - Pluggable chat-completion providers for the assistant
+const https = require('https');
+const http = require('http');
+
+// Every provider exposes the same shape:
+//   id                                    - provider and default model, for logs and /api/health
+//   complete(messages, options)           -> Promise<{ content, model, usage }>
+//   stream(messages, options, handlers)   -> Promise<{ content, model }>, calling
+//                                            handlers.onToken(delta) as text arrives;
+//                                            aborting handlers.signal cancels it
+// `messages` are OpenAI-style { role, content } objects. `options` may override
+// model, temperature, maxTokens and topP for a single call.
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+class LLMRequestError extends Error {
+  constructor(message, { status, retryable = false, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'LLMRequestError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new LLMRequestError('Request cancelled'));
+      }, { once: true });
+    }
+  });
+}
+
+// Any endpoint that speaks the OpenAI /v1/chat/completions API (Groq, OpenAI,
+// Ollama, llama.cpp server, vLLM, LM Studio, a local test stub, ...)
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.requireApiKey = !!options.requireApiKey;
+    this.keyEnv = options.keyEnv;
+    this.model = options.model || 'gpt-4o-mini';
+    this.temperature = options.temperature !== undefined ? options.temperature : 1.0;
+    this.maxTokens = options.maxTokens || 1024;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.retryBaseMs = options.retryBaseMs || 500;
+    this.id = `${this.name}:${this.model}`;
+  }
+
+  buildBody(messages, options, stream) {
+    return {
+      model: options.model || this.model,
+      messages: messages,
+      temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens,
+      top_p: options.topP !== undefined ? options.topP : 1,
+      stream: stream
+    };
+  }
+
+  async complete(messages, options = {}) {
+    const body = this.buildBody(messages, options, false);
+    return this.withRetries(options.signal, async () => {
+      const response = await this.request(body, options.signal);
+      return {
+        content: response.choices?.[0]?.message?.content || 'No response generated',
+        model: response.model,
+        usage: response.usage
+      };
+    });
+  }
+
+  // Retries only cover failures before the first token; a stream that breaks
+  // part-way is reported rather than replayed to the client twice
+  async stream(messages, options = {}, { onToken = () => {}, signal } = {}) {
+    const body = this.buildBody(messages, options, true);
+    let started = false;
+    const relay = (delta) => {
+      started = true;
+      onToken(delta);
+    };
+    return this.withRetries(signal, () => this.requestStream(body, relay, signal).catch(error => {
+      if (started) error.retryable = false;
+      throw error;
+    }));
+  }
+
+  // Exponential backoff with jitter; honours Retry-After when the server sends it
+  async withRetries(signal, attempt) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        const cancelled = signal && signal.aborted;
+        if (cancelled || !error.retryable || retry >= this.maxRetries) {
+          throw error;
+        }
+        const backoff = error.retryAfterMs || this.retryBaseMs * Math.pow(2, retry) * (0.5 + Math.random());
+        console.log(`${this.name} request failed (${error.message}), retrying in ${Math.round(backoff)}ms`);
+        await sleep(backoff, signal);
+      }
+    }
+  }
+
+  openRequest(body, signal, onResponse, reject) {
+    if (this.requireApiKey && !this.apiKey) {
+      throw new LLMRequestError(`${this.name} API key not configured. Set LLM_API_KEY${this.keyEnv ? ` or ${this.keyEnv}` : ''}.`);
+    }
+
+    const url = new URL(`${this.baseUrl}/chat/completions`);
+    const transport = url.protocol === 'http:' ? http : https;
+    const requestData = JSON.stringify(body);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(requestData)
+    };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const req = transport.request(url, { method: 'POST', headers }, onResponse);
+
+    // Idle timeout: no bytes for timeoutMs, whether waiting for headers or mid-stream
+    req.setTimeout(this.timeoutMs, () => {
+      req.destroy();
+      reject(new LLMRequestError(`${this.name} request timed out after ${this.timeoutMs}ms`, { retryable: true }));
+    });
+    req.on('error', (error) => {
+      reject(new LLMRequestError(`${this.name} request failed: ${error.message}`, { retryable: true }));
+    });
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        req.destroy();
+        reject(new LLMRequestError('Request cancelled'));
+      }, { once: true });
+    }
+
+    req.write(requestData);
+    req.end();
+  }
+
+  // Error bodies are plain JSON whether or not a stream was requested
+  readError(res, resolveError) {
+    let data = '';
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+    res.on('end', () => {
+      let message = `${this.name} API returned ${res.statusCode}`;
+      try {
+        message = JSON.parse(data).error?.message || message;
+      } catch (error) {
+        // keep the status message
+      }
+      const retryAfter = parseFloat(res.headers['retry-after']);
+      resolveError(new LLMRequestError(message, {
+        status: res.statusCode,
+        retryable: RETRYABLE_STATUS.has(res.statusCode),
+        retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined
+      }));
+    });
+  }
+
+  request(body, signal) {
+    return new Promise((resolve, reject) => {
+      this.openRequest(body, signal, (res) => {
+        if (res.statusCode >= 400) {
+          this.readError(res, reject);
+          return;
+        }
+
+        let data = '';
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          try {
+            const response = JSON.parse(data);
+            if (response.error) {
+              reject(new LLMRequestError(response.error.message || `${this.name} API error`));
+              return;
+            }
+            resolve(response);
+          } catch (error) {
+            reject(new LLMRequestError(`Failed to parse ${this.name} response: ${error.message}`));
+          }
+        });
+      }, reject);
+    });
+  }
+
+  requestStream(body, onToken, signal) {
+    return new Promise((resolve, reject) => {
+      this.openRequest(body, signal, (res) => {
+        res.setEncoding('utf8');
+        if (res.statusCode >= 400) {
+          this.readError(res, reject);
+          return;
+        }
+
+        let buffer = '';
+        let content = '';
+        let model = null;
+
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          lines.forEach(line => {
+            const payload = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || payload === '[DONE]') return;
+            try {
+              const event = JSON.parse(payload);
+              model = event.model || model;
+              const delta = event.choices?.[0]?.delta?.content;
+              if (delta) {
+                content += delta;
+                onToken(delta);
+              }
+            } catch (error) {
+              console.error('Skipping malformed stream event:', error.message);
+            }
+          });
+        });
+
+        res.on('end', () => resolve({ content: content || 'No response generated', model }));
+        res.on('error', (error) => reject(new LLMRequestError(`${this.name} stream failed: ${error.message}`)));
+      }, reject);
+    });
+  }
+}
+
+// Deterministic offline provider for tests and demos. Unless given canned
+// `responses` (an array used in turn, or a function of the messages), it
+// answers from the sources listed in the system prompt, citing them as [n],
+// and otherwise echoes the last line of the prompt (so follow-up rewriting
+// leaves the question unchanged).
+class MockLLMProvider {
+  constructor(options = {}) {
+    this.model = options.model || 'mock';
+    this.responses = options.responses || null;
+    this.tokenDelayMs = options.tokenDelayMs || 0;
+    this.calls = [];
+    this.id = `mock:${this.model}`;
+  }
+
+  reply(messages) {
+    if (typeof this.responses === 'function') {
+      return this.responses(messages);
+    }
+    if (Array.isArray(this.responses) && this.responses.length > 0) {
+      return this.responses[(this.calls.length - 1) % this.responses.length];
+    }
+
+    const prompt = messages.filter(m => m.role === 'user').pop()?.content || '';
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const sources = Array.from(system.matchAll(/^\[(\d+)\] "([^"]*)"/gm)).slice(0, 2);
+    if (sources.length === 0) {
+      return prompt.trim().split('\n').pop();
+    }
+    return sources.map(([, number, title]) => `"${title}" covers this [${number}].`).join(' ');
+  }
+
+  async complete(messages, options = {}) {
+    this.calls.push({ messages, options });
+    return { content: this.reply(messages), model: options.model || this.model, usage: null };
+  }
+
+  async stream(messages, options = {}, { onToken = () => {}, signal } = {}) {
+    const { content, model } = await this.complete(messages, options);
+    const tokens = content.match(/\s*\S+/g) || [];
+    for (const token of tokens) {
+      if (signal && signal.aborted) {
+        throw new LLMRequestError('Request cancelled');
+      }
+      if (this.tokenDelayMs) {
+        await sleep(this.tokenDelayMs, signal);
+      }
+      onToken(token);
+    }
+    return { content, model };
+  }
+}
+
+const PRESETS = {
+  groq: { baseUrl: 'https://api.groq.com/openai/v1', model: 'llama-3.1-8b-instant', keyEnv: 'GROQ_API_KEY' },
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', keyEnv: 'OPENAI_API_KEY' }
+};
+
+// Pick a provider from the environment:
+//   LLM_PROVIDER     groq (default) | openai | mock
+//   LLM_BASE_URL     OpenAI-compatible base URL, e.g. http://localhost:11434/v1 for
+//                    Ollama or http://localhost:8080/v1 for llama.cpp
+//   LLM_API_KEY      API key (falls back to GROQ_API_KEY / OPENAI_API_KEY);
+//                    not required once LLM_BASE_URL points somewhere else
+//   LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS   defaults for every call
+//   LLM_TIMEOUT_MS, LLM_MAX_RETRIES               request timeout and retry count
+function createLLMProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'groq').toLowerCase();
+  if (name === 'mock') {
+    return new MockLLMProvider({ model: env.LLM_MODEL });
+  }
+
+  const preset = PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}"`);
+  }
+
+  return new OpenAICompatibleProvider({
+    name,
+    baseUrl: env.LLM_BASE_URL || preset.baseUrl,
+    apiKey: env.LLM_API_KEY || env[preset.keyEnv],
+    requireApiKey: !env.LLM_BASE_URL,
+    keyEnv: preset.keyEnv,
+    model: env.LLM_MODEL || preset.model,
+    temperature: env.LLM_TEMPERATURE !== undefined ? parseFloat(env.LLM_TEMPERATURE) : undefined,
+    maxTokens: parseInt(env.LLM_MAX_TOKENS) || undefined,
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS) || undefined,
+    maxRetries: env.LLM_MAX_RETRIES !== undefined ? parseInt(env.LLM_MAX_RETRIES) : undefined
+  });
+}
+
+module.exports = {
+  createLLMProvider,
+  OpenAICompatibleProvider,
+  MockLLMProvider,
+  LLMRequestError
+};
@@ -0,0 +1,8 @@
+// miner-worker.js - Proof-of-work search run off the main event loop
+const { parentPort, workerData } = require('worker_threads');
+const { Block } = require('./blockchain');
+
+const block = Block.fromJSON(workerData.block);
+block.mineBlock(block.difficulty);
+
+parentPort.postMessage({ nonce: block.nonce, hash: block.hash });
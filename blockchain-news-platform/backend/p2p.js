@@ -3,17 +3,78 @@ const WebSocket = require('ws');
 const EventEmitter = require('events');
 const dgram = require('dgram');
 const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const ChainSync = require('./sync');
+const { MAX_HEADERS_PER_MESSAGE, MAX_BLOCKS_PER_MESSAGE } = require('./sync');
+const { getBlockTransactions, getArticleId } = require('./blockchain');
+const {
+  signPayload,
+  verifySignature,
+  verifyArticle,
+  isPublicKey,
+  isFreshTimestamp,
+  loadOrCreateNodeIdentity
+} = require('./identity');
+
+// Bumped whenever the wire format changes; peers below the minimum are refused
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2;
+const CAPABILITIES = ['headers-sync', 'mempool'];
+const HANDSHAKE_TIMEOUT_MS = 10000;
+// A sync peer must answer each GET_HEADERS / GET_BLOCKS within this long
+const SYNC_REQUEST_TIMEOUT_MS = 30000;
+
+// Misbehavior points; a peer reaching BAN_THRESHOLD is disconnected and banned
+const PENALTIES = {
+  MALFORMED_MESSAGE: 10,
+  INVALID_TRANSACTION: 20,
+  INVALID_SYNC: 50,
+  INVALID_BLOCK: 50,
+  INVALID_HANDSHAKE: 20,
+  // Claimed more work, then stopped answering
+  SYNC_TIMEOUT: 25
+};
+const BAN_THRESHOLD = 100;
+const BAN_DURATION_MS = 24 * 60 * 60 * 1000;
+// Scores halve every hour so occasional races don't add up to a ban
+const SCORE_HALF_LIFE_MS = 60 * 60 * 1000;
+
+// "ws://localhost:6001" and "::ffff:127.0.0.1:6001" name the same node, so
+// addresses are compared as a normalized host and port
+function parseAddress(address) {
+  const match = String(address).replace(/^wss?:\/\//, '').replace(/\/.*$/, '').match(/^\[?(.*?)\]?:(\d+)$/);
+  let host = (match ? match[1] : String(address)).toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  if (host === 'localhost' || host === '::1') {
+    host = '127.0.0.1';
+  }
+  return { host, port: match ? parseInt(match[2]) : null };
+}
 
 class P2PNetwork extends EventEmitter {
-  constructor(blockchain, port = 6001) {
+  constructor(blockchain, port = 6001, nodeIdentity = null, options = {}) {
     super();
     this.blockchain = blockchain;
     this.port = port;
+    this.identity = nodeIdentity || loadOrCreateNodeIdentity(blockchain.dataDir);
+    this.nodeId = this.identity.publicKey;
     this.peers = new Map();
+    this.peerInfo = new Map();
     this.server = null;
     this.discoverySocket = null;
     this.knownPeers = new Set();
+    this.peerStatus = new Map();
+    this.peerScores = new Map();
+    this.bannedPeers = new Map();
+    this.bansPath = path.join(blockchain.dataDir, 'bans.json');
+    this.sync = new ChainSync(blockchain);
+    this.syncTimeoutMs = options.syncTimeoutMs || SYNC_REQUEST_TIMEOUT_MS;
+    // Off by default: nodes sharing a host (e.g. npm run node1..node3) are
+    // distinct peers
+    this.banHosts = !!options.banHosts;
+    this.syncTimer = null;
     this.myAddress = this.getLocalIPAddress();
+    this.loadBans();
   }
 
   getLocalIPAddress() {
@@ -32,13 +93,17 @@ class P2PNetwork extends EventEmitter {
     this.server = new WebSocket.Server({ port: this.port });
     
     this.server.on('connection', (socket, req) => {
-      const peerId = req.socket.remoteAddress + ':' + req.socket.remotePort;
-      console.log(`New peer connected: ${peerId}`);
-      this.initConnection(socket, peerId);
+      const address = req.socket.remoteAddress + ':' + req.socket.remotePort;
+      if (this.isBanned(address)) {
+        socket.close();
+        return;
+      }
+      console.log(`New connection from ${address}`);
+      this.initConnection(socket, address);
     });
 
     console.log(`P2P Server listening on port ${this.port}`);
-    console.log(`My address: ${this.myAddress}:${this.port}`);
+    console.log(`My address: ${this.myAddress}:${this.port} (node ${this.nodeId.substring(0, 16)}...)`);
     
     // Start auto-discovery
     this.startAutoDiscovery();
@@ -110,7 +175,7 @@ class P2PNetwork extends EventEmitter {
       type: 'PEER_DISCOVERY',
       port: this.port,
       chainLength: this.blockchain.chain.length,
-      nodeId: `${this.myAddress}:${this.port}` // Add unique node identifier
+      nodeId: this.nodeId
     });
 
     const buffer = Buffer.from(message);
@@ -119,8 +184,8 @@ class P2PNetwork extends EventEmitter {
   }
 
   isPeerConnected(address) {
-    for (const [peerId] of this.peers) {
-      if (peerId.includes(address)) {
+    for (const info of this.peerInfo.values()) {
+      if (info.address.includes(address)) {
         return true;
       }
     }
@@ -133,6 +198,11 @@ class P2PNetwork extends EventEmitter {
       return;
     }
 
+    if (this.isBanned(peerAddress)) {
+      console.log(`Not connecting to banned peer ${peerAddress}`);
+      return;
+    }
+
     try {
       const socket = new WebSocket(peerAddress);
       
@@ -140,9 +210,6 @@ class P2PNetwork extends EventEmitter {
         console.log(`Connected to peer: ${peerAddress}`);
         this.knownPeers.add(peerAddress);
         this.initConnection(socket, peerAddress);
-        this.sendMessage(socket, {
-          type: 'REQUEST_CHAIN'
-        });
       });
 
       socket.on('error', (error) => {
@@ -154,173 +221,526 @@ class P2PNetwork extends EventEmitter {
     }
   }
 
-  initConnection(socket, peerId) {
-    this.peers.set(peerId, socket);
+  // A connection is only known by its address until the peer's HELLO checks
+  // out; from then on it is keyed by the peer's node id
+  initConnection(socket, address) {
+    let peerId = null;
+
+    const handshakeTimer = setTimeout(() => {
+      if (!peerId) {
+        console.log(`Handshake with ${address} timed out`);
+        socket.close();
+      }
+    }, HANDSHAKE_TIMEOUT_MS);
 
     socket.on('message', (data) => {
       try {
         const message = JSON.parse(data);
+        if (!peerId) {
+          peerId = this.handleHello(socket, message, address);
+          if (peerId) {
+            clearTimeout(handshakeTimer);
+          }
+          return;
+        }
         this.handleMessage(socket, message, peerId);
       } catch (error) {
         console.error('Invalid message received:', error.message);
+        this.penalizePeer(peerId || address, PENALTIES.MALFORMED_MESSAGE, 'unparseable message');
+        if (this.isBanned(peerId || address)) {
+          socket.close();
+        }
       }
     });
 
     socket.on('close', () => {
+      clearTimeout(handshakeTimer);
+      // A rejected duplicate connection must not tear down the one we kept
+      if (!peerId || this.peers.get(peerId) !== socket) {
+        return;
+      }
+
       console.log(`Peer disconnected: ${peerId}`);
       this.peers.delete(peerId);
+      this.peerInfo.delete(peerId);
+      this.peerStatus.delete(peerId);
       this.emit('peerDisconnected', peerId);
+
+      // Resume an interrupted sync from whichever peer is now best
+      if (this.sync.peerId === peerId) {
+        this.clearSyncTimer();
+        this.sync.stop();
+        this.syncFromBestPeer();
+      }
     });
 
     socket.on('error', (error) => {
-      console.error(`Socket error with ${peerId}:`, error.message);
+      console.error(`Socket error with ${peerId || address}:`, error.message);
     });
 
-    this.sendMessage(socket, {
+    this.sendMessage(socket, this.createHello());
+  }
+
+  // Our half of the handshake; the signature proves we own the node id
+  createHello() {
+    const handshake = {
       type: 'HELLO',
-      chainLength: this.blockchain.chain.length
+      nodeId: this.nodeId,
+      protocolVersion: PROTOCOL_VERSION,
+      genesisHash: this.blockchain.chain[0].hash,
+      capabilities: CAPABILITIES,
+      listenPort: Number(this.port),
+      timestamp: Date.now()
+    };
+    return {
+      type: 'HELLO',
+      handshake,
+      signature: signPayload(handshake, this.identity.privateKey),
+      ...this.getStatus()
+    };
+  }
+
+  // Check the peer's HELLO. Returns its node id once accepted, or null after
+  // rejecting and closing the connection.
+  handleHello(socket, message, address) {
+    const reject = (reason, points = 0) => {
+      console.log(`Rejected peer ${address}: ${reason}`);
+      this.sendMessage(socket, { type: 'REJECT', reason });
+      if (points) {
+        this.penalizePeer(address, points, reason);
+      }
+      socket.close();
+      return null;
+    };
+
+    if (message.type === 'REJECT') {
+      console.log(`Peer ${address} refused the connection: ${message.reason}`);
+      return null;
+    }
+    if (message.type !== 'HELLO') {
+      return reject(`expected HELLO, got ${message.type}`, PENALTIES.INVALID_HANDSHAKE);
+    }
+
+    const handshake = message.handshake;
+    if (!handshake || handshake.type !== 'HELLO' || !isPublicKey(handshake.nodeId)) {
+      return reject('malformed handshake', PENALTIES.INVALID_HANDSHAKE);
+    }
+    if (!verifySignature(handshake, message.signature, handshake.nodeId)) {
+      return reject('invalid handshake signature', PENALTIES.INVALID_HANDSHAKE);
+    }
+    if (!isFreshTimestamp(handshake.timestamp)) {
+      return reject('stale handshake');
+    }
+    if (handshake.nodeId === this.nodeId) {
+      return reject('connected to self');
+    }
+    if (!Number.isInteger(handshake.protocolVersion) || handshake.protocolVersion < MIN_PROTOCOL_VERSION) {
+      return reject(`unsupported protocol version ${handshake.protocolVersion} (need ${MIN_PROTOCOL_VERSION}+)`);
+    }
+    if (handshake.genesisHash !== this.blockchain.chain[0].hash) {
+      return reject('different genesis block');
+    }
+    // An inbound peer connects from a random port; it is known by the port it listens on
+    const { host, port } = parseAddress(address);
+    const listenAddress = `${host}:${Number.isInteger(handshake.listenPort) ? handshake.listenPort : port}`;
+    if (this.isBanned(handshake.nodeId) || this.isBanned(listenAddress)) {
+      return reject('banned');
+    }
+    if (this.peers.has(handshake.nodeId)) {
+      return reject('already connected');
+    }
+
+    const nodeId = handshake.nodeId;
+    this.peers.set(nodeId, socket);
+    this.peerInfo.set(nodeId, {
+      nodeId,
+      address,
+      listenAddress,
+      protocolVersion: handshake.protocolVersion,
+      capabilities: Array.isArray(handshake.capabilities) ? handshake.capabilities : [],
+      listenPort: handshake.listenPort,
+      connectedAt: Date.now()
     });
+    console.log(`Handshake complete with node ${nodeId.substring(0, 16)}... at ${address} (protocol v${handshake.protocolVersion})`);
+    this.emit('peerConnected', nodeId);
 
-    this.emit('peerConnected', peerId);
+    console.log(`Peer ${nodeId.substring(0, 16)}... has chain height ${message.height} (work ${message.totalWork})`);
+    this.handleStatus(message, nodeId);
+    if (this.hasCapability(nodeId, 'mempool')) {
+      this.sendMessage(socket, { type: 'REQUEST_PENDING' });
+    }
+    return nodeId;
+  }
+
+  hasCapability(peerId, capability) {
+    const info = this.peerInfo.get(peerId);
+    return !!info && info.capabilities.includes(capability);
   }
 
   handleMessage(socket, message, peerId) {
     switch (message.type) {
       case 'HELLO':
-        console.log(`Peer ${peerId} has chain length: ${message.chainLength}`);
-        if (message.chainLength > this.blockchain.chain.length) {
-          this.sendMessage(socket, { type: 'REQUEST_CHAIN' });
-        }
+        this.penalizePeer(peerId, PENALTIES.INVALID_HANDSHAKE, 'repeated handshake');
         break;
 
-      case 'REQUEST_CHAIN':
+      case 'STATUS':
+        this.handleStatus(message, peerId);
+        break;
+
+      case 'GET_HEADERS':
         this.sendMessage(socket, {
-          type: 'CHAIN',
-          chain: this.blockchain.chain
+          type: 'HEADERS',
+          headers: this.blockchain.getHeadersAfter(
+            message.locator,
+            Math.min(message.maxCount || MAX_HEADERS_PER_MESSAGE, MAX_HEADERS_PER_MESSAGE)
+          )
         });
         break;
 
-      case 'CHAIN':
-        this.handleChainUpdate(message.chain, socket);
+      case 'HEADERS':
+        this.handleHeaders(message.headers, socket, peerId);
         break;
 
-      case 'NEW_BLOCK':
-        console.log('Received new block from peer');
-        const block = message.block;
-        if (block && this.isValidNewBlock(block)) {
-          this.blockchain.chain.push(block);
-          this.blockchain.saveBlockchain();
-          this.emit('newBlock', block);
-          this.broadcastMessage(message, socket);
-        }
+      case 'GET_BLOCKS': {
+        const from = parseInt(message.from);
+        const to = Math.min(parseInt(message.to), from + MAX_BLOCKS_PER_MESSAGE - 1);
+        this.sendMessage(socket, {
+          type: 'BLOCKS',
+          blocks: Number.isInteger(from) && Number.isInteger(to)
+            ? this.blockchain.getBlockRange(from, to)
+            : []
+        });
         break;
+      }
 
-      case 'NEW_ARTICLE':
-        console.log('Received new article from peer');
-        const article = message.article;
-        this.blockchain.addArticle(article);
-        this.emit('newArticle', article);
-        this.broadcastMessage(message, socket);
+      case 'BLOCKS':
+        this.handleBlocks(message.blocks, socket, peerId);
         break;
 
-      case 'ARTICLE_VOTE':
-        console.log(`Received vote update for article ${message.articleId}`);
-        this.handleVoteUpdate(message);
-        this.broadcastMessage(message, socket);
+      case 'NEW_BLOCK':
+        this.handleNewBlock(message.block, socket, peerId);
         break;
 
-      case 'CHAIN_UPDATE':
-        if (message.chainLength > this.blockchain.chain.length) {
-          this.sendMessage(socket, { type: 'REQUEST_CHAIN' });
+      case 'NEW_TRANSACTION':
+        if (this.handleNewTransaction(message.transaction, peerId)) {
+          this.broadcastMessage(message, socket);
         }
         break;
 
+      case 'REQUEST_PENDING':
+        this.sendMessage(socket, {
+          type: 'PENDING_TRANSACTIONS',
+          transactions: this.blockchain.pendingTransactions
+        });
+        break;
+
+      case 'PENDING_TRANSACTIONS':
+        (message.transactions || []).forEach(tx => this.handleNewTransaction(tx, peerId));
+        break;
+
       default:
         console.log(`Unknown message type: ${message.type}`);
     }
   }
 
-  handleChainUpdate(newChain, socket) {
-    // Validate the new chain
-    if (!this.blockchain.isValidChain(newChain)) {
-      console.log('Received chain is invalid');
+  getStatus() {
+    const tip = this.blockchain.getLatestBlock();
+    return {
+      height: tip.index,
+      tipHash: tip.hash,
+      chainLength: this.blockchain.chain.length,
+      totalWork: this.blockchain.getTotalWork()
+    };
+  }
+
+  handleStatus(status, peerId) {
+    this.peerStatus.set(peerId, {
+      height: status.height,
+      tipHash: status.tipHash,
+      totalWork: status.totalWork
+    });
+    if (status.totalWork > this.blockchain.getTotalWork()) {
+      this.maybeStartSync(peerId);
+    }
+  }
+
+  maybeStartSync(peerId) {
+    const socket = this.peers.get(peerId);
+    if (this.sync.isSyncing() || !socket || !this.hasCapability(peerId, 'headers-sync')) {
       return;
     }
+    console.log(`Starting headers-first sync with ${peerId}`);
+    this.sendSyncRequest(socket, peerId, this.sync.start(peerId));
+  }
 
-    // If new chain is longer, replace
-    if (newChain.length > this.blockchain.chain.length) {
-      console.log(`Replacing blockchain with new chain (length: ${newChain.length})`);
-      
-      // Reconstruct Block objects
-      const Block = require('./blockchain').Block || this.blockchain.chain[0].constructor;
-      const reconstructedChain = newChain.map(blockData => {
-        const block = Object.create(Block.prototype);
-        Object.assign(block, blockData);
-        return block;
-      });
-      
-      this.blockchain.chain = reconstructedChain;
-      this.blockchain.saveBlockchain();
-      this.emit('chainUpdated');
-      
-      // Notify other peers
-      this.broadcastMessage({
-        type: 'CHAIN_UPDATE',
-        chainLength: this.blockchain.chain.length
-      }, socket);
-    } else if (newChain.length === this.blockchain.chain.length) {
-      // Same length - merge unique blocks
-      console.log('Chains are equal length, checking for differences');
-      this.mergeChains(newChain);
-    }
-  }
-
-  mergeChains(incomingChain) {
-    // Check if chains diverged and try to reconcile
-    for (let i = 0; i < incomingChain.length; i++) {
-      const myBlock = this.blockchain.chain[i];
-      const theirBlock = incomingChain[i];
-      
-      if (myBlock.hash !== theirBlock.hash) {
-        console.log(`Chain divergence detected at block ${i}`);
-        // If their block has more votes/data, consider it
-        if (theirBlock.timestamp < myBlock.timestamp) {
-          console.log('Using peer block (earlier timestamp)');
-          this.blockchain.chain[i] = theirBlock;
-          this.blockchain.saveBlockchain();
-        }
+  // Every sync request gets a deadline, so a peer that advertises more work
+  // and then goes quiet cannot hold the sync forever
+  sendSyncRequest(socket, peerId, request) {
+    this.clearSyncTimer();
+    this.sendMessage(socket, request);
+    this.syncTimer = setTimeout(() => this.handleSyncTimeout(peerId, request.type), this.syncTimeoutMs);
+  }
+
+  clearSyncTimer() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  handleSyncTimeout(peerId, requestType) {
+    this.syncTimer = null;
+    if (this.sync.peerId !== peerId) {
+      return;
+    }
+    this.sync.abort();
+    // Its work claim is not trusted again until it sends a fresh STATUS
+    this.peerStatus.delete(peerId);
+    this.penalizePeer(peerId, PENALTIES.SYNC_TIMEOUT, `no reply to ${requestType} within ${this.syncTimeoutMs}ms`);
+    this.syncFromBestPeer();
+  }
+
+  syncFromBestPeer() {
+    let best = null;
+    for (const [peerId, status] of this.peerStatus) {
+      if (status.totalWork > this.blockchain.getTotalWork() && (!best || status.totalWork > best.totalWork)) {
+        best = { peerId, totalWork: status.totalWork };
       }
     }
+    if (best) {
+      this.maybeStartSync(best.peerId);
+    }
   }
 
-  handleVoteUpdate(message) {
-    // Find and update article in blockchain
-    for (let i = 0; i < this.blockchain.chain.length; i++) {
-      const block = this.blockchain.chain[i];
-      if (block.data && block.data.id === message.articleId) {
-        if (message.voteType === 'up') {
-          block.data.votes = message.votes;
-        } else if (message.voteType === 'down') {
-          block.data.downvotes = message.downvotes;
-        }
-        this.blockchain.saveBlockchain();
-        this.emit('voteUpdated', block.data);
-        break;
+  handleHeaders(headers, socket, peerId) {
+    if (peerId !== this.sync.peerId) {
+      return;
+    }
+    this.clearSyncTimer();
+    try {
+      const request = this.sync.handleHeaders(headers, peerId);
+      if (request) {
+        this.sendSyncRequest(socket, peerId, request);
       }
+    } catch (error) {
+      this.sync.abort();
+      this.penalizePeer(peerId, PENALTIES.INVALID_SYNC, `sync failed: ${error.message}`);
     }
   }
 
-  isValidNewBlock(block) {
-    const latestBlock = this.blockchain.getLatestBlock();
-    if (block.index !== latestBlock.index + 1) {
-      return false;
+  handleBlocks(blocks, socket, peerId) {
+    if (peerId !== this.sync.peerId) {
+      return;
+    }
+    this.clearSyncTimer();
+    let result;
+    try {
+      result = this.sync.handleBlocks(blocks, peerId);
+    } catch (error) {
+      this.sync.abort();
+      this.penalizePeer(peerId, PENALTIES.INVALID_SYNC, `sync failed: ${error.message}`);
+      return;
     }
-    if (block.previousHash !== latestBlock.hash) {
+
+    result.appended.forEach(block => {
+      this.recordRelays(getBlockTransactions(block), peerId);
+      this.emit('newBlock', block);
+    });
+    if (result.reorg) {
+      this.emit('chainUpdated');
+      if (result.reorg.orphanedBlocks.length > 0) {
+        console.log(`Chain reorganized at block #${result.reorg.ancestorIndex} (${result.reorg.orphanedBlocks.length} block(s) orphaned)`);
+        this.emit('reorg', result.reorg);
+      }
+    }
+
+    if (result.appended.length > 0 || result.reorg) {
+      // Let other peers know our tip moved
+      this.broadcastMessage({ type: 'STATUS', ...this.getStatus() }, socket);
+    }
+
+    if (result.request) {
+      this.sendSyncRequest(socket, peerId, result.request);
+    } else {
+      console.log(`Sync with ${peerId} complete at height ${this.blockchain.getLatestBlock().index}`);
+    }
+  }
+
+  handleNewTransaction(transaction, peerId) {
+    // Duplicates are expected while a transaction floods the network; drop them quietly
+    const check = this.blockchain.validateTransaction(transaction);
+    if (!check.valid) {
+      if (check.malformed) {
+        this.penalizePeer(peerId, PENALTIES.INVALID_TRANSACTION, `invalid transaction: ${check.error}`);
+      } else if (check.error === 'Transaction has already been recorded' && transaction.type === 'ARTICLE' &&
+          transaction.id === getArticleId(transaction) && verifyArticle(transaction)) {
+        // Another peer vouching for an article we already hold
+        this.recordRelays([transaction], peerId);
+      }
       return false;
     }
+
+    this.recordRelays([transaction], peerId);
+    const tx = this.blockchain.addTransaction(transaction);
+    console.log(`Received ${tx.type} transaction from ${peerId}`);
+    this.emit('newTransaction', tx);
     return true;
   }
 
+  // Peers relay the block the originating node mined; we verify it fully and
+  // append it unchanged so every node ends up with the same block
+  handleNewBlock(block, socket, peerId) {
+    if (!block || typeof block !== 'object' || typeof block.hash !== 'string') {
+      this.penalizePeer(peerId, PENALTIES.MALFORMED_MESSAGE, 'malformed block message');
+      return;
+    }
+    if (this.blockchain.hasBlock(block.hash)) {
+      // Already validated; the peer vouches for what it carries
+      this.recordRelays(getBlockTransactions(this.blockchain.getBlockByHash(block.hash)), peerId);
+      return;
+    }
+
+    const tip = this.blockchain.getLatestBlock();
+    if (block.index === tip.index + 1 && block.previousHash === tip.hash) {
+      const check = this.blockchain.validateNewBlock(block);
+      if (!check.valid) {
+        this.penalizePeer(peerId, PENALTIES.INVALID_BLOCK, `invalid block #${block.index}: ${check.error}`);
+        return;
+      }
+
+      console.log(`Accepted block #${block.index} from ${peerId}`);
+      const appended = this.blockchain.appendBlock(block);
+      this.recordRelays(getBlockTransactions(appended), peerId);
+      this.emit('newBlock', appended);
+      this.broadcastMessage({ type: 'NEW_BLOCK', block: block }, socket);
+    } else if (block.index > tip.index) {
+      // Peer is ahead or on a different branch; sync headers and let fork choice decide
+      this.maybeStartSync(peerId);
+    }
+  }
+
+  // Peer verifications count the distinct peers that relayed an article
+  recordRelays(transactions, peerId) {
+    transactions
+      .filter(tx => tx.type === 'ARTICLE')
+      .forEach(tx => this.blockchain.recordArticleRelay(tx.id, peerId));
+  }
+
+  // Misbehavior is scored per node id (or per address before the handshake)
+  penalizePeer(peerId, points, reason) {
+    if (this.isBanned(peerId)) {
+      return;
+    }
+    const key = this.getBanKey(peerId);
+
+    const entry = this.peerScores.get(key) || { score: 0, updatedAt: Date.now(), reasons: [] };
+    entry.score = this.getScore(key) + points;
+    entry.updatedAt = Date.now();
+    entry.reasons = entry.reasons.concat(reason).slice(-10);
+    this.peerScores.set(key, entry);
+    console.log(`Penalized ${key} by ${points} (${entry.score}/${BAN_THRESHOLD}): ${reason}`);
+
+    if (entry.score >= BAN_THRESHOLD) {
+      this.banPeer(peerId, reason);
+    }
+  }
+
+  getScore(peerId) {
+    const entry = this.peerScores.get(peerId);
+    if (!entry) {
+      return 0;
+    }
+    const elapsed = Date.now() - entry.updatedAt;
+    return Math.round(entry.score * Math.pow(0.5, elapsed / SCORE_HALF_LIFE_MS));
+  }
+
+  // Bans cover the node id and the address it listens on, so a banned node
+  // can't come straight back under a fresh key
+  banPeer(peerId, reason) {
+    const until = Date.now() + BAN_DURATION_MS;
+    const info = this.peerInfo.get(peerId);
+    const keys = [this.getBanKey(peerId)];
+    if (info) {
+      keys.push(this.getBanKey(info.listenAddress));
+    }
+
+    keys.forEach(key => {
+      this.bannedPeers.set(key, { until, reason, bannedAt: Date.now() });
+    });
+    this.peerScores.delete(this.getBanKey(peerId));
+    this.saveBans();
+    console.log(`Banned ${keys.join(', ')} for ${BAN_DURATION_MS / 3600000}h: ${reason}`);
+
+    const socket = this.peers.get(peerId);
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  unbanPeer(key) {
+    const removed = this.bannedPeers.delete(key);
+    if (removed) {
+      this.saveBans();
+      console.log(`Unbanned ${key}`);
+    }
+    return removed;
+  }
+
+  // Node ids are used as-is; addresses as a normalized host:port, or just
+  // the host when whole hosts are banned
+  getBanKey(peerId) {
+    if (isPublicKey(peerId)) {
+      return peerId;
+    }
+    const { host, port } = parseAddress(peerId);
+    return this.banHosts || port === null ? host : `${host}:${port}`;
+  }
+
+  isBanned(peerId) {
+    const key = this.getBanKey(peerId);
+    const ban = this.bannedPeers.get(key);
+    if (ban && ban.until < Date.now()) {
+      this.bannedPeers.delete(key);
+      this.saveBans();
+      return false;
+    }
+    return !!ban;
+  }
+
+  getBans() {
+    return Array.from(this.bannedPeers.entries())
+      .filter(([, ban]) => ban.until > Date.now())
+      .map(([key, ban]) => ({ key, ...ban }));
+  }
+
+  getScores() {
+    return Array.from(this.peerScores.entries()).map(([peerId, entry]) => ({
+      peerId,
+      score: this.getScore(peerId),
+      connected: this.peers.has(peerId),
+      reasons: entry.reasons
+    }));
+  }
+
+  saveBans() {
+    const bans = Object.fromEntries(this.bannedPeers);
+    fs.writeFileSync(this.bansPath, JSON.stringify(bans, null, 2));
+  }
+
+  loadBans() {
+    if (fs.existsSync(this.bansPath)) {
+      try {
+        const bans = JSON.parse(fs.readFileSync(this.bansPath, 'utf8'));
+        Object.entries(bans).forEach(([key, ban]) => {
+          if (ban.until > Date.now()) {
+            this.bannedPeers.set(key, ban);
+          }
+        });
+        console.log(`Loaded ${this.bannedPeers.size} active ban(s)`);
+      } catch (error) {
+        console.error('Error loading bans:', error.message);
+      }
+    }
+  }
+
   sendMessage(socket, message) {
     if (socket.readyState === WebSocket.OPEN) {
       socket.send(JSON.stringify(message));
@@ -335,20 +755,17 @@ class P2PNetwork extends EventEmitter {
     });
   }
 
-  broadcastNewArticle(article) {
+  broadcastTransaction(transaction) {
     this.broadcastMessage({
-      type: 'NEW_ARTICLE',
-      article: article
+      type: 'NEW_TRANSACTION',
+      transaction: transaction
     });
   }
 
-  broadcastVoteUpdate(articleId, votes, downvotes, voteType) {
+  broadcastNewBlock(block) {
     this.broadcastMessage({
-      type: 'ARTICLE_VOTE',
-      articleId: articleId,
-      votes: votes,
-      downvotes: downvotes,
-      voteType: voteType
+      type: 'NEW_BLOCK',
+      block: block
     });
   }
 
@@ -357,10 +774,20 @@ class P2PNetwork extends EventEmitter {
   }
 
   getPeerAddresses() {
-    return Array.from(this.peers.keys());
+    return Array.from(this.peerInfo.values()).map(info => info.address);
+  }
+
+  getPeers() {
+    return Array.from(this.peerInfo.values()).map(info => ({
+      ...info,
+      score: this.getScore(info.nodeId),
+      status: this.peerStatus.get(info.nodeId) || null
+    }));
   }
 
   stop() {
+    this.clearSyncTimer();
+
     // Clear discovery interval
     if (this.discoveryInterval) {
       clearInterval(this.discoveryInterval);
@@ -376,6 +803,7 @@ class P2PNetwork extends EventEmitter {
       socket.close();
     });
     this.peers.clear();
+    this.peerInfo.clear();
     
     if (this.server) {
       this.server.close();
@@ -384,4 +812,5 @@ class P2PNetwork extends EventEmitter {
   }
 }
 
-module.exports = P2PNetwork;
\ No newline at end of file
+module.exports = P2PNetwork;
+module.exports.PROTOCOL_VERSION = PROTOCOL_VERSION;
\ No newline at end of file
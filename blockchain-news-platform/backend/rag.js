@@ -1,12 +1,36 @@
 // rag.js - Retrieval-Augmented Generation System
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createEmbeddingProvider } = require('./embeddings');
+const LexicalIndex = require('./lexical-index');
+const { STOP_WORDS } = require('./lexical-index');
+const HNSWIndex = require('./hnsw');
+
+// Articles are embedded as overlapping passages of about this many words
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP_WORDS = 30;
+// Stored with the embeddings; vectors chunked differently must be rebuilt
+const CHUNKING_ID = `words:${CHUNK_WORDS}/${CHUNK_OVERLAP_WORDS}`;
+const MAX_PASSAGES_PER_RESULT = 3;
+// Filtered searches score every passage exactly when the filter leaves this
+// few of them, rather than walking the ANN graph past non-matching nodes
+const EXACT_SEARCH_MAX_PASSAGES = 5000;
+// Changes are appended to changes.log and folded into the snapshot files
+// once this many have accumulated
+const SNAPSHOT_AFTER_CHANGES = 500;
 
 class RAGProcessor {
-  constructor() {
+  constructor(options = {}) {
     this.documents = new Map();
     this.embeddings = new Map();
-    this.dataDir = path.join(__dirname, 'rag_data');
+    this.staleEmbeddings = 0;
+    this.lexicalIndex = new LexicalIndex();
+    this.vectorIndex = new HNSWIndex();
+    this.embedder = options.embeddingProvider || createEmbeddingProvider();
+    this.dataDir = options.dataDir || path.join(__dirname, 'rag_data');
+    this.logPath = path.join(this.dataDir, 'changes.log');
+    this.loggedChanges = 0;
     
     if (!fs.existsSync(this.dataDir)) {
       fs.mkdirSync(this.dataDir, { recursive: true });
@@ -15,108 +39,289 @@ class RAGProcessor {
     this.loadData();
   }
 
-  // Simple word embedding using TF-IDF approach
+  // Dense, fixed-dimension vector from the configured embedding provider
   async generateEmbedding(text) {
-    if (!text) return [];
+    const [vector] = await this.generateEmbeddings([text || '']);
+    return vector;
+  }
 
-    const words = text.toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(w => w.length > 2);
+  async generateEmbeddings(texts) {
+    const vectors = await this.embedder.embed(texts);
+    // Six decimals is plenty for cosine ranking and keeps embeddings.json small
+    return vectors.map(vector => vector.map(value => Math.round(value * 1e6) / 1e6));
+  }
 
-    const wordFreq = {};
-    words.forEach(word => {
-      wordFreq[word] = (wordFreq[word] || 0) + 1;
-    });
+  // Calculate cosine similarity between two embedding vectors
+  cosineSimilarity(vec1, vec2) {
+    if (!Array.isArray(vec1) || !Array.isArray(vec2) || vec1.length !== vec2.length) return 0;
 
-    // Create a simple vector representation
-    const uniqueWords = Object.keys(wordFreq);
-    const vector = uniqueWords.slice(0, 100).map(word => wordFreq[word]);
+    let dotProduct = 0;
+    let mag1 = 0;
+    let mag2 = 0;
 
-    return {
-      vector: vector,
-      vocabulary: uniqueWords.slice(0, 100),
-      totalWords: words.length
-    };
-  }
+    for (let i = 0; i < vec1.length; i++) {
+      dotProduct += vec1[i] * vec2[i];
+      mag1 += vec1[i] * vec1[i];
+      mag2 += vec2[i] * vec2[i];
+    }
 
-  // Calculate cosine similarity between two embeddings
-  cosineSimilarity(embedding1, embedding2) {
-    if (!embedding1.vector || !embedding2.vector) return 0;
+    mag1 = Math.sqrt(mag1);
+    mag2 = Math.sqrt(mag2);
 
-    const vec1 = embedding1.vector;
-    const vec2 = embedding2.vector;
+    return mag1 && mag2 ? dotProduct / (mag1 * mag2) : 0;
+  }
 
-    // Align vectors by matching vocabulary
-    const vocab1 = new Set(embedding1.vocabulary);
-    const vocab2 = new Set(embedding2.vocabulary);
-    const commonVocab = [...vocab1].filter(w => vocab2.has(w));
+  getEmbeddingText(document) {
+    return `${document.title} ${document.content || ''}`;
+  }
+
+  // Split text into overlapping windows of up to CHUNK_WORDS words, ending each
+  // on a sentence boundary when one falls in its last third. Returns character
+  // ranges [{ start, end }] into the text.
+  chunkText(text) {
+    const words = [];
+    const wordPattern = /\S+/g;
+    let match;
+    while ((match = wordPattern.exec(text || '')) !== null) {
+      words.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        sentenceEnd: /[.!?]["')\]]*$/.test(match[0])
+      });
+    }
 
-    if (commonVocab.length === 0) return 0;
+    const passages = [];
+    let first = 0;
+    while (first < words.length) {
+      let last = Math.min(first + CHUNK_WORDS, words.length) - 1;
+      if (last < words.length - 1) {
+        for (let i = last; i > first + (CHUNK_WORDS * 2) / 3; i--) {
+          if (words[i].sentenceEnd) {
+            last = i;
+            break;
+          }
+        }
+      }
 
-    let dotProduct = 0;
-    let mag1 = 0;
-    let mag2 = 0;
+      passages.push({ start: words[first].start, end: words[last].end });
+      if (last === words.length - 1) break;
 
-    commonVocab.forEach(word => {
-      const idx1 = embedding1.vocabulary.indexOf(word);
-      const idx2 = embedding2.vocabulary.indexOf(word);
-      
-      if (idx1 >= 0 && idx2 >= 0) {
-        const val1 = vec1[idx1] || 0;
-        const val2 = vec2[idx2] || 0;
-        dotProduct += val1 * val2;
-        mag1 += val1 * val1;
-        mag2 += val2 * val2;
+      // Overlap the next passage with this one, starting it at a sentence if possible
+      let next = Math.max(last + 1 - CHUNK_OVERLAP_WORDS, first + 1);
+      for (let i = next; i <= last; i++) {
+        if (words[i - 1].sentenceEnd) {
+          next = i;
+          break;
+        }
       }
+      first = next;
+    }
+    return passages;
+  }
+
+  // Passages of an article's content; an article without content is one
+  // empty-range passage that stands for the title
+  chunkDocument(document) {
+    const passages = this.chunkText(document.content);
+    return passages.length > 0 ? passages : [{ start: 0, end: 0 }];
+  }
+
+  getPassageText(document, passage) {
+    return passage.end > passage.start
+      ? document.content.slice(passage.start, passage.end)
+      : document.title;
+  }
+
+  // Each passage is embedded together with the title so it keeps its topic
+  async buildEmbeddings(entries) {
+    const jobs = entries.map(([id, document]) => ({
+      id,
+      textHash: crypto.createHash('sha256').update(this.getEmbeddingText(document)).digest('hex'),
+      passages: this.chunkDocument(document),
+      document
+    }));
+
+    const texts = [];
+    jobs.forEach(job => job.passages.forEach(passage => {
+      texts.push(passage.end > passage.start
+        ? `${job.document.title} ${this.getPassageText(job.document, passage)}`
+        : job.document.title);
+    }));
+    const vectors = await this.generateEmbeddings(texts);
+
+    let next = 0;
+    return jobs.map(job => [job.id, {
+      textHash: job.textHash,
+      passages: job.passages.map(passage => ({ ...passage, vector: vectors[next++] }))
+    }]);
+  }
+
+  // Re-embed only when the text changed (vote updates leave it alone).
+  // Returns whether a new embedding was stored.
+  async embedDocument(id, document) {
+    const textHash = crypto.createHash('sha256').update(this.getEmbeddingText(document)).digest('hex');
+    const existing = this.embeddings.get(id);
+    if (existing && existing.textHash === textHash) {
+      return false;
+    }
+
+    const [[, embedding]] = await this.buildEmbeddings([[id, document]]);
+    this.setEmbedding(id, embedding);
+    return true;
+  }
+
+  setEmbedding(id, embedding) {
+    this.unindexEmbedding(id);
+    this.embeddings.set(id, embedding);
+    this.indexEmbedding(id, embedding);
+  }
+
+  // Passage vectors go into the ANN index under "<documentId>#<passageIndex>"
+  indexEmbedding(id, embedding) {
+    embedding.passages.forEach((passage, index) => {
+      this.vectorIndex.add(`${id}#${index}`, passage.vector);
     });
+  }
 
-    mag1 = Math.sqrt(mag1);
-    mag2 = Math.sqrt(mag2);
+  unindexEmbedding(id) {
+    const embedding = this.embeddings.get(id);
+    if (!embedding) return;
 
-    return mag1 && mag2 ? dotProduct / (mag1 * mag2) : 0;
+    embedding.passages.forEach((passage, index) => {
+      this.vectorIndex.remove(`${id}#${index}`);
+    });
+    if (this.vectorIndex.needsCompaction()) {
+      this.rebuildVectorIndex();
+    }
+  }
+
+  rebuildVectorIndex() {
+    this.vectorIndex = new HNSWIndex();
+    this.embeddings.forEach((embedding, id) => this.indexEmbedding(id, embedding));
+  }
+
+  getPassageVector(key) {
+    const separator = key.lastIndexOf('#');
+    const embedding = this.embeddings.get(key.slice(0, separator));
+    const passage = embedding && embedding.passages[parseInt(key.slice(separator + 1))];
+    return passage ? passage.vector : null;
   }
 
   // Add document to RAG system
+  // The document is stored even if embedding fails, so `npm run reembed` can fill it in later
   async addDocument(id, document) {
-    const text = `${document.title} ${document.content || ''}`;
-    const embedding = await this.generateEmbedding(text);
-
     this.documents.set(id, document);
-    this.embeddings.set(id, embedding);
-
-    this.saveData();
+    this.lexicalIndex.add(id, document);
+    let embedded = false;
+    try {
+      embedded = await this.embedDocument(id, document);
+    } finally {
+      this.logPut(id, document, embedded);
+    }
   }
 
   // Update existing document
   async updateDocument(id, document) {
     if (this.documents.has(id)) {
-      const text = `${document.title} ${document.content || ''}`;
-      const embedding = await this.generateEmbedding(text);
-
       this.documents.set(id, document);
-      this.embeddings.set(id, embedding);
-
-      this.saveData();
+      this.lexicalIndex.add(id, document);
+      let embedded = false;
+      try {
+        embedded = await this.embedDocument(id, document);
+      } finally {
+        this.logPut(id, document, embedded);
+      }
       return true;
     }
     return false;
   }
 
-  // Semantic search using embeddings
-  async search(query, limit = 10) {
+  // The embedding is logged only when it changed; a vote update logs just the document
+  logPut(id, document, embedded) {
+    const entry = { op: 'put', id, document };
+    if (embedded) {
+      entry.provider = this.embedder.id;
+      entry.chunking = CHUNKING_ID;
+      entry.embedding = this.embeddings.get(id);
+    }
+    this.logChange(entry);
+  }
+
+  logChange(entry) {
+    fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n');
+    this.loggedChanges++;
+    if (this.loggedChanges >= SNAPSHOT_AFTER_CHANGES) {
+      this.saveData();
+    }
+  }
+
+  // Embed every document again with the current provider, e.g. after
+  // switching models. Used by `npm run reembed`.
+  async reembedAll(batchSize = 32, onProgress = () => {}) {
+    const entries = Array.from(this.documents.entries());
+    const embeddings = new Map();
+
+    for (let i = 0; i < entries.length; i += batchSize) {
+      const built = await this.buildEmbeddings(entries.slice(i, i + batchSize));
+      built.forEach(([id, embedding]) => embeddings.set(id, embedding));
+      onProgress(Math.min(i + batchSize, entries.length), entries.length);
+    }
+
+    // Swap in only once everything succeeded so a failed run leaves the old index intact
+    this.embeddings = embeddings;
+    this.staleEmbeddings = 0;
+    this.rebuildVectorIndex();
+    this.saveData();
+    return embeddings.size;
+  }
+
+  // Remove a document, e.g. when a chain reorg orphaned its article
+  removeDocument(id) {
+    const existed = this.documents.delete(id);
+    this.unindexEmbedding(id);
+    this.embeddings.delete(id);
+    this.lexicalIndex.remove(id);
+    if (existed) {
+      this.logChange({ op: 'remove', id });
+    }
+    return existed;
+  }
+
+  // Search by embedding similarity (mode 'semantic') or BM25 (mode 'lexical').
+  // `filter(id)` restricts the candidates before they are ranked.
+  async search(query, limit = 10, mode = 'semantic', filter = null) {
+    if (mode === 'lexical') {
+      return this.searchLexical(query, limit, filter);
+    }
+
     const queryEmbedding = await this.generateEmbedding(query);
     const results = [];
 
-    for (const [id, document] of this.documents.entries()) {
+    // The ANN index finds candidate articles from their nearest passages;
+    // each candidate's passages are then scored exactly, the article ranks by
+    // its best one and carries its top passages along for the chat context
+    const candidateIds = this.findCandidates(queryEmbedding, limit, filter);
+
+    for (const id of candidateIds) {
+      const document = this.documents.get(id);
       const docEmbedding = this.embeddings.get(id);
-      if (!docEmbedding) continue;
+      if (!document || !docEmbedding) continue;
+
+      const passages = docEmbedding.passages
+        .map((passage, index) => ({
+          index,
+          start: passage.start,
+          end: passage.end,
+          score: this.cosineSimilarity(queryEmbedding, passage.vector)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_PASSAGES_PER_RESULT)
+        .map(passage => ({ ...passage, text: this.getPassageText(document, passage) }));
 
-      const similarity = this.cosineSimilarity(queryEmbedding, docEmbedding);
-      
       results.push({
         ...document,
-        relevance: similarity * 100,
+        relevance: passages[0].score * 100,
+        passages,
         id: id
       });
     }
@@ -127,6 +332,40 @@ class RAGProcessor {
       .slice(0, limit);
   }
 
+  // Article ids whose passages are nearest to the query embedding
+  findCandidates(queryEmbedding, limit, filter) {
+    const passageArticle = key => key.slice(0, key.lastIndexOf('#'));
+
+    if (filter) {
+      const allowedIds = Array.from(this.embeddings.keys()).filter(filter);
+      const passageCount = allowedIds.reduce((sum, id) => sum + this.embeddings.get(id).passages.length, 0);
+      if (passageCount <= EXACT_SEARCH_MAX_PASSAGES) {
+        return new Set(allowedIds);
+      }
+    }
+
+    const hits = this.vectorIndex.search(
+      queryEmbedding,
+      limit * MAX_PASSAGES_PER_RESULT,
+      undefined,
+      filter ? key => filter(passageArticle(key)) : null
+    );
+    return new Set(hits.map(hit => passageArticle(hit.key)));
+  }
+
+  // BM25 keyword search over the inverted index
+  searchLexical(query, limit = 10, filter = null) {
+    return this.lexicalIndex.search(query, limit, filter)
+      .filter(hit => this.documents.has(hit.id))
+      .map(hit => ({
+        ...this.documents.get(hit.id),
+        relevance: hit.relevance,
+        bm25: hit.score,
+        matchedTerms: hit.matchedTerms,
+        id: hit.id
+      }));
+  }
+
   // Get document by ID
   getDocument(id) {
     return this.documents.get(id);
@@ -147,19 +386,7 @@ class RAGProcessor {
       .filter(w => w.length > 3);
 
     // Remove common stop words
-    const stopWords = new Set([
-      'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all',
-      'can', 'her', 'was', 'one', 'our', 'out', 'day', 'get',
-      'has', 'him', 'his', 'how', 'man', 'new', 'now', 'old',
-      'see', 'two', 'way', 'who', 'boy', 'did', 'its', 'let',
-      'put', 'say', 'she', 'too', 'use', 'this', 'that', 'with',
-      'have', 'from', 'they', 'been', 'will', 'what', 'when',
-      'make', 'like', 'time', 'just', 'know', 'take', 'into',
-      'year', 'your', 'some', 'could', 'them', 'than', 'then',
-      'about', 'would', 'there', 'their', 'which', 'these'
-    ]);
-
-    const filtered = words.filter(w => !stopWords.has(w));
+    const filtered = words.filter(w => !STOP_WORDS.has(w));
 
     // Count frequency
     const freq = {};
@@ -265,22 +492,70 @@ class RAGProcessor {
     return count;
   }
 
-  // Save data to disk
+  // Write a full snapshot and start a new change log. Each file is written
+  // to a temporary name first so a crash never leaves a truncated snapshot;
+  // replaying the old log over a partly renamed snapshot is harmless.
   saveData() {
     const docsPath = path.join(this.dataDir, 'documents.json');
     const embeddingsPath = path.join(this.dataDir, 'embeddings.json');
+    const indexPath = path.join(this.dataDir, 'lexical_index.json');
+    const vectorIndexPath = path.join(this.dataDir, 'vector_index.json');
 
     const docsData = Array.from(this.documents.entries());
-    const embeddingsData = Array.from(this.embeddings.entries());
+    const embeddingsData = {
+      provider: this.embedder.id,
+      dimension: this.embedder.dimension,
+      chunking: CHUNKING_ID,
+      vectors: Array.from(this.embeddings.entries())
+    };
+
+    writeFileAtomic(docsPath, JSON.stringify(docsData, null, 2));
+    // Vectors are written compactly; pretty-printing them would multiply the file size
+    writeFileAtomic(embeddingsPath, JSON.stringify(embeddingsData));
+    writeFileAtomic(indexPath, JSON.stringify(this.lexicalIndex));
+    writeFileAtomic(vectorIndexPath, JSON.stringify(this.vectorIndex));
+    fs.writeFileSync(this.logPath, '');
+    this.loggedChanges = 0;
+  }
 
-    fs.writeFileSync(docsPath, JSON.stringify(docsData, null, 2));
-    fs.writeFileSync(embeddingsPath, JSON.stringify(embeddingsData, null, 2));
+  // Apply the changes logged since the last snapshot
+  replayLog() {
+    if (!fs.existsSync(this.logPath)) return;
+
+    const lines = fs.readFileSync(this.logPath, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be cut short, by a crash mid-append
+        console.warn('Ignoring unreadable line in changes.log');
+        continue;
+      }
+
+      if (entry.op === 'remove') {
+        this.documents.delete(entry.id);
+        this.unindexEmbedding(entry.id);
+        this.embeddings.delete(entry.id);
+        this.lexicalIndex.remove(entry.id);
+      } else if (entry.op === 'put') {
+        this.documents.set(entry.id, entry.document);
+        this.lexicalIndex.add(entry.id, entry.document);
+        if (entry.embedding && entry.provider === this.embedder.id && entry.chunking === CHUNKING_ID) {
+          this.setEmbedding(entry.id, entry.embedding);
+        }
+      }
+    }
+    this.loggedChanges = lines.length;
+    if (lines.length > 0) console.log(`Replayed ${lines.length} logged changes`);
   }
 
   // Load data from disk
   loadData() {
     const docsPath = path.join(this.dataDir, 'documents.json');
     const embeddingsPath = path.join(this.dataDir, 'embeddings.json');
+    const indexPath = path.join(this.dataDir, 'lexical_index.json');
+    const vectorIndexPath = path.join(this.dataDir, 'vector_index.json');
 
     if (fs.existsSync(docsPath)) {
       const docsData = JSON.parse(fs.readFileSync(docsPath, 'utf8'));
@@ -290,8 +565,52 @@ class RAGProcessor {
 
     if (fs.existsSync(embeddingsPath)) {
       const embeddingsData = JSON.parse(fs.readFileSync(embeddingsPath, 'utf8'));
-      this.embeddings = new Map(embeddingsData);
-      console.log(`Loaded ${this.embeddings.size} embeddings`);
+
+      // Vectors from another model, another chunking, or the old word-count
+      // format can't be compared with new queries
+      if (Array.isArray(embeddingsData) ||
+          embeddingsData.provider !== this.embedder.id ||
+          embeddingsData.chunking !== CHUNKING_ID) {
+        const count = Array.isArray(embeddingsData) ? embeddingsData.length : embeddingsData.vectors.length;
+        const source = Array.isArray(embeddingsData)
+          ? 'the legacy format'
+          : `${embeddingsData.provider} (${embeddingsData.chunking || 'whole documents'})`;
+        this.staleEmbeddings = count;
+        if (count > 0) console.warn(`Ignoring ${count} embeddings from ${source}; run "npm run reembed" to rebuild them with ${this.embedder.id} (${CHUNKING_ID})`);
+      } else {
+        this.embeddings = new Map(embeddingsData.vectors);
+        console.log(`Loaded ${this.embeddings.size} embeddings (${this.embedder.id})`);
+      }
+    }
+
+    if (fs.existsSync(indexPath)) {
+      this.lexicalIndex = LexicalIndex.fromJSON(JSON.parse(fs.readFileSync(indexPath, 'utf8')));
+    }
+    if (fs.existsSync(vectorIndexPath)) {
+      const graph = JSON.parse(fs.readFileSync(vectorIndexPath, 'utf8'));
+      this.vectorIndex = HNSWIndex.fromJSON(graph, key => this.getPassageVector(key)) || new HNSWIndex();
+    }
+
+    this.replayLog();
+
+    // Data saved before the index existed (or out of step with it) is re-indexed from the documents
+    if (this.lexicalIndex.docs.size !== this.documents.size) {
+      this.lexicalIndex.clear();
+      this.documents.forEach((document, id) => this.lexicalIndex.add(id, document));
+      console.log(`Rebuilt lexical index for ${this.documents.size} documents`);
+    } else {
+      console.log(`Loaded lexical index (${this.lexicalIndex.postings.size} terms)`);
+    }
+
+    // The ANN graph is stored without vectors; reattach them from the
+    // embeddings and rebuild if the two have drifted apart
+    const passageCount = Array.from(this.embeddings.values())
+      .reduce((sum, embedding) => sum + embedding.passages.length, 0);
+    if (this.vectorIndex.size !== passageCount) {
+      this.rebuildVectorIndex();
+      console.log(`Rebuilt vector index for ${passageCount} passages`);
+    } else {
+      console.log(`Loaded vector index (${passageCount} passages)`);
     }
   }
 
@@ -299,8 +618,16 @@ class RAGProcessor {
   clear() {
     this.documents.clear();
     this.embeddings.clear();
+    this.lexicalIndex.clear();
+    this.vectorIndex = new HNSWIndex();
     this.saveData();
   }
 }
 
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
 module.exports = RAGProcessor;
\ No newline at end of file
@@ -0,0 +1,24 @@
+// reembed.js - Rebuild rag_data/embeddings.json with the configured embedding provider
+//
+//   npm run reembed
+//
+// Run after upgrading from the old word-count embeddings or after changing
+// EMBEDDING_PROVIDER / EMBEDDING_MODEL; the server ignores vectors that were
+// produced by a different provider.
+require('dotenv').config();
+const RAGProcessor = require('./rag');
+
+async function main() {
+  const ragProcessor = new RAGProcessor();
+  console.log(`Re-embedding ${ragProcessor.documents.size} documents with ${ragProcessor.embedder.id}`);
+
+  const count = await ragProcessor.reembedAll(32, (done, total) => {
+    console.log(`  ${done}/${total}`);
+  });
+  console.log(`Wrote ${count} embeddings (${ragProcessor.embedder.dimension} dimensions)`);
+}
+
+main().catch(error => {
+  console.error('Re-embedding failed:', error.message);
+  process.exit(1);
+});
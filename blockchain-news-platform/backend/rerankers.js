@@ -0,0 +1,99 @@
+// rerankers.js - Optional second-stage rerankers for hybrid search
+//
+// A reranker takes the query and the top candidates from the first stage and
+// returns one relevance score in [0, 1] per candidate:
+//   rerank(query, documents) -> Promise<number[]>
+
+// Prefer the passages the retriever matched over the start of the article
+function getRerankText(document) {
+  const body = document.passages && document.passages.length > 0
+    ? document.passages.map(passage => passage.text).join(' ')
+    : document.content || '';
+  return `${document.title}. ${body.substring(0, 1000)}`;
+}
+
+// Cross-encoder scoring query/passage pairs together on the CPU via transformers.js
+class CrossEncoderReranker {
+  constructor(options = {}) {
+    this.model = options.model || 'Xenova/ms-marco-MiniLM-L-6-v2';
+    this.id = `cross-encoder:${this.model}`;
+    this.scorer = null;
+  }
+
+  load() {
+    if (!this.scorer) {
+      this.scorer = import('@huggingface/transformers')
+        .then(async ({ AutoTokenizer, AutoModelForSequenceClassification }) => {
+          console.log(`Loading reranker model ${this.model}...`);
+          const [tokenizer, model] = await Promise.all([
+            AutoTokenizer.from_pretrained(this.model),
+            AutoModelForSequenceClassification.from_pretrained(this.model)
+          ]);
+          return { tokenizer, model };
+        })
+        .catch(error => {
+          this.scorer = null;
+          throw new Error(`Could not load reranker model ${this.model}: ${error.message}`);
+        });
+    }
+    return this.scorer;
+  }
+
+  async rerank(query, documents) {
+    const { tokenizer, model } = await this.load();
+    const inputs = tokenizer(
+      new Array(documents.length).fill(query),
+      { text_pair: documents.map(getRerankText), padding: true, truncation: true }
+    );
+    const { logits } = await model(inputs);
+    // One logit per pair; squash to [0, 1]
+    return logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit)));
+  }
+}
+
+// Asks the chat model to grade each candidate 0-10 in a single call
+class LLMReranker {
+  constructor(llm) {
+    this.llm = llm;
+    this.id = 'llm';
+  }
+
+  async rerank(query, documents) {
+    const list = documents
+      .map((document, index) => `[${index + 1}] ${getRerankText(document).substring(0, 400)}`)
+      .join('\n');
+    const message = `Rate how relevant each article is to the search query "${query}" on a scale of 0 to 10.
+Reply with only a JSON array of ${documents.length} numbers in the order given, e.g. [7, 0, 3].
+
+${list}`;
+
+    const result = await this.llm.chat(message, {}, { temperature: 0, maxTokens: 100 });
+    const match = result.response.match(/\[[\d\s.,]*\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+    if (!scores || scores.length !== documents.length) {
+      throw new Error('Reranker reply did not contain one score per article');
+    }
+    return scores.map(score => Math.min(10, Math.max(0, Number(score) || 0)) / 10);
+  }
+}
+
+// RERANKER = none (default) | cross-encoder | llm
+//   RERANKER_MODEL  model for the cross-encoder
+function createReranker(env = process.env, { llm } = {}) {
+  switch ((env.RERANKER || 'none').toLowerCase()) {
+    case 'none':
+      return null;
+    case 'cross-encoder':
+      return new CrossEncoderReranker({ model: env.RERANKER_MODEL });
+    case 'llm':
+      return new LLMReranker(llm);
+    default:
+      throw new Error(`Unknown RERANKER "${env.RERANKER}"`);
+  }
+}
+
+module.exports = {
+  createReranker,
+  CrossEncoderReranker,
+  LLMReranker
+};
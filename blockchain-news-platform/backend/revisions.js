@@ -0,0 +1,82 @@
+// revisions.js - Edits to a published article, expressed as content diffs
+//
+// A revision's diff is a list of splices against the previous version's
+// content, each { start, deleteCount, insert } with positions in the previous
+// text, sorted and non-overlapping. Every node applies the same splices, so
+// the resolved text of an article is the same everywhere.
+
+const MAX_SPLICES = 50;
+const MAX_REASON_LENGTH = 500;
+const MAX_TITLE_LENGTH = 300;
+
+// A single splice covering everything between the common prefix and suffix,
+// or [] when the texts are equal
+function computeDiff(previous, next) {
+  if (previous === next) return [];
+
+  let start = 0;
+  while (start < previous.length && start < next.length && previous[start] === next[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < previous.length - start && end < next.length - start &&
+    previous[previous.length - 1 - end] === next[next.length - 1 - end]) {
+    end++;
+  }
+
+  return [{
+    start,
+    deleteCount: previous.length - start - end,
+    insert: next.substring(start, next.length - end)
+  }];
+}
+
+function isValidDiff(diff, text) {
+  if (!Array.isArray(diff) || diff.length > MAX_SPLICES) return false;
+
+  let position = 0;
+  return diff.every(splice => {
+    const valid = splice &&
+      Number.isSafeInteger(splice.start) &&
+      Number.isSafeInteger(splice.deleteCount) &&
+      typeof splice.insert === 'string' &&
+      splice.start >= position &&
+      splice.deleteCount >= 0 &&
+      splice.start + splice.deleteCount <= text.length &&
+      (splice.deleteCount > 0 || splice.insert.length > 0);
+    position = valid ? splice.start + splice.deleteCount : Infinity;
+    return valid;
+  });
+}
+
+// Assumes isValidDiff(diff, text)
+function applyDiff(text, diff) {
+  let result = '';
+  let position = 0;
+  diff.forEach(splice => {
+    result += text.substring(position, splice.start) + splice.insert;
+    position = splice.start + splice.deleteCount;
+  });
+  return result + text.substring(position);
+}
+
+// Everything about a revision that can be checked without the chain
+function isWellFormedRevision(tx) {
+  return typeof tx.articleId === 'string' &&
+    typeof tx.previousId === 'string' &&
+    typeof tx.reason === 'string' &&
+    tx.reason.trim().length > 0 &&
+    tx.reason.length <= MAX_REASON_LENGTH &&
+    typeof tx.correction === 'boolean' &&
+    (tx.title === undefined || (typeof tx.title === 'string' && tx.title.trim().length > 0 && tx.title.length <= MAX_TITLE_LENGTH)) &&
+    Array.isArray(tx.diff) &&
+    (tx.diff.length > 0 || tx.title !== undefined);
+}
+
+module.exports = {
+  computeDiff,
+  isValidDiff,
+  applyDiff,
+  isWellFormedRevision,
+  MAX_REASON_LENGTH
+};
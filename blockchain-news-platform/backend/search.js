@@ -0,0 +1,123 @@
+// search.js - Hybrid retrieval: lexical and vector rankings fused with RRF
+const { calculateTrustScore } = require('./trust');
+
+// Reciprocal-rank fusion constant; 60 is the value from the original RRF paper
+const RRF_K = 60;
+const CANDIDATES_PER_LIST = 50;
+const RECENCY_HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_WEIGHTS = { relevance: 0.8, trust: 0.1, recency: 0.1 };
+
+// "relevance=0.7,trust=0.2,recency=0.1" -> { relevance: 0.7, trust: 0.2, recency: 0.1 }
+function parseWeights(spec) {
+  const weights = {};
+  if (!spec) return weights;
+
+  spec.split(',').forEach(pair => {
+    const [name, value] = pair.split(/[=:]/).map(part => part && part.trim());
+    if (name in DEFAULT_WEIGHTS && Number.isFinite(parseFloat(value))) {
+      weights[name] = parseFloat(value);
+    }
+  });
+  return weights;
+}
+
+class HybridSearch {
+  constructor(ragProcessor, blockchain, options = {}) {
+    this.ragProcessor = ragProcessor;
+    this.blockchain = blockchain;
+    this.reranker = options.reranker || null;
+    this.rerankTopN = options.rerankTopN || 20;
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+  }
+
+  // Returns { results, reranked } where every result carries a `scores`
+  // breakdown showing how its final position was reached. `options.filter(id)`
+  // restricts every ranking to matching articles.
+  async search(query, options = {}) {
+    const limit = options.limit || 10;
+    const filter = options.filter || null;
+    const weights = { ...this.weights, ...options.weights };
+    const candidates = new Map();
+    let rrfMax = 0;
+
+    const addRanking = (name, hits, describe) => {
+      if (hits.length === 0) return;
+      rrfMax += 1 / (RRF_K + 1);
+
+      hits.forEach((hit, index) => {
+        const entry = candidates.get(hit.id) || {
+          document: this.ragProcessor.getDocument(hit.id) || hit,
+          scores: { lexical: null, semantic: null, phrase: null, rrf: 0 }
+        };
+        entry.scores[name] = { rank: index + 1, ...describe(hit) };
+        entry.scores.rrf += 1 / (RRF_K + index + 1);
+        if (hit.passages) {
+          entry.passages = hit.passages;
+        }
+        candidates.set(hit.id, entry);
+      });
+    };
+
+    addRanking('lexical', this.ragProcessor.searchLexical(query, CANDIDATES_PER_LIST, filter), hit => ({
+      bm25: hit.bm25,
+      matchedTerms: hit.matchedTerms
+    }));
+
+    // Without an embedding model the lexical and phrase rankings still work
+    try {
+      const semantic = await this.ragProcessor.search(query, CANDIDATES_PER_LIST, 'semantic', filter);
+      addRanking('semantic', semantic.filter(hit => hit.relevance > 0), hit => ({
+        similarity: hit.relevance / 100
+      }));
+    } catch (error) {
+      console.error('Semantic ranking unavailable:', error.message);
+    }
+
+    // Exact substring matches straight from the chain, newest first
+    const phrase = this.blockchain.searchArticles(query)
+      .filter(article => !filter || filter(article.id))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, CANDIDATES_PER_LIST);
+    addRanking('phrase', phrase, () => ({}));
+
+    const now = Date.now();
+    let results = Array.from(candidates.values()).map(({ document, scores, passages }) => {
+      scores.relevance = rrfMax ? scores.rrf / rrfMax : 0;
+      scores.trust = calculateTrustScore(document) / 100;
+      scores.recency = Math.pow(0.5, Math.max(0, now - (document.timestamp || 0)) / RECENCY_HALF_LIFE_MS);
+      scores.final = weights.relevance * scores.relevance +
+        weights.trust * scores.trust +
+        weights.recency * scores.recency;
+      return { ...document, id: document.id, relevance: scores.final * 100, passages, scores };
+    });
+    results.sort((a, b) => b.scores.final - a.scores.final);
+
+    let reranked = false;
+    if (options.rerank && this.reranker && results.length > 0) {
+      reranked = await this.rerank(query, results);
+    }
+
+    return { results: results.slice(0, limit), reranked };
+  }
+
+  // Reorder the top candidates by reranker score; the rest keep their fused order
+  async rerank(query, results) {
+    const top = results.slice(0, this.rerankTopN);
+    try {
+      const scores = await this.reranker.rerank(query, top);
+      top.forEach((result, index) => {
+        result.scores.rerank = scores[index];
+      });
+      top.sort((a, b) => b.scores.rerank - a.scores.rerank || b.scores.final - a.scores.final);
+      results.splice(0, top.length, ...top);
+      return true;
+    } catch (error) {
+      console.error(`Reranking with ${this.reranker.id} failed:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = HybridSearch;
+module.exports.parseWeights = parseWeights;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
@@ -1,41 +1,203 @@
 require('dotenv').config();
 
 // server.js - REST API Server with RAG Implementation
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const Blockchain = require('./blockchain');
+const { getBlockTransactions, getArticleId, getRevisionId, getFactCheckId } = require('./blockchain');
+const BlockProducer = require('./block-producer');
 const P2PNetwork = require('./p2p');
+const { PROTOCOL_VERSION } = require('./p2p');
 const RAGProcessor = require('./rag');
 const LangChainGroqChat = require('./langchain-chat');
+const { createLLMProvider } = require('./llm-providers');
+const HybridSearch = require('./search');
+const { parseWeights } = require('./search');
+const { createReranker } = require('./rerankers');
+const { calculateTrustScore } = require('./trust');
+const { parseSearchFilters, parseIntegerParam, createArticleFilter, sortResults } = require('./filters');
+const { buildFacets } = require('./facets');
+const { buildSources, extractCitations } = require('./citations');
+const ChatSessionStore = require('./chat-sessions');
+const FactChecker = require('./factcheck');
+const ArticleIngester = require('./ingest');
+const FeedManager = require('./feeds');
+const DuplicateDetector = require('./dedupe');
+const { getUrlKey } = require('./dedupe');
+const StoryClusterer = require('./stories');
+const {
+  verifyArticle,
+  verifyVote,
+  verifyRevision,
+  buildArticlePayload,
+  isValidTags,
+  isValidArticleMetadata,
+  isFreshTimestamp,
+  loadOrCreateNodeIdentity,
+  buildFactCheckPayload,
+  signPayload,
+  MAX_TAGS
+} = require('./identity');
 
 const app = express();
 const HTTP_PORT = process.env.HTTP_PORT || 3001;
 const P2P_PORT = process.env.P2P_PORT || 6001;
+const BLOCK_INTERVAL_MS = parseInt(process.env.BLOCK_INTERVAL_MS) || 10000;
+const MAX_BLOCK_TRANSACTIONS = parseInt(process.env.MAX_BLOCK_TRANSACTIONS) || 50;
+const SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+const MAX_STORIES = 100;
 
 app.use(cors());
 app.use(express.json());
 
 // Initialize blockchain, P2P network, and AI
 const blockchain = new Blockchain();
-const p2pNetwork = new P2PNetwork(blockchain, P2P_PORT);
+const nodeIdentity = loadOrCreateNodeIdentity(blockchain.dataDir);
+// P2P_BAN_HOSTS=true bans every node on a misbehaving peer's host, not just its address
+const p2pNetwork = new P2PNetwork(blockchain, P2P_PORT, nodeIdentity, {
+  banHosts: process.env.P2P_BAN_HOSTS === 'true'
+});
+const blockProducer = new BlockProducer(blockchain, {
+  intervalMs: BLOCK_INTERVAL_MS,
+  maxTransactions: MAX_BLOCK_TRANSACTIONS
+});
 const ragProcessor = new RAGProcessor();
-const aiChat = new LangChainGroqChat(process.env.GROQ_API_KEY);
+const aiChat = new LangChainGroqChat(createLLMProvider(process.env));
+const chatSessions = new ChatSessionStore(ragProcessor.dataDir);
+const hybridSearch = new HybridSearch(ragProcessor, blockchain, {
+  reranker: createReranker(process.env, { llm: aiChat }),
+  rerankTopN: parseInt(process.env.RERANK_TOP_N) || 20,
+  weights: parseWeights(process.env.SEARCH_WEIGHTS)
+});
+const factChecker = new FactChecker(ragProcessor, aiChat);
+// Private and loopback hosts are refused unless explicitly allowed (e.g. a local test server)
+const articleIngester = new ArticleIngester({ allowPrivateHosts: process.env.INGEST_ALLOW_PRIVATE_HOSTS === 'true' });
+// Exact duplicates are a ledger rule; near duplicates are linked into clusters
+const duplicateDetector = new DuplicateDetector(ragProcessor, {
+  minSimilarity: parseFloat(process.env.NEAR_DUPLICATE_SIMILARITY) || undefined
+});
+duplicateDetector.rebuild(blockchain.getAllArticles());
+const storyClusterer = new StoryClusterer(ragProcessor, duplicateDetector);
+const feedManager = new FeedManager(ragProcessor.dataDir, {
+  publish: publishFeedArticle,
+  isKnownUrl: isArticleUrlKnown,
+  ingester: articleIngester,
+  allowPrivateHosts: process.env.INGEST_ALLOW_PRIVATE_HOSTS === 'true',
+  tickMs: parseInt(process.env.FEED_POLL_TICK_MS) || 60000
+});
 
 // P2P Event Handlers
 p2pNetwork.on('peerConnected', (peerId) => {
   console.log(`Peer connected: ${peerId} (Total peers: ${p2pNetwork.getPeerCount()})`);
 });
 
-p2pNetwork.on('chainUpdated', () => {
+p2pNetwork.on('chainUpdated', async () => {
   console.log('Blockchain updated from network');
+  await syncRagIndex();
+});
+
+p2pNetwork.on('reorg', async (reorg) => {
+  console.log(`Reorg to ${reorg.newTip.hash}; resyncing RAG index for ${reorg.affectedArticleIds.length} article(s)`);
+  await syncRagIndex();
+});
+
+p2pNetwork.on('newBlock', async (block) => {
+  await indexBlock(block);
+});
+
+p2pNetwork.on('newTransaction', () => {
+  blockProducer.notify();
 });
 
-p2pNetwork.on('newArticle', (article) => {
-  console.log('New article received from network:', article.title);
+// Block producer events
+blockProducer.on('blockProduced', async (block) => {
+  p2pNetwork.broadcastNewBlock(block);
+  await indexBlock(block);
 });
 
-// Start P2P server
+// Keep the RAG index in step with mined articles and their vote tallies
+async function indexBlock(block) {
+  for (const tx of getBlockTransactions(block)) {
+    const articleId = tx.type === 'ARTICLE' ? tx.id : tx.articleId;
+    const article = articleId && blockchain.getArticle(articleId);
+    if (!article) continue;
+
+    await indexArticle(article);
+  }
+}
+
+// Embedding can fail (model not loaded, endpoint down); the document is kept
+// without a vector until `npm run reembed` fills it in. Near-duplicate
+// clustering then falls back to fingerprints.
+async function indexArticle(article) {
+  try {
+    if (ragProcessor.getDocument(article.id)) {
+      await ragProcessor.updateDocument(article.id, article);
+    } else {
+      await ragProcessor.addDocument(article.id, article);
+    }
+  } catch (error) {
+    console.error(`Failed to index article ${article.id}:`, error.message);
+  }
+  duplicateDetector.assign(article);
+}
+
+// Make the RAG index mirror the articles on the current chain exactly
+async function syncRagIndex() {
+  const articles = blockchain.getAllArticles();
+  const onChain = new Set(articles.map(article => article.id));
+
+  for (const document of ragProcessor.getAllDocuments()) {
+    if (!onChain.has(document.id)) {
+      ragProcessor.removeDocument(document.id);
+      duplicateDetector.remove(document.id);
+    }
+  }
+
+  for (const article of articles) {
+    await indexArticle(article);
+  }
+}
+
+// Feed entries are published under this node's key, the same way a user's
+// signed submission is queued
+function publishFeedArticle(draft) {
+  const unsigned = {
+    ...draft,
+    timestamp: Date.now(),
+    author: nodeIdentity.publicKey
+  };
+  const article = {
+    type: 'ARTICLE',
+    ...buildArticlePayload(unsigned),
+    signature: signPayload(buildArticlePayload(unsigned), nodeIdentity.privateKey)
+  };
+  article.id = getArticleId(article);
+
+  // Syndicated copies often carry another URL but the same text
+  const check = blockchain.validateTransaction(article);
+  if (check.duplicateOf) {
+    return null;
+  }
+
+  const transaction = blockchain.addTransaction(article);
+  p2pNetwork.broadcastTransaction(transaction);
+  blockProducer.notify();
+  return transaction;
+}
+
+// Compared the way the ledger's duplicate rule compares them
+function isArticleUrlKnown(url) {
+  const urlKey = getUrlKey({ url });
+  return blockchain.getAllArticles().some(article => getUrlKey(article) === urlKey) ||
+    blockchain.pendingTransactions.some(tx => tx.type === 'ARTICLE' && getUrlKey(tx) === urlKey);
+}
+
+// Start P2P server, block production and feed polling
 p2pNetwork.start();
+blockProducer.start();
+feedManager.start();
 
 // Connect to initial peers if provided
 if (process.env.PEERS) {
@@ -53,6 +215,13 @@ app.get('/api/health', (req, res) => {
     status: 'healthy',
     chainLength: blockchain.chain.length,
     peers: p2pNetwork.getPeerCount(),
+    pendingTransactions: blockchain.pendingTransactions.length,
+    difficulty: blockchain.getLatestBlock().difficulty,
+    nextDifficulty: blockchain.getNextDifficulty(),
+    mining: blockchain.isMining(),
+    embeddingProvider: ragProcessor.embedder.id,
+    llmProvider: aiChat.provider.id,
+    staleEmbeddings: ragProcessor.staleEmbeddings,
     valid: blockchain.isChainValid()
   });
 });
@@ -68,7 +237,15 @@ app.get('/api/blockchain', (req, res) => {
 
 // Get all articles
 app.get('/api/articles', (req, res) => {
+  // Near-duplicate coverage of the same story shares a clusterId (the
+  // earliest article's id) so clients can show it together
   const articles = blockchain.getAllArticles();
+  const clusters = duplicateDetector.getClusters(articles);
+  articles.forEach(article => {
+    const { clusterId, size } = clusters.get(article.id);
+    article.clusterId = clusterId;
+    article.clusterSize = size;
+  });
   res.json({
     articles: articles,
     count: articles.length
@@ -78,46 +255,78 @@ app.get('/api/articles', (req, res) => {
 // Add new article
 app.post('/api/articles', async (req, res) => {
   try {
-    const { title, url, content } = req.body;
+    const { title, url, content, timestamp, author, signature, tags, byline, publishedAt, language } = req.body;
 
     if (!title) {
       return res.status(400).json({ error: 'Title is required' });
     }
 
-    // URL is now optional - generate a placeholder if not provided
-    const articleUrl = url || `#article_${Date.now()}`;
+    if (!author || !signature) {
+      return res.status(401).json({ error: 'Article must be signed by its author' });
+    }
 
-    // Generate embeddings and store in RAG system
-    const embedding = await ragProcessor.generateEmbedding(content || title);
-    
-    const article = {
-      id: `article_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    if (!isFreshTimestamp(timestamp)) {
+      return res.status(400).json({ error: 'Signature timestamp is missing or expired' });
+    }
+
+    if (!isValidTags(tags)) {
+      return res.status(400).json({ error: `Tags must be up to ${MAX_TAGS} unique lowercase labels (letters, digits, spaces, hyphens)` });
+    }
+
+    if (!isValidArticleMetadata({ byline, publishedAt, language, timestamp })) {
+      return res.status(400).json({ error: 'byline must be a short name, publishedAt a timestamp no later than a day after signing and language a language tag' });
+    }
+
+    // URL is optional - the placeholder is derived from the signed timestamp
+    // so the stored article matches exactly what the author signed
+    const articleUrl = url || `#article_${timestamp}`;
+
+    const signedArticle = {
       title,
       url: articleUrl,
-      content,
-      embedding,
-      timestamp: Date.now(),
-      uploader: req.ip || 'unknown',
-      votes: 0,
-      peerVerifications: p2pNetwork.getPeerCount()
+      content: content || '',
+      timestamp,
+      author,
+      tags,
+      byline,
+      publishedAt,
+      language,
+      signature
     };
 
-    // Add to blockchain
-    const block = blockchain.addArticle(article);
-    
-    // Store in RAG system
-    await ragProcessor.addDocument(article.id, article);
+    if (!verifyArticle(signedArticle)) {
+      return res.status(401).json({ error: 'Invalid article signature' });
+    }
+
+    // Only what the author signed goes on chain; embeddings and peer
+    // verifications are this node's own, computed locally
+    const article = {
+      type: 'ARTICLE',
+      ...signedArticle
+    };
+    article.id = getArticleId(article);
 
-    // Broadcast to network
-    p2pNetwork.broadcastNewArticle(article);
+    // Exact duplicates (same URL or text) are rejected by the ledger itself,
+    // for peers' submissions too
+    const check = blockchain.validateTransaction(article);
+    if (!check.valid) {
+      return res.status(check.malformed ? 400 : 409).json({ error: check.error, duplicateOf: check.duplicateOf });
+    }
+
+    // Near duplicates are accepted and end up in the same cluster
+    const pendingArticles = blockchain.pendingTransactions.filter(tx => tx.type === 'ARTICLE');
+    const nearDuplicates = await duplicateDetector.findNearDuplicates(article, [...blockchain.getAllArticles(), ...pendingArticles]);
+
+    // Queue for the next block and share with peers before it is mined
+    const transaction = blockchain.addTransaction(article);
+    p2pNetwork.broadcastTransaction(transaction);
+    blockProducer.notify();
 
     res.json({
       success: true,
-      article: article,
-      block: {
-        index: block.index,
-        hash: block.hash
-      }
+      pending: true,
+      article: transaction,
+      nearDuplicates
     });
   } catch (error) {
     console.error('Error adding article:', error);
@@ -125,28 +334,161 @@ app.post('/api/articles', async (req, res) => {
   }
 });
 
+// Fetch a URL and extract a normalized article draft for the author to
+// review and sign; nothing is stored until the signed article is submitted
+app.post('/api/articles/ingest', async (req, res) => {
+  try {
+    const { url } = req.body;
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const article = await articleIngester.ingest(url);
+    const existing = blockchain.getAllArticles().find(a => getUrlKey(a) === getUrlKey(article));
+
+    res.json({
+      article,
+      existingArticleId: existing ? existing.id : null
+    });
+  } catch (error) {
+    if (error instanceof ArticleIngester.IngestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error ingesting article:', error);
+    res.status(500).json({ error: 'Failed to ingest article' });
+  }
+});
+
+// Feed subscriptions with their polling status
+app.get('/api/feeds', (req, res) => {
+  const feeds = feedManager.list();
+  res.json({ feeds, count: feeds.length });
+});
+
+// Register an RSS/Atom feed; its current entries are imported right away
+app.post('/api/feeds', async (req, res) => {
+  try {
+    const { url, intervalMinutes, tags } = req.body;
+    const feed = await feedManager.add({ url, intervalMinutes, tags });
+    res.json({ success: true, feed });
+  } catch (error) {
+    if (error instanceof FeedManager.FeedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adding feed:', error);
+    res.status(500).json({ error: 'Failed to add feed' });
+  }
+});
+
+app.delete('/api/feeds/:id', (req, res) => {
+  if (!feedManager.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+  res.json({ success: true });
+});
+
+// Poll a feed now instead of waiting for its interval
+app.post('/api/feeds/:id/poll', async (req, res) => {
+  try {
+    const feed = feedManager.get(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const result = await feedManager.poll(feed);
+    res.json({ ...result, feed: feedManager.getStatus(feed) });
+  } catch (error) {
+    console.error('Error polling feed:', error);
+    res.status(500).json({ error: 'Failed to poll feed' });
+  }
+});
+
+// Stories: related coverage grouped together, most recently updated first
+app.get('/api/stories', (req, res) => {
+  const limit = parseIntegerParam(req.query, 'limit', { max: MAX_STORIES, defaultValue: 20 });
+  const minArticles = parseIntegerParam(req.query, 'minArticles', { defaultValue: 1 });
+  const error = limit.error || minArticles.error;
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const stories = storyClusterer.getStories(blockchain.getAllArticles())
+    .filter(story => story.articleCount >= minArticles.value);
+  res.json({
+    stories: stories.slice(0, limit.value).map(({ timeline, ...story }) => story),
+    count: stories.length
+  });
+});
+
+// How coverage of a story developed, ordered by block timestamp
+app.get('/api/stories/:id/timeline', (req, res) => {
+  const story = storyClusterer.getStory(blockchain.getAllArticles(), req.params.id);
+  if (!story) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+
+  const { timeline, ...summary } = story;
+  res.json({ story: summary, timeline });
+});
+
 // Search articles with RAG
 app.get('/api/search', async (req, res) => {
   try {
-    const { query, limit = 10 } = req.query;
+    const { query, mode = 'semantic', rerank, weights } = req.query;
+    const { filters, sort, limit, minRelevance, error } = parseSearchFilters(req.query);
 
+    if (error) {
+      return res.status(400).json({ error });
+    }
     if (!query) {
       return res.status(400).json({ error: 'Query parameter is required' });
     }
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` });
+    }
+
+    // Filters are resolved to a set of article ids up front so every ranking
+    // only ever sees matching articles
+    const filter = createArticleFilter(blockchain.getAllArticles(), filters);
+
+    // Hybrid fuses lexical, semantic and on-chain phrase matches; the other
+    // modes query a single ranking from the RAG index
+    let results;
+    let reranked = false;
+    if (mode === 'hybrid') {
+      ({ results, reranked } = await hybridSearch.search(query, {
+        limit: limit,
+        rerank: rerank === 'true',
+        weights: parseWeights(weights),
+        filter
+      }));
+    } else {
+      results = await ragProcessor.search(query, limit, mode, filter);
+    }
 
-    // Use RAG for semantic search
-    const results = await ragProcessor.search(query, parseInt(limit));
+    // Drop weak matches before counting facets so the counts match what is shown
+    if (minRelevance !== null) {
+      results = results.filter(result => result.relevance >= minRelevance);
+    }
 
     // Calculate trust scores
-    const enrichedResults = results.map(result => ({
+    const enrichedResults = sortResults(results.map(result => ({
       ...result,
       trustScore: calculateTrustScore(result),
       summary: generateSummary(result.content || result.title)
-    }));
+    })), sort);
+
+    // Counted over the returned results so the client can narrow them locally
+    const facets = buildFacets(enrichedResults, (text, topN) => ragProcessor.extractKeywords(text, topN));
 
     res.json({
       query: query,
+      mode: mode,
+      reranked: reranked,
+      filters: filters,
+      sort: sort,
       results: enrichedResults,
+      facets: facets,
       count: enrichedResults.length
     });
   } catch (error) {
@@ -155,53 +497,155 @@ app.get('/api/search', async (req, res) => {
   }
 });
 
+// Fact-check an article against the rest of the chain. The report is signed
+// with this node's key and mined like any other transaction so peers share it.
+app.post('/api/articles/:id/factcheck', async (req, res) => {
+  try {
+    const article = blockchain.getArticle(req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found (it must be mined before it can be fact-checked)' });
+    }
+
+    const report = await factChecker.check(article);
+    if (report.claims.length === 0) {
+      return res.status(422).json({ error: 'No checkable claims found in the article' });
+    }
+
+    const unsigned = {
+      type: 'FACTCHECK',
+      articleId: article.id,
+      claims: report.claims,
+      model: report.model,
+      timestamp: Date.now(),
+      checker: nodeIdentity.publicKey
+    };
+    const factCheck = { ...unsigned, signature: signPayload(buildFactCheckPayload(unsigned), nodeIdentity.privateKey) };
+    factCheck.id = getFactCheckId(factCheck);
+
+    const check = blockchain.validateTransaction(factCheck);
+    if (!check.valid) {
+      return res.status(409).json({ error: check.error });
+    }
+
+    const transaction = blockchain.addTransaction(factCheck);
+    p2pNetwork.broadcastTransaction(transaction);
+    blockProducer.notify();
+
+    res.json({
+      success: true,
+      pending: true,
+      factCheck: transaction
+    });
+  } catch (error) {
+    console.error('Error fact-checking article:', error);
+    res.status(500).json({ error: 'Fact-check failed' });
+  }
+});
+
+// Fact-check reports for an article, newest first
+app.get('/api/articles/:id/factchecks', (req, res) => {
+  const factChecks = blockchain.getFactChecks(req.params.id);
+  res.json({ factChecks, count: factChecks.length });
+});
+
+// Revise an article. Only its author can; the revision is chained onto the
+// latest version and the original stays on chain.
+app.post('/api/articles/:id/revisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { previousId, title, diff, reason, correction, timestamp, author, signature } = req.body;
+
+    if (!isFreshTimestamp(timestamp)) {
+      return res.status(400).json({ error: 'Signature timestamp is missing or expired' });
+    }
+
+    const revision = {
+      type: 'ARTICLE_REVISION',
+      articleId: id,
+      previousId,
+      title,
+      diff,
+      reason,
+      correction,
+      timestamp,
+      author,
+      signature
+    };
+
+    if (!verifyRevision(revision)) {
+      return res.status(401).json({ error: 'Invalid revision signature' });
+    }
+
+    revision.id = getRevisionId(revision);
+
+    const check = blockchain.validateTransaction(revision);
+    if (!check.valid) {
+      const status = check.error === 'Article not found' ? 404
+        : check.error === 'Only the original author can revise an article' ? 403
+        : check.malformed ? 400 : 409;
+      return res.status(status).json({ error: check.error });
+    }
+
+    const transaction = blockchain.addTransaction(revision);
+    p2pNetwork.broadcastTransaction(transaction);
+    blockProducer.notify();
+
+    res.json({
+      success: true,
+      pending: true,
+      revision: transaction
+    });
+  } catch (error) {
+    console.error('Error revising article:', error);
+    res.status(500).json({ error: 'Failed to revise article' });
+  }
+});
+
+// Every version of an article, original first, with the blocks recording them
+app.get('/api/articles/:id/history', (req, res) => {
+  const versions = blockchain.getArticleHistory(req.params.id);
+  if (versions.length === 0) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+  res.json({ articleId: req.params.id, versions, count: versions.length });
+});
+
 // Vote on article
 app.post('/api/articles/:id/vote', async (req, res) => {
   try {
     const { id } = req.params;
-    const { voteType } = req.body; // 'up' or 'down'
-    
-    // Find article in blockchain
-    let foundArticle = null;
-    let blockIndex = -1;
-
-    for (let i = 0; i < blockchain.chain.length; i++) {
-      const block = blockchain.chain[i];
-      if (block.data && block.data.id === id) {
-        foundArticle = block.data;
-        blockIndex = i;
-        break;
-      }
+    const { voteType, timestamp, voter, signature } = req.body; // voteType: 'up' or 'down'
+
+    if (voteType !== 'up' && voteType !== 'down') {
+      return res.status(400).json({ error: 'voteType must be "up" or "down"' });
     }
 
-    if (!foundArticle) {
-      return res.status(404).json({ error: 'Article not found' });
+    if (!isFreshTimestamp(timestamp)) {
+      return res.status(400).json({ error: 'Signature timestamp is missing or expired' });
     }
 
-    // Update votes based on type
-    if (voteType === 'up') {
-      foundArticle.votes = (foundArticle.votes || 0) + 1;
-    } else if (voteType === 'down') {
-      foundArticle.downvotes = (foundArticle.downvotes || 0) + 1;
+    const vote = { type: 'VOTE', articleId: id, voteType, timestamp, voter, signature };
+
+    if (!verifyVote(vote)) {
+      return res.status(401).json({ error: 'Invalid vote signature' });
     }
-    
-    blockchain.chain[blockIndex].data = foundArticle;
-    blockchain.saveBlockchain();
 
-    // Update in RAG system
-    await ragProcessor.updateDocument(id, foundArticle);
+    const check = blockchain.validateTransaction(vote);
+    if (!check.valid) {
+      const status = check.error === 'Article not found' ? 404 : 409;
+      return res.status(status).json({ error: check.error });
+    }
 
-    // Broadcast vote update to network
-    p2pNetwork.broadcastVoteUpdate(
-      id,
-      foundArticle.votes || 0,
-      foundArticle.downvotes || 0,
-      voteType
-    );
+    // Record the vote as its own transaction instead of mutating the article's block
+    const transaction = blockchain.addTransaction(vote);
+    p2pNetwork.broadcastTransaction(transaction);
+    blockProducer.notify();
 
     res.json({
       success: true,
-      article: foundArticle
+      pending: true,
+      transaction: transaction,
+      article: blockchain.getArticle(id)
     });
   } catch (error) {
     console.error('Error voting:', error);
@@ -209,14 +653,80 @@ app.post('/api/articles/:id/vote', async (req, res) => {
   }
 });
 
+// Progress of the headers-first sync with peers
+app.get('/api/sync', (req, res) => {
+  res.json({
+    ...p2pNetwork.sync.getStatus(),
+    local: p2pNetwork.getStatus(),
+    peers: Object.fromEntries(p2pNetwork.peerStatus)
+  });
+});
+
+// Chain reorganizations seen by this node, most recent last
+app.get('/api/reorgs', (req, res) => {
+  const { since } = req.query;
+  const reorgs = since
+    ? blockchain.reorgs.filter(reorg => reorg.timestamp > parseInt(since))
+    : blockchain.reorgs;
+
+  res.json({
+    reorgs: reorgs,
+    count: reorgs.length,
+    tip: {
+      index: blockchain.getLatestBlock().index,
+      hash: blockchain.getLatestBlock().hash,
+      totalWork: blockchain.getTotalWork()
+    }
+  });
+});
+
+// Inspect the pending transaction pool
+app.get('/api/mempool', (req, res) => {
+  const transactions = blockchain.pendingTransactions;
+  res.json({
+    transactions: transactions,
+    count: transactions.length,
+    producer: blockProducer.getStatus()
+  });
+});
+
+// Look up a single pending transaction by signature
+app.get('/api/mempool/:signature', (req, res) => {
+  const transaction = blockchain.pendingTransactions.find(tx => tx.signature === req.params.signature);
+  if (!transaction) {
+    return res.status(404).json({ error: 'Transaction not pending' });
+  }
+  res.json({ transaction });
+});
+
 // Get network peers
 app.get('/api/peers', (req, res) => {
   res.json({
-    peers: p2pNetwork.getPeerAddresses(),
+    nodeId: p2pNetwork.nodeId,
+    protocolVersion: PROTOCOL_VERSION,
+    peers: p2pNetwork.getPeers(),
     count: p2pNetwork.getPeerCount()
   });
 });
 
+// Misbehavior scores, including peers that have since disconnected
+app.get('/api/peers/scores', (req, res) => {
+  res.json({ scores: p2pNetwork.getScores() });
+});
+
+// Active bans (node ids and hosts)
+app.get('/api/peers/bans', (req, res) => {
+  res.json({ bans: p2pNetwork.getBans() });
+});
+
+// Lift a ban early
+app.delete('/api/peers/bans/:key', (req, res) => {
+  if (!p2pNetwork.unbanPeer(req.params.key)) {
+    return res.status(404).json({ error: 'No such ban' });
+  }
+  res.json({ success: true });
+});
+
 // Add peer
 app.post('/api/peers', (req, res) => {
   const { peerAddress } = req.body;
@@ -229,66 +739,157 @@ app.post('/api/peers', (req, res) => {
   res.json({ success: true, message: 'Connecting to peer...' });
 });
 
-// Chat with AI (LangChain + Groq)
+// Shared by /api/chat and /api/chat/stream: resolve the session, rewrite
+// follow-ups, retrieve sources and build the model context
+async function prepareChatTurn({ message, articleId, sessionId }) {
+  const session = chatSessions.getOrCreate(sessionId);
+  const history = chatSessions.getHistory(session);
+  const previousAnswer = history.filter(m => m.role === 'assistant').pop();
+
+  // Follow-ups are rewritten into standalone questions before retrieval
+  const searchQuery = await aiChat.rewriteQuestion(message, history, previousAnswer ? previousAnswer.sources : []);
+
+  // Search for relevant articles
+  const relevantArticles = await ragProcessor.search(searchQuery, 5);
+  
+  // Get selected article if articleId provided
+  let selectedArticle = null;
+  if (articleId) {
+    selectedArticle = relevantArticles.find(a => a.id === articleId) || ragProcessor.getDocument(articleId);
+  }
+
+  // Sources are numbered in retrieval order and located on the chain so
+  // the answer's [n] markers can be resolved to blocks
+  const sources = buildSources(relevantArticles, id => blockchain.getArticle(id));
+
+  // Build context
+  const context = {
+    articles: relevantArticles.map((a, index) => ({
+      id: a.id,
+      title: a.title,
+      content: a.content,
+      passages: sources[index].passages,
+      blockIndex: sources[index].blockIndex,
+      blockHash: sources[index].blockHash,
+      trustScore: calculateTrustScore(a)
+    })),
+    selectedArticle: selectedArticle ? {
+      title: selectedArticle.title,
+      content: selectedArticle.content,
+      trustScore: calculateTrustScore(selectedArticle)
+    } : null,
+    history: history,
+    conversationSummary: session.summary
+  };
+
+  return {
+    session,
+    message,
+    searchQuery,
+    rewrittenQuery: searchQuery !== message ? searchQuery : null,
+    relevantArticles,
+    sources,
+    publicSources: sources.map(({ passages, content, ...source }) => source),
+    context
+  };
+}
+
+// Answer built from the retrieved articles alone when the LLM is unavailable
+function buildFallbackResponse(message, relevantArticles) {
+  if (relevantArticles.length === 0) {
+    return `I couldn't find any articles matching your query in the blockchain. Try different keywords or upload relevant articles!`;
+  }
+
+  let response = `I found ${relevantArticles.length} relevant article(s): ${relevantArticles.map((a, index) => `"${a.title}" [${index + 1}]`).join(', ')}. `;
+  if (message.toLowerCase().includes('summarize') || message.toLowerCase().includes('summary')) {
+    const article = relevantArticles[0];
+    const summary = ragProcessor.generateSummary(article.content || article.title, 3);
+    response += `\n\nSummary of "${article.title}" [1]:\n${summary}`;
+  }
+  return response;
+}
+
+// Save both sides of the exchange to the session and resolve citations
+function recordChatTurn(turn, aiResponse, extra = {}) {
+  const citations = extractCitations(aiResponse, turn.sources);
+  const timestamp = Date.now();
+
+  chatSessions.addMessage(turn.session, {
+    role: 'user',
+    content: turn.message,
+    rewrittenQuery: turn.rewrittenQuery || undefined,
+    timestamp: timestamp
+  });
+  chatSessions.addMessage(turn.session, {
+    role: 'assistant',
+    content: aiResponse,
+    sources: turn.publicSources,
+    citations: citations,
+    articles: turn.relevantArticles.slice(0, 3).map(a => ({ id: a.id, title: a.title, trustScore: calculateTrustScore(a) })),
+    timestamp: timestamp,
+    ...extra
+  });
+
+  // Long conversations are compacted after the reply has gone out
+  setImmediate(() => {
+    summarizeSession(turn.session).catch(error => {
+      console.error(`Failed to summarize chat session ${turn.session.id}:`, error.message);
+    });
+  });
+
+  return { citations, timestamp };
+}
+
+function getChatRequestError({ message, sessionId }) {
+  if (!message) {
+    return 'Message is required';
+  }
+  if (!ChatSessionStore.isValidId(sessionId)) {
+    return 'sessionId may only contain letters, digits, "_" and "-"';
+  }
+  return null;
+}
+
+function newSessionId() {
+  return `session_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Chat with AI
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, articleId } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    // Search for relevant articles
-    const relevantArticles = await ragProcessor.search(message, 5);
-    
-    // Get selected article if articleId provided
-    let selectedArticle = null;
-    if (articleId) {
-      selectedArticle = relevantArticles.find(a => a.id === articleId) || ragProcessor.getDocument(articleId);
-    }
-
-    // Build context
-    const context = {
-      articles: relevantArticles.map(a => ({
-        title: a.title,
-        content: a.content,
-        trustScore: calculateTrustScore(a)
-      })),
-      selectedArticle: selectedArticle ? {
-        title: selectedArticle.title,
-        content: selectedArticle.content,
-        trustScore: calculateTrustScore(selectedArticle)
-      } : null
-    };
+    const request = { ...req.body, sessionId: req.body.sessionId || newSessionId() };
+    const requestError = getChatRequestError(request);
+    if (requestError) {
+      return res.status(400).json({ error: requestError });
+    }
 
-    // Get AI response using Groq
+    const turn = await prepareChatTurn(request);
+
+    // Get AI response from the configured LLM provider
     let aiResponse;
     try {
-      const result = await aiChat.chat(message, context);
+      const result = await aiChat.chat(turn.message, turn.context);
       aiResponse = result.response;
     } catch (error) {
-      console.error('Groq API error:', error.message);
-      // Fallback to simple response if Groq fails
-      if (relevantArticles.length > 0) {
-        aiResponse = `I found ${relevantArticles.length} relevant article(s): ${relevantArticles.map(a => `"${a.title}"`).join(', ')}. `;
-        if (message.toLowerCase().includes('summarize') || message.toLowerCase().includes('summary')) {
-          const article = relevantArticles[0];
-          const summary = ragProcessor.generateSummary(article.content || article.title, 3);
-          aiResponse += `\n\nSummary of "${article.title}":\n${summary}`;
-        }
-      } else {
-        aiResponse = `I couldn't find any articles matching your query in the blockchain. Try different keywords or upload relevant articles!`;
-      }
+      console.error('LLM error:', error.message);
+      // Fallback to simple response if the LLM fails
+      aiResponse = buildFallbackResponse(turn.message, turn.relevantArticles);
     }
 
+    const { citations, timestamp } = recordChatTurn(turn, aiResponse);
+
     res.json({
       success: true,
+      sessionId: turn.session.id,
       response: aiResponse,
-      relevantArticles: relevantArticles.slice(0, 3).map(a => ({
+      rewrittenQuery: turn.rewrittenQuery,
+      citations: citations,
+      sources: turn.publicSources,
+      relevantArticles: turn.relevantArticles.slice(0, 3).map(a => ({
         ...a,
         trustScore: calculateTrustScore(a)
       })),
-      timestamp: Date.now()
+      timestamp: timestamp
     });
   } catch (error) {
     console.error('Error in chat:', error);
@@ -296,28 +897,120 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// Trust score calculation
-function calculateTrustScore(article) {
-  let score = 50;
+// Streaming chat over Server-Sent Events:
+//   event: articles  { sessionId, rewrittenQuery, sources, relevantArticles }
+//   event: token     { delta }  (repeated)
+//   event: done      { response, citations, timestamp }
+//   event: error     { error }
+// Closing the connection cancels the upstream completion.
+app.post('/api/chat/stream', async (req, res) => {
+  const request = { ...req.body, sessionId: req.body.sessionId || newSessionId() };
+  const requestError = getChatRequestError(request);
+  if (requestError) {
+    return res.status(400).json({ error: requestError });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-  if (article.url && article.url.includes('https')) score += 10;
-  if (article.content && article.content.length > 200) score += 10;
-  if (article.votes && article.votes > 0) score += Math.min(article.votes * 2, 20);
-  if (article.peerVerifications) score += article.peerVerifications * 5;
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abort.abort();
+    }
+  });
 
-  const trustedDomains = {
-    'reuters.com': 15, 'bbc.com': 15, 'apnews.com': 15,
-    'nytimes.com': 12, 'washingtonpost.com': 12, 'theguardian.com': 12
-  };
+  let turn = null;
+  let aiResponse = '';
+  try {
+    turn = await prepareChatTurn(request);
+    if (abort.signal.aborted) return;
 
-  for (const [domain, bonus] of Object.entries(trustedDomains)) {
-    if (article.url && article.url.includes(domain)) {
-      score += bonus;
-      break;
+    send('articles', {
+      sessionId: turn.session.id,
+      rewrittenQuery: turn.rewrittenQuery,
+      sources: turn.publicSources,
+      relevantArticles: turn.relevantArticles.slice(0, 3).map(a => ({
+        ...a,
+        trustScore: calculateTrustScore(a)
+      }))
+    });
+
+    try {
+      await aiChat.chatStream(turn.message, turn.context, {
+        signal: abort.signal,
+        onToken: delta => {
+          aiResponse += delta;
+          send('token', { delta });
+        }
+      });
+    } catch (error) {
+      if (abort.signal.aborted) throw error;
+      console.error('LLM error:', error.message);
+      // Nothing streamed yet: answer from the articles, as /api/chat does
+      if (aiResponse) throw error;
+      aiResponse = buildFallbackResponse(turn.message, turn.relevantArticles);
+      send('token', { delta: aiResponse });
     }
+
+    const { citations, timestamp } = recordChatTurn(turn, aiResponse);
+    send('done', { response: aiResponse, citations, timestamp });
+    res.end();
+  } catch (error) {
+    if (abort.signal.aborted) {
+      // Keep whatever the client saw so the conversation stays coherent
+      if (turn && aiResponse) {
+        recordChatTurn(turn, aiResponse, { cancelled: true });
+      }
+      console.log(`Chat stream cancelled by client${turn ? ` (session ${turn.session.id})` : ''}`);
+      return;
+    }
+    console.error('Error in chat stream:', error);
+    send('error', { error: 'Chat processing failed' });
+    res.end();
+  }
+});
+
+// List chat sessions, most recently active first
+app.get('/api/chat/sessions', (req, res) => {
+  const sessions = chatSessions.list();
+  res.json({ sessions, count: sessions.length });
+});
+
+// Full session, for resuming a conversation
+app.get('/api/chat/sessions/:id', (req, res) => {
+  const session = chatSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Chat session not found' });
   }
+  res.json({ session });
+});
 
-  return Math.min(100, Math.max(0, score));
+app.delete('/api/chat/sessions/:id', (req, res) => {
+  if (!chatSessions.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Chat session not found' });
+  }
+  res.json({ success: true });
+});
+
+// One summarization at a time per session so the same messages aren't folded in twice
+const summarizingSessions = new Set();
+
+async function summarizeSession(session) {
+  const messages = chatSessions.getMessagesToSummarize(session);
+  if (messages.length === 0 || summarizingSessions.has(session.id)) return;
+
+  summarizingSessions.add(session.id);
+  try {
+    const summary = await aiChat.summarizeHistory(messages, session.summary);
+    chatSessions.applySummary(session, summary, messages.length);
+  } finally {
+    summarizingSessions.delete(session.id);
+  }
 }
 
 // Simple summarization
@@ -348,6 +1041,9 @@ app.listen(HTTP_PORT, () => {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nShutting down gracefully...');
+  blockProducer.stop();
+  feedManager.stop();
+  blockchain.cancelMining();
   p2pNetwork.stop();
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,164 @@
+// stories.js - Related articles grouped into evolving stories
+//
+// Articles are assigned in block order: each joins the open story it is most
+// similar to - embedding similarity to the story's centroid blended with the
+// keywords they share - or starts a new one. A story stays open while it
+// keeps getting coverage; after STORY_IDLE_MS without a new article, later
+// coverage of the topic starts a new story. Near-duplicate copies always join
+// the story of the article they copy.
+const { getDomain } = require('./filters');
+
+const STORY_IDLE_MS = 7 * 24 * 60 * 60 * 1000;
+const KEYWORDS_PER_ARTICLE = 10;
+const STORY_PROFILE_KEYWORDS = 20; // a story's most frequent keywords, matched against new articles
+const EMBEDDING_WEIGHT = 0.7;
+const MIN_SCORE_WITH_EMBEDDINGS = 0.6;
+const MIN_SCORE_KEYWORDS_ONLY = 0.25;
+
+// Crude suffix stripping so "approves", "approved" and "approval" match
+function stem(keyword) {
+  return keyword.length > 5 ? keyword.replace(/(ing|ed|es|al|s)$/, '') : keyword;
+}
+
+function getStoryId(article) {
+  return `story_${article.id.replace(/^article_/, '')}`;
+}
+
+class StoryClusterer {
+  constructor(ragProcessor, duplicateDetector) {
+    this.ragProcessor = ragProcessor;
+    this.duplicateDetector = duplicateDetector;
+    this.stories = null;
+    this.storiesKey = null;
+  }
+
+  // Stories over `articles` (in chain order), most recently updated first.
+  // The grouping is cached until the articles or embeddings change; vote
+  // counts move on their own, so they are filled in on every call.
+  getStories(articles) {
+    const key = `${articles.map(article => article.versionId || article.id).join(',')}|${this.ragProcessor.embeddings.size}`;
+    if (!this.stories || this.storiesKey !== key) {
+      this.stories = this.build(articles);
+      this.storiesKey = key;
+    }
+
+    const byId = new Map(articles.map(article => [article.id, article]));
+    return this.stories.map(story => ({
+      ...story,
+      timeline: story.timeline.map(entry => ({
+        ...entry,
+        votes: byId.get(entry.articleId).votes || 0,
+        downvotes: byId.get(entry.articleId).downvotes || 0
+      }))
+    }));
+  }
+
+  getStory(articles, id) {
+    return this.getStories(articles).find(story => story.id === id) || null;
+  }
+
+  build(articles) {
+    const duplicates = this.duplicateDetector.getClusters(articles);
+    const storyOfArticle = new Map();
+    const stories = [];
+
+    articles.forEach(article => {
+      const time = article.blockTimestamp || article.timestamp;
+      // Titles count twice: they name the event
+      const keywords = this.ragProcessor.extractKeywords(`${article.title} ${article.title} ${article.content || ''}`, KEYWORDS_PER_ARTICLE);
+      const vector = this.duplicateDetector.getDocumentVector(article.id);
+
+      const original = duplicates.get(article.id);
+      let story = original && original.clusterId !== article.id ? storyOfArticle.get(original.clusterId) : null;
+      if (!story) {
+        story = this.findStory(stories, time, keywords, vector);
+      }
+      if (!story) {
+        story = { id: getStoryId(article), members: [], keywordCounts: new Map(), centroid: null, embedded: 0, lastUpdated: time };
+        stories.push(story);
+      }
+
+      story.members.push({
+        article,
+        time,
+        newKeywords: keywords.filter(keyword => !story.keywordCounts.has(keyword))
+      });
+      keywords.forEach(keyword => story.keywordCounts.set(keyword, (story.keywordCounts.get(keyword) || 0) + 1));
+      if (vector) {
+        story.centroid = story.centroid
+          ? story.centroid.map((value, i) => (value * story.embedded + vector[i]) / (story.embedded + 1))
+          : vector.slice();
+        story.embedded++;
+      }
+      story.lastUpdated = Math.max(story.lastUpdated, time);
+      storyOfArticle.set(article.id, story);
+    });
+
+    return stories
+      .map(story => this.summarize(story))
+      .sort((a, b) => b.lastUpdated - a.lastUpdated);
+  }
+
+  // The open story that fits best, clearing the threshold by the widest margin
+  findStory(stories, time, keywords, vector) {
+    let best = null;
+    let bestMargin = 0;
+    stories.forEach(story => {
+      if (time - story.lastUpdated > STORY_IDLE_MS) return;
+
+      const profile = new Set(this.topKeywords(story, STORY_PROFILE_KEYWORDS).map(stem));
+      const overlap = keywords.length > 0 ? keywords.filter(keyword => profile.has(stem(keyword))).length / keywords.length : 0;
+      const useEmbeddings = vector && story.centroid;
+      const score = useEmbeddings
+        ? EMBEDDING_WEIGHT * this.ragProcessor.cosineSimilarity(vector, story.centroid) + (1 - EMBEDDING_WEIGHT) * overlap
+        : overlap;
+      const margin = score - (useEmbeddings ? MIN_SCORE_WITH_EMBEDDINGS : MIN_SCORE_KEYWORDS_ONLY);
+      if (margin >= 0 && (!best || margin > bestMargin)) {
+        best = story;
+        bestMargin = margin;
+      }
+    });
+    return best;
+  }
+
+  topKeywords(story, count) {
+    return Array.from(story.keywordCounts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, count)
+      .map(([keyword]) => keyword);
+  }
+
+  // `timeline` lists the coverage oldest first, with the keywords each
+  // article brought into the story
+  summarize(story) {
+    const timeline = story.members
+      .slice()
+      .sort((a, b) => a.time - b.time)
+      .map(({ article, time, newKeywords }) => ({
+        articleId: article.id,
+        title: article.title,
+        url: article.url,
+        domain: getDomain(article.url),
+        byline: article.byline,
+        publishedAt: article.publishedAt,
+        blockIndex: article.blockIndex,
+        blockHash: article.blockHash,
+        blockTimestamp: time,
+        newKeywords
+      }));
+
+    return {
+      id: story.id,
+      title: timeline[0].title,
+      latestTitle: timeline[timeline.length - 1].title,
+      keywords: this.topKeywords(story, 5),
+      articleCount: timeline.length,
+      sourceCount: new Set(timeline.map(entry => entry.domain || 'original')).size,
+      firstSeen: timeline[0].blockTimestamp,
+      lastUpdated: story.lastUpdated,
+      timeline
+    };
+  }
+}
+
+module.exports = StoryClusterer;
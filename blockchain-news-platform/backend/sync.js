@@ -0,0 +1,234 @@
+// sync.js - Headers-first chain synchronization
+const fs = require('fs');
+const path = require('path');
+const { isValidHeader, getChainWork } = require('./blockchain');
+
+const MAX_HEADERS_PER_MESSAGE = 500;
+const MAX_BLOCKS_PER_MESSAGE = 50;
+
+// Tracks one sync at a time: a run of validated headers from a peer, and the
+// bodies fetched for them so far. State is persisted so a restart or a dropped
+// peer resumes from the last fetched block instead of starting over.
+class ChainSync {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.filePath = path.join(blockchain.dataDir, 'sync.json');
+    this.state = null;
+    this.peerId = null;
+    this.load();
+  }
+
+  isSyncing() {
+    return this.peerId !== null;
+  }
+
+  // Begin (or resume) syncing from a peer that claims more work than we have
+  start(peerId) {
+    this.peerId = peerId;
+    this.discardIfStale();
+    return {
+      type: 'GET_HEADERS',
+      locator: this.blockchain.getLocator(this.state ? this.state.headers : []),
+      maxCount: MAX_HEADERS_PER_MESSAGE
+    };
+  }
+
+  stop() {
+    this.peerId = null;
+  }
+
+  // Give up on the current peer; validated headers are kept for the next one,
+  // bodies that were never applied are dropped
+  abort() {
+    if (this.state) {
+      this.state.blocks = [];
+      this.save();
+    }
+    this.stop();
+  }
+
+  // Validate a batch of headers. Returns the next request to send, null when
+  // there is nothing (more) to do, or throws if the peer sent bad headers.
+  handleHeaders(headers, peerId) {
+    if (peerId !== this.peerId || !Array.isArray(headers)) {
+      return null;
+    }
+    if (headers.length === 0) {
+      return this.nextBlockRequest();
+    }
+
+    const first = headers[0];
+    const localParent = this.blockchain.chain[first.index - 1];
+    const lastKnown = this.state && this.state.headers[this.state.headers.length - 1];
+
+    if (lastKnown && first.index === lastKnown.index + 1 && first.previousHash === lastKnown.hash) {
+      // Continues the headers we already have
+    } else if (localParent && localParent.hash === first.previousHash) {
+      // Forks from (or extends) our own chain here
+      this.state = { ancestorIndex: first.index - 1, headers: [], blocks: [] };
+    } else {
+      throw new Error('Headers do not connect to a known block');
+    }
+
+    const context = this.getContext();
+    for (const header of headers) {
+      if (!isValidHeader(header, context)) {
+        throw new Error(`Invalid header at index ${header.index}`);
+      }
+      context.push(header);
+      this.state.headers.push(header);
+    }
+    this.save();
+
+    if (headers.length >= MAX_HEADERS_PER_MESSAGE) {
+      return {
+        type: 'GET_HEADERS',
+        locator: this.blockchain.getLocator(this.state.headers),
+        maxCount: MAX_HEADERS_PER_MESSAGE
+      };
+    }
+
+    // Headers are in; only fetch bodies if the branch is actually heavier
+    if (getChainWork(this.getContext()) <= this.blockchain.getTotalWork()) {
+      console.log('Peer headers do not carry more work than our chain; sync not needed');
+      this.finish();
+      return null;
+    }
+    return this.nextBlockRequest();
+  }
+
+  // Check bodies against the validated headers and apply them. Returns
+  // { request, appended, reorg } or throws if a body does not match its header.
+  handleBlocks(blocks, peerId) {
+    const result = { request: null, appended: [], reorg: null };
+    if (peerId !== this.peerId || !this.state || !Array.isArray(blocks)) {
+      return result;
+    }
+
+    for (const block of blocks) {
+      const header = this.getHeaderAt(block.index);
+      const expectedIndex = this.state.ancestorIndex + 1 + this.state.blocks.length;
+      if (!header || block.index !== expectedIndex || block.hash !== header.hash) {
+        throw new Error(`Unexpected block #${block.index} in sync response`);
+      }
+      this.state.blocks.push(block);
+    }
+
+    const tipIndex = this.blockchain.getLatestBlock().index;
+    if (this.state.ancestorIndex === tipIndex) {
+      // Branch extends our tip: append as bodies arrive
+      result.appended = this.blockchain.extendChain(this.state.blocks);
+      if (result.appended.length !== this.state.blocks.length) {
+        throw new Error('Block body does not match its header');
+      }
+      this.advance(result.appended.length);
+    } else {
+      // Competing branch: switch once the downloaded part outweighs our chain
+      const candidate = this.blockchain.chain
+        .slice(0, this.state.ancestorIndex + 1)
+        .concat(this.state.blocks);
+      if (getChainWork(candidate) > this.blockchain.getTotalWork()) {
+        result.reorg = this.blockchain.replaceChain(candidate);
+        if (!result.reorg) {
+          throw new Error('Downloaded branch failed validation');
+        }
+        this.advance(this.state.blocks.length);
+      }
+    }
+
+    this.save();
+    result.request = this.nextBlockRequest();
+    return result;
+  }
+
+  // Headers and blocks up to the ancestor plus any validated headers beyond it
+  getContext() {
+    return this.blockchain.chain
+      .slice(0, this.state.ancestorIndex + 1)
+      .concat(this.state.headers);
+  }
+
+  getHeaderAt(index) {
+    return this.state.headers[index - this.state.ancestorIndex - 1];
+  }
+
+  // Drop headers/blocks that are now part of our chain
+  advance(count) {
+    this.state.ancestorIndex += count;
+    this.state.headers = this.state.headers.slice(count);
+    this.state.blocks = this.state.blocks.slice(count);
+  }
+
+  nextBlockRequest() {
+    if (!this.state || this.state.blocks.length >= this.state.headers.length) {
+      this.finish();
+      return null;
+    }
+
+    const from = this.state.ancestorIndex + 1 + this.state.blocks.length;
+    const lastIndex = this.state.headers[this.state.headers.length - 1].index;
+    return {
+      type: 'GET_BLOCKS',
+      from,
+      to: Math.min(from + MAX_BLOCKS_PER_MESSAGE - 1, lastIndex)
+    };
+  }
+
+  finish() {
+    this.state = null;
+    this.peerId = null;
+    this.save();
+  }
+
+  // Our chain may have moved since the state was saved; only keep it if the
+  // ancestor it builds on is still ours
+  discardIfStale() {
+    if (!this.state) return;
+    const ancestor = this.blockchain.chain[this.state.ancestorIndex];
+    const first = this.state.headers[0];
+    if (!ancestor || !first || first.previousHash !== ancestor.hash) {
+      this.state = null;
+      this.save();
+    }
+  }
+
+  getStatus() {
+    return {
+      syncing: this.isSyncing(),
+      peer: this.peerId,
+      ancestorIndex: this.state ? this.state.ancestorIndex : null,
+      headersPending: this.state ? this.state.headers.length : 0,
+      blocksDownloaded: this.state ? this.state.blocks.length : 0,
+      targetHeight: this.state && this.state.headers.length
+        ? this.state.headers[this.state.headers.length - 1].index
+        : null
+    };
+  }
+
+  save() {
+    if (this.state) {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.state));
+    } else if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.discardIfStale();
+        if (this.state) {
+          console.log(`Resuming sync: ${this.state.headers.length} header(s) after block #${this.state.ancestorIndex}`);
+        }
+      } catch (error) {
+        console.error('Discarding unreadable sync state:', error.message);
+        this.state = null;
+      }
+    }
+  }
+}
+
+module.exports = ChainSync;
+module.exports.MAX_HEADERS_PER_MESSAGE = MAX_HEADERS_PER_MESSAGE;
+module.exports.MAX_BLOCKS_PER_MESSAGE = MAX_BLOCKS_PER_MESSAGE;
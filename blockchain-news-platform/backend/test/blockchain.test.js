@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Blockchain = require('../blockchain');
+const { Block } = require('../blockchain');
+const { MAX_TITLE_LENGTH, MAX_CONTENT_LENGTH } = require('../identity');
+const { createBlockchain, createIdentity, signArticle, signVote, mineBlock } = require('./chain');
+
+let blockchain;
+const identity = createIdentity();
+
+beforeEach(() => {
+  blockchain = createBlockchain();
+});
+
+afterEach(() => {
+  blockchain.remove();
+});
+
+// A block a peer mined around `transactions` without checking them
+function peerBlock(transactions) {
+  const tip = blockchain.getLatestBlock();
+  const block = new Block(tip.index + 1, Date.now(), { transactions }, tip.hash, blockchain.getNextDifficulty());
+  block.mineBlock(block.difficulty);
+  return JSON.parse(JSON.stringify(block));
+}
+
+test('accepts signed articles and votes', () => {
+  const article = signArticle(identity, { title: 'Bitcoin ETF inflows hit record', content: 'Funds took in $1.2 billion.' });
+  mineBlock(blockchain, [article]);
+  mineBlock(blockchain, [signVote(identity, article.id, 'up')]);
+
+  assert.strictEqual(blockchain.getArticle(article.id).votes, 1);
+  assert.deepStrictEqual(blockchain.searchArticles('etf').map(found => found.id), [article.id]);
+});
+
+test('rejects articles whose title or content is not bounded text', () => {
+  const cases = {
+    'numeric title': { title: 42 },
+    'object title': { title: { text: 'Hi' } },
+    'missing title': {},
+    'blank title': { title: '   ' },
+    'long title': { title: 'x'.repeat(MAX_TITLE_LENGTH + 1) },
+    'numeric content': { title: 'Title', content: 7 },
+    'array content': { title: 'Title', content: ['a'] },
+    'long content': { title: 'Title', content: 'x'.repeat(MAX_CONTENT_LENGTH + 1) }
+  };
+  for (const [name, fields] of Object.entries(cases)) {
+    const article = signArticle(identity, fields);
+    const check = blockchain.validateTransaction(article);
+    assert.strictEqual(check.valid, false, name);
+    assert.strictEqual(check.malformed, true, name);
+    assert.throws(() => blockchain.appendBlock(peerBlock([article])), /title or content/, name);
+  }
+  assert.strictEqual(blockchain.chain.length, 1);
+});
+
+test('rejects votes that are neither up nor down', () => {
+  const article = signArticle(identity, { title: 'Title' });
+  mineBlock(blockchain, [article]);
+
+  for (const voteType of ['sideways', undefined, 1, ['up']]) {
+    const vote = signVote(identity, article.id, voteType);
+    const check = blockchain.validateTransaction(vote);
+    assert.deepStrictEqual([check.valid, check.malformed], [false, true], String(voteType));
+    assert.throws(() => blockchain.appendBlock(peerBlock([vote])), /Vote type/, String(voteType));
+  }
+});
+
+test('keeps vote tallies current as blocks arrive', () => {
+  const voter = createIdentity();
+  const article = signArticle(identity, { title: 'Title' });
+  mineBlock(blockchain, [article, signVote(identity, article.id, 'up')]);
+  mineBlock(blockchain, [signVote(voter, article.id, 'up')]);
+  assert.deepStrictEqual(blockchain.getVoteTally(article.id), { votes: 2, downvotes: 0 });
+
+  // A voter changing their mind moves their vote rather than adding one
+  mineBlock(blockchain, [signVote(voter, article.id, 'down')]);
+  assert.deepStrictEqual(blockchain.getVoteTally(article.id), { votes: 1, downvotes: 1 });
+  assert.strictEqual(blockchain.getArticle(article.id).downvotes, 1);
+
+  const reloaded = new Blockchain({ dataDir: blockchain.dataDir });
+  assert.deepStrictEqual(reloaded.getVoteTally(article.id), { votes: 1, downvotes: 1 });
+  assert.deepStrictEqual(reloaded.getArticle(article.id), blockchain.getArticle(article.id));
+});
+
+test('checks new transactions against the pending pool', () => {
+  const article = signArticle(identity, { title: 'Title' });
+  blockchain.addTransaction(article);
+
+  assert.strictEqual(blockchain.validateTransaction(article).error, 'Transaction has already been recorded');
+  const vote = blockchain.addTransaction(signVote(identity, article.id, 'up'));
+  assert.strictEqual(vote.supersedes, null);
+  const flipped = blockchain.addTransaction(signVote(identity, article.id, 'down'));
+  assert.strictEqual(flipped.supersedes, vote.signature);
+
+  mineBlock(blockchain, blockchain.pendingTransactions.slice());
+  assert.deepStrictEqual(blockchain.pendingTransactions, []);
+  assert.deepStrictEqual(blockchain.getVoteTally(article.id), { votes: 0, downvotes: 1 });
+  assert.strictEqual(blockchain.validateTransaction(signVote(identity, article.id, 'down')).valid, false);
+});
+
+test('rebuilds its state when a heavier chain replaces it', () => {
+  const ours = signArticle(identity, { title: 'Ours' });
+  mineBlock(blockchain, [ours, signVote(identity, ours.id, 'up')]);
+
+  const other = createBlockchain();
+  try {
+    const theirs = signArticle(identity, { title: 'Theirs' });
+    mineBlock(other, [theirs]);
+    mineBlock(other, [signVote(identity, theirs.id, 'down')]);
+
+    assert.ok(blockchain.replaceChain(JSON.parse(JSON.stringify(other.chain))));
+    assert.strictEqual(blockchain.getArticle(ours.id), null);
+    assert.deepStrictEqual(blockchain.getVoteTally(ours.id), { votes: 0, downvotes: 0 });
+    assert.deepStrictEqual(blockchain.getVoteTally(theirs.id), { votes: 0, downvotes: 1 });
+    // The orphaned article and vote go back into the pool
+    assert.deepStrictEqual(blockchain.pendingTransactions.map(tx => tx.type), ['ARTICLE', 'VOTE']);
+  } finally {
+    other.remove();
+  }
+});
@@ -0,0 +1,47 @@
+// chain.js - Signed transactions and mined blocks for tests
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('../blockchain');
+const { Block, getArticleId } = require('../blockchain');
+const { buildArticlePayload, buildVotePayload, signPayload } = require('../identity');
+
+// A blockchain stored in its own temporary directory; `remove()` deletes it
+function createBlockchain() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-test-'));
+  const blockchain = new Blockchain({ dataDir });
+  blockchain.remove = () => fs.rmSync(dataDir, { recursive: true, force: true });
+  return blockchain;
+}
+
+function createIdentity() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  // The raw key follows the 12-byte SPKI prefix
+  const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+  return { publicKey: rawPublicKey, privateKey };
+}
+
+// `fields` are signed as given, so tests can sign values the ledger must reject
+function signArticle(identity, fields) {
+  const article = { type: 'ARTICLE', timestamp: Date.now(), ...fields, author: identity.publicKey };
+  article.signature = signPayload(buildArticlePayload(article), identity.privateKey);
+  article.id = getArticleId(article);
+  return article;
+}
+
+function signVote(identity, articleId, voteType) {
+  const vote = { type: 'VOTE', articleId, voteType, timestamp: Date.now(), voter: identity.publicKey };
+  vote.signature = signPayload(buildVotePayload(vote), identity.privateKey);
+  return vote;
+}
+
+// Mine `transactions` into the next block in-process and append it
+function mineBlock(blockchain, transactions) {
+  const tip = blockchain.getLatestBlock();
+  const block = new Block(tip.index + 1, Math.max(Date.now(), tip.timestamp), { transactions }, tip.hash, blockchain.getNextDifficulty());
+  block.mineBlock(block.difficulty);
+  return blockchain.appendBlock(block);
+}
+
+module.exports = { createBlockchain, createIdentity, signArticle, signVote, mineBlock };
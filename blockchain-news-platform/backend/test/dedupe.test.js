@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DuplicateDetector = require('../dedupe');
+const { simhash, hammingDistance, getContentHash, getUrlKey } = require('../dedupe');
+const { createBlockchain, createIdentity, signArticle, mineBlock } = require('./chain');
+
+const BASE = 'The central bank raised interest rates by a quarter point on Wednesday, citing persistent inflation ' +
+  'in services and a tight labour market. Officials signalled that further increases remain possible if price ' +
+  'pressures do not ease over the coming months, while markets had largely expected the decision. The governor ' +
+  'told reporters that wage growth was still running well above levels consistent with the inflation target, ' +
+  'and that the committee would watch rents and energy bills closely. Mortgage lenders said they would pass the ' +
+  'increase on to borrowers within days, and several banks raised their savings rates in response. Economists ' +
+  'were divided on whether the move would be the last of the cycle, with some pointing to slowing retail sales ' +
+  'and weaker business surveys as signs that earlier increases are already cooling demand across the economy.';
+const OTHER = 'Ethereum developers scheduled the next network upgrade for March after successful deployments on ' +
+  'every public testnet. The upgrade lowers data costs for rollups and changes how validators handle blob ' +
+  'transactions, according to notes published after the latest core developer call. Client teams will publish ' +
+  'release candidates in the coming weeks, and node operators have been asked to update their software well ' +
+  'ahead of the activation date. Layer two networks expect fees for their users to fall sharply once the change ' +
+  'is live, although analysts cautioned that demand for block space could rise again as activity grows.';
+
+// `vectors` maps article ids to their document vector; the rest are compared
+// by fingerprint only
+function createDetector(vectors = {}, options = {}) {
+  const embeddings = new Map(Object.entries(vectors).map(([id, vector]) => [id, { passages: [{ vector }] }]));
+  const ragProcessor = {
+    embeddings,
+    cosineSimilarity: (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0) /
+      (Math.hypot(...a) * Math.hypot(...b)),
+    findCandidates: () => new Set(embeddings.keys()),
+    generateEmbedding: async () => { throw new Error('No embedding model'); }
+  };
+  return new DuplicateDetector(ragProcessor, options);
+}
+
+function article(id, timestamp, content, title = 'Rates') {
+  return { id, versionId: id, timestamp, title, content };
+}
+
+test('lightly edited copies have close fingerprints, unrelated texts do not', () => {
+  const edited = BASE.replace('Wednesday', 'Thursday');
+  assert.ok(hammingDistance(simhash(BASE), simhash(edited)) <= 10);
+  assert.ok(hammingDistance(simhash(BASE), simhash(OTHER)) > 10);
+  assert.strictEqual(simhash('too short to fingerprint'), null);
+});
+
+test('exact duplicate keys ignore case, spacing, tracking parameters and placeholders', () => {
+  assert.strictEqual(getContentHash({ content: BASE }), getContentHash({ content: `  ${BASE.toUpperCase()}!` }));
+  assert.strictEqual(getContentHash({ content: 'short' }), null);
+  assert.strictEqual(getUrlKey({ url: 'https://News.example/a/?utm_source=x' }), getUrlKey({ url: 'https://news.example/a' }));
+  assert.strictEqual(getUrlKey({ url: '#article_1' }), null);
+});
+
+test('assigns near duplicates to the cluster of the earliest article', () => {
+  const detector = createDetector();
+  detector.assign(article('a', 1, BASE));
+  detector.assign(article('b', 2, OTHER));
+  detector.assign(article('c', 3, BASE.replace('Wednesday', 'Thursday')));
+
+  const clusters = detector.getClusters([{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'pending' }]);
+  assert.deepStrictEqual(clusters.get('a'), { clusterId: 'a', size: 2 });
+  assert.deepStrictEqual(clusters.get('c'), { clusterId: 'a', size: 2 });
+  assert.deepStrictEqual(clusters.get('b'), { clusterId: 'b', size: 1 });
+  assert.deepStrictEqual(clusters.get('pending'), { clusterId: 'pending', size: 1 });
+});
+
+test('keeps an article in its cluster when it is indexed again', () => {
+  const detector = createDetector();
+  detector.assign(article('a', 1, BASE));
+  detector.assign(article('b', 2, BASE.replace('Wednesday', 'Thursday')));
+  detector.assign(article('b', 2, BASE.replace('Wednesday', 'Thursday')));
+
+  assert.deepStrictEqual(detector.getCluster('b'), { clusterId: 'a', size: 2 });
+});
+
+test('an article that matches two clusters merges them', () => {
+  // Each end is similar to the middle but not to the other end
+  const detector = createDetector({ left: [1, 0], right: [0, 1], middle: [1, 1] }, { minSimilarity: 0.7 });
+  detector.assign(article('right', 1, 'Right'));
+  detector.assign(article('left', 2, 'Left'));
+  assert.deepStrictEqual(detector.getCluster('left'), { clusterId: 'left', size: 1 });
+
+  detector.assign(article('middle', 3, 'Middle'));
+  for (const id of ['left', 'middle', 'right']) {
+    assert.deepStrictEqual(detector.getCluster(id), { clusterId: 'right', size: 3 });
+  }
+});
+
+test('renames a cluster after its first article is removed', () => {
+  const detector = createDetector();
+  detector.assign(article('a', 1, BASE));
+  detector.assign(article('b', 3, BASE.replace('Wednesday', 'Thursday')));
+  detector.assign(article('c', 2, BASE.replace('tight', 'strong')));
+  detector.remove('a');
+
+  assert.deepStrictEqual(detector.getCluster('b'), { clusterId: 'c', size: 2 });
+  assert.deepStrictEqual(detector.getCluster('c'), { clusterId: 'c', size: 2 });
+});
+
+test('finds near duplicates of a submission among indexed and pending articles', async () => {
+  const detector = createDetector();
+  const indexed = [article('a', 1, BASE), article('b', 2, OTHER)];
+  indexed.forEach(entry => detector.assign(entry));
+  const pending = article('p', 3, BASE.replace('quarter', 'half'));
+
+  const matches = await detector.findNearDuplicates(article(undefined, 4, BASE.replace('tight', 'strong')), [...indexed, pending]);
+  assert.deepStrictEqual(matches.map(match => match.id).sort(), ['a', 'p']);
+});
+
+test('rebuilds the clusters of a chain after a restart', () => {
+  const blockchain = createBlockchain();
+  try {
+    const identity = createIdentity();
+    const first = signArticle(identity, { title: 'Rates', content: BASE, timestamp: 1000 });
+    const other = signArticle(identity, { title: 'Ethereum', content: OTHER, timestamp: 2000 });
+    const copy = signArticle(identity, { title: 'Rates', content: BASE.replace('Wednesday', 'Thursday'), timestamp: 3000 });
+    mineBlock(blockchain, [first, other]);
+    mineBlock(blockchain, [copy]);
+
+    const detector = createDetector();
+    detector.rebuild(blockchain.getAllArticles());
+    assert.deepStrictEqual(detector.getCluster(copy.id), { clusterId: first.id, size: 2 });
+    assert.deepStrictEqual(detector.getCluster(other.id), { clusterId: other.id, size: 1 });
+  } finally {
+    blockchain.remove();
+  }
+});
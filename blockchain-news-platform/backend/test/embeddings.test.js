@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { OpenAIEmbeddingProvider } = require('../embeddings');
+const { startFixtureServer } = require('./fixture-server');
+
+let server;
+const attempts = {};
+
+// Answers on /<name>/embeddings; `handler(req, res, attempt, body)`
+function stub(name, handler) {
+  attempts[name] = 0;
+  return [`/${name}/embeddings`, (req, res) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => handler(req, res, ++attempts[name], JSON.parse(data)));
+  }];
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Returned out of order, as the API allows
+function embeddings(body) {
+  return { data: body.input.map((text, index) => ({ index, embedding: [text.length, 0, 0] })).reverse() };
+}
+
+before(async () => {
+  server = await startFixtureServer(Object.fromEntries([
+    stub('ok', (req, res, attempt, body) => json(res, 200, embeddings(body))),
+    stub('flaky', (req, res, attempt, body) => attempt < 3
+      ? json(res, 503, { error: { message: 'Overloaded' } })
+      : json(res, 200, embeddings(body))),
+    stub('down', (req, res) => {
+      res.writeHead(502, { 'Content-Type': 'text/html' });
+      res.end('<html>Bad gateway</html>');
+    }),
+    stub('bad-request', (req, res) => json(res, 400, { error: { message: 'Unknown model' } })),
+    stub('silent', () => {})
+  ]));
+});
+
+after(() => server.close());
+
+function provider(name, options = {}) {
+  return new OpenAIEmbeddingProvider({ baseUrl: `${server.url}/${name}`, dimension: 3, retryBaseMs: 1, ...options });
+}
+
+test('returns normalized vectors in input order', async () => {
+  const vectors = await provider('ok', { batchSize: 2 }).embed(['a', 'bb', 'ccc']);
+  assert.deepStrictEqual(vectors, [[1, 0, 0], [1, 0, 0], [1, 0, 0]]);
+  assert.strictEqual(attempts.ok, 2);
+});
+
+test('retries retryable statuses', async () => {
+  const vectors = await provider('flaky').embed(['a']);
+  assert.strictEqual(vectors.length, 1);
+  assert.strictEqual(attempts.flaky, 3);
+});
+
+test('gives up after the retry limit', async () => {
+  await assert.rejects(provider('down', { maxRetries: 1 }).embed(['a']), /Embedding API returned 502/);
+  assert.strictEqual(attempts.down, 2);
+});
+
+test('does not retry client errors', async () => {
+  await assert.rejects(provider('bad-request').embed(['a']), error => error.status === 400 && error.message === 'Unknown model');
+  assert.strictEqual(attempts['bad-request'], 1);
+});
+
+test('times out an endpoint that never answers', async () => {
+  await assert.rejects(provider('silent', { timeoutMs: 50, maxRetries: 1 }).embed(['a']), /timed out after 50ms/);
+  assert.strictEqual(attempts.silent, 2);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const FactChecker = require('../factcheck');
+const { isValidFactCheckClaims, MAX_EXPLANATION_LENGTH, MAX_CITATIONS_PER_CLAIM } = require('../factcheck');
+
+function citation(number) {
+  return { articleId: `article_${number}`, title: `Source ${number}`, quote: 'Funds took in $1.2 billion.' };
+}
+
+function claim(fields = {}) {
+  return { claim: 'ETF inflows hit a record.', verdict: 'supported', explanation: 'Two sources agree.', citations: [citation(1)], ...fields };
+}
+
+test('accepts well-formed claims', () => {
+  assert.ok(isValidFactCheckClaims([claim()]));
+  assert.ok(isValidFactCheckClaims([claim({ explanation: '', citations: [] })]));
+  assert.ok(isValidFactCheckClaims([claim({ explanation: 'x'.repeat(MAX_EXPLANATION_LENGTH) })]));
+});
+
+test('rejects explanations and citations over their limits', () => {
+  const cases = {
+    'long explanation': claim({ explanation: 'x'.repeat(MAX_EXPLANATION_LENGTH + 1) }),
+    'too many citations': claim({ citations: Array.from({ length: MAX_CITATIONS_PER_CLAIM + 1 }, (_, i) => citation(i)) }),
+    'long quote': claim({ citations: [{ ...citation(1), quote: 'x'.repeat(1000) }] }),
+    'long title': claim({ citations: [{ ...citation(1), title: 'x'.repeat(1000) }] }),
+    'numeric title': claim({ citations: [{ ...citation(1), title: 7 }] }),
+    'missing article': claim({ citations: [{ title: 'Source' }] })
+  };
+  for (const [name, bad] of Object.entries(cases)) {
+    assert.ok(!isValidFactCheckClaims([bad]), name);
+  }
+});
+
+test('caps what the model adds to a claim', async () => {
+  const sources = Array.from({ length: 8 }, (_, i) => ({ number: i + 1, articleId: `article_${i + 1}`, title: `Source ${i + 1}`, text: 'y'.repeat(1000) }));
+  const llm = {
+    chat: async () => ({
+      response: JSON.stringify([{ claim: 1, verdict: 'supported', sources: [1, 1, 2, 3, 4, 5, 6, 7, 8], explanation: 'z'.repeat(2000) }])
+    })
+  };
+
+  const claims = await new FactChecker(null, llm).labelClaims(['ETF inflows hit a record.'], [[1]], sources);
+
+  assert.strictEqual(claims[0].explanation.length, MAX_EXPLANATION_LENGTH);
+  assert.deepStrictEqual(claims[0].citations.map(c => c.articleId), ['article_1', 'article_2', 'article_3', 'article_4', 'article_5']);
+  assert.ok(isValidFactCheckClaims(claims));
+});
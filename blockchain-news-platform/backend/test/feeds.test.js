@@ -0,0 +1,174 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArticleIngester = require('../ingest');
+const FeedManager = require('../feeds');
+const { parseFeed } = require('../feeds');
+const { startFixtureServer, readFixture } = require('./fixture-server');
+
+let server;
+let dataDir;
+
+before(async () => {
+  server = await startFixtureServer({
+    '/feed.rss': { headers: { 'Content-Type': 'application/rss+xml' }, body: readFixture('feed.rss') },
+    '/feed.atom': { headers: { 'Content-Type': 'application/atom+xml' }, body: readFixture('feed.atom') },
+    '/article': { body: readFixture('article.html') },
+    '/not-a-feed': { body: '<html><body><p>Hello</p></body></html>' }
+  });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function createManager(options = {}) {
+  const published = [];
+  const manager = new FeedManager(dataDir, {
+    publish: async draft => {
+      published.push(draft);
+      return draft;
+    },
+    ingester: new ArticleIngester({ allowPrivateHosts: true }),
+    allowPrivateHosts: true,
+    ...options
+  });
+  return { manager, published };
+}
+
+test('parses RSS entries with their metadata', () => {
+  const parsed = parseFeed(readFixture('feed.rss'), 'http://news.example/feed.rss');
+
+  assert.strictEqual(parsed.title, 'Coin Daily & Co');
+  assert.strictEqual(parsed.language, 'en-us');
+  assert.strictEqual(parsed.items.length, 3);
+  assert.deepStrictEqual(parsed.items[0], {
+    guid: 'cd-1',
+    title: 'Bitcoin ETF inflows hit record',
+    url: 'http://news.example/article',
+    content: 'Only a teaser.',
+    byline: 'Jane Doe',
+    publishedAt: Date.parse('2026-09-01T10:00:00Z')
+  });
+  assert.strictEqual(parsed.items[1].title, 'EU approves stablecoin framework');
+  assert.strictEqual(parsed.items[1].byline, 'Sam Lee');
+  assert.strictEqual(parsed.items[2].url, null);
+});
+
+test('parses Atom entries', () => {
+  const parsed = parseFeed(readFixture('feed.atom'), 'http://blog.example/feed.atom');
+
+  assert.strictEqual(parsed.language, 'de');
+  assert.strictEqual(parsed.items[0].url, 'http://blog.example/posts/1');
+  assert.strictEqual(parsed.items[0].byline, 'Max Muster');
+  assert.strictEqual(parsed.items[0].content, 'Der Bitcoin-Preis ist am Donnerstag deutlich gestiegen.');
+  assert.strictEqual(parseFeed('<html><body></body></html>', 'http://blog.example/'), null);
+});
+
+test('publishes new entries oldest first and fetches the full text of summaries', async () => {
+  const { manager, published } = createManager();
+  const status = await manager.add({ url: `${server.url}/feed.rss`, tags: ['markets'] });
+
+  assert.strictEqual(status.title, 'Coin Daily & Co');
+  assert.strictEqual(status.itemsImported, 2);
+  assert.strictEqual(status.itemsSkipped, 1);
+  assert.deepStrictEqual(published.map(draft => draft.url), [`${server.url}/article`, `${server.url}/stablecoins`]);
+
+  const [teaser, full] = published;
+  assert.match(teaser.content, /^Spot bitcoin exchange-traded funds/);
+  assert.strictEqual(teaser.byline, 'Jane Doe');
+  assert.strictEqual(teaser.publishedAt, Date.parse('2026-09-01T10:00:00Z'));
+  assert.strictEqual(teaser.language, 'en-us');
+  assert.deepStrictEqual(teaser.tags, ['markets']);
+  assert.match(full.content, /^Regulators in the EU/);
+});
+
+test('does not publish an entry twice', async () => {
+  const { manager, published } = createManager();
+  const { id } = await manager.add({ url: `${server.url}/feed.rss` });
+  const result = await manager.poll(manager.get(id));
+
+  assert.deepStrictEqual(result, { imported: 0, skipped: 0, error: null });
+  assert.strictEqual(published.length, 2);
+});
+
+test('skips entries whose URL is already on the chain', async () => {
+  const { manager, published } = createManager({ isKnownUrl: url => url.endsWith('/article') });
+  const status = await manager.add({ url: `${server.url}/feed.rss` });
+
+  assert.strictEqual(status.itemsImported, 1);
+  assert.strictEqual(status.itemsSkipped, 2);
+  assert.deepStrictEqual(published.map(draft => draft.url), [`${server.url}/stablecoins`]);
+});
+
+test('skips entries the chain already has under another URL, once', async () => {
+  const attempts = [];
+  const { manager } = createManager({
+    publish: async draft => {
+      attempts.push(draft.url);
+      return draft.url.endsWith('/stablecoins') ? null : draft;
+    }
+  });
+  const status = await manager.add({ url: `${server.url}/feed.rss` });
+
+  assert.strictEqual(status.itemsImported, 1);
+  assert.strictEqual(status.itemsSkipped, 2);
+  assert.strictEqual(status.lastError, null);
+
+  const result = await manager.poll(manager.get(status.id));
+  assert.deepStrictEqual(result, { imported: 0, skipped: 0, error: null });
+  assert.strictEqual(attempts.length, 2);
+});
+
+test('retries entries the chain rejected for other reasons', async () => {
+  let failing = true;
+  const { manager, published } = createManager();
+  manager.publish = async draft => {
+    if (failing) throw new Error('Invalid article metadata');
+    published.push(draft);
+    return draft;
+  };
+  const status = await manager.add({ url: `${server.url}/feed.rss` });
+  assert.strictEqual(status.itemsImported, 0);
+  assert.match(status.lastError, /Invalid article metadata/);
+
+  failing = false;
+  const result = await manager.poll(manager.get(status.id));
+  assert.strictEqual(result.imported, 2);
+});
+
+test('keeps feeds across restarts', async () => {
+  const { manager } = createManager();
+  const { id } = await manager.add({ url: `${server.url}/feed.atom`, intervalMinutes: 15 });
+
+  const { manager: restarted } = createManager();
+  assert.strictEqual(restarted.get(id).intervalMinutes, 15);
+  assert.strictEqual(restarted.get(id).seen.length, 1);
+});
+
+test('rejects URLs that are not feeds and invalid settings', async () => {
+  const { manager } = createManager();
+  const cases = [
+    [{ url: 'not a url' }, 400],
+    [{ url: `${server.url}/feed.rss`, intervalMinutes: 1 }, 400],
+    [{ url: `${server.url}/feed.rss`, tags: ['Not Valid!'] }, 400],
+    [{ url: `${server.url}/not-a-feed` }, 422],
+    [{ url: `${server.url}/missing.rss` }, 502]
+  ];
+  for (const [input, status] of cases) {
+    await assert.rejects(manager.add(input), error => error.status === status, JSON.stringify(input));
+  }
+});
+
+test('refuses private addresses unless allowed', async () => {
+  const { manager } = createManager({ allowPrivateHosts: false });
+  await assert.rejects(manager.add({ url: `${server.url}/feed.rss` }), error => error.status === 400 && /private address/.test(error.message));
+});
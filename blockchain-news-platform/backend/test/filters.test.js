@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSearchFilters, parseIntegerParam, matchesFilters } = require('../filters');
+
+test('parses search filters from query parameters', () => {
+  const parsed = parseSearchFilters({
+    query: 'bitcoin',
+    from: '2026-01-01',
+    to: '2026-01-31',
+    domain: 'WWW.News.example',
+    minTrust: '40',
+    minVotes: '2',
+    tags: 'Markets, ETF,',
+    sort: 'newest',
+    limit: '25',
+    minRelevance: '25.5'
+  });
+
+  assert.deepStrictEqual(parsed, {
+    filters: {
+      from: Date.parse('2026-01-01'),
+      to: Date.parse('2026-02-01') - 1,
+      domain: 'news.example',
+      minTrust: 40,
+      minVotes: 2,
+      tags: ['markets', 'etf']
+    },
+    sort: 'newest',
+    limit: 25,
+    minRelevance: 25.5
+  });
+  assert.deepStrictEqual(parseSearchFilters({ query: 'bitcoin', limit: '' }), { filters: {}, sort: 'relevance', limit: 10, minRelevance: null });
+});
+
+test('rejects parameters given more than once or as objects', () => {
+  // What Express makes of ?domain[]=x, ?tags[]=a&tags[]=b and ?limit[x]=1
+  assert.deepStrictEqual(parseSearchFilters({ query: 'bitcoin', domain: ['x'] }), { error: 'domain must be given once' });
+  assert.deepStrictEqual(parseSearchFilters({ query: 'bitcoin', tags: ['a', 'b'] }), { error: 'tags must be given once' });
+  assert.deepStrictEqual(parseSearchFilters({ query: ['a', 'b'] }), { error: 'query must be given once' });
+  assert.deepStrictEqual(parseSearchFilters({ query: 'bitcoin', limit: { x: '1' } }), { error: 'limit must be given once' });
+});
+
+test('rejects invalid values', () => {
+  for (const limit of ['ten', '1.5', '0', '-3', '10abc']) {
+    assert.deepStrictEqual(parseSearchFilters({ query: 'bitcoin', limit }), { error: 'limit must be a positive integer' }, limit);
+  }
+  for (const minRelevance of ['high', '-1', '100.5', '1e3', 'NaN', 'Infinity']) {
+    assert.deepStrictEqual(parseSearchFilters({ query: 'bitcoin', minRelevance }), { error: 'minRelevance must be a number between 0 and 100' }, minRelevance);
+  }
+  assert.strictEqual(parseSearchFilters({ query: 'bitcoin', minRelevance: '100' }).minRelevance, 100);
+  assert.match(parseSearchFilters({ from: 'yesterday' }).error, /^from/);
+  assert.match(parseSearchFilters({ minTrust: 'high' }).error, /^minTrust/);
+  assert.match(parseSearchFilters({ sort: 'oldest' }).error, /^sort/);
+});
+
+test('parses integer parameters within a range', () => {
+  const range = { min: 1, max: 100, defaultValue: 20 };
+  assert.deepStrictEqual(parseIntegerParam({}, 'limit', range), { value: 20 });
+  assert.deepStrictEqual(parseIntegerParam({ limit: '' }, 'limit', range), { value: 20 });
+  assert.deepStrictEqual(parseIntegerParam({ limit: '100' }, 'limit', range), { value: 100 });
+
+  for (const limit of ['0', '101', '2.5', 'all', '-1']) {
+    assert.deepStrictEqual(parseIntegerParam({ limit }, 'limit', range), { error: 'limit must be an integer between 1 and 100' }, limit);
+  }
+  assert.deepStrictEqual(parseIntegerParam({ minArticles: '0' }, 'minArticles', { defaultValue: 1 }), { error: 'minArticles must be a positive integer' });
+  assert.deepStrictEqual(parseIntegerParam({ minArticles: ['2', '3'] }, 'minArticles', { defaultValue: 1 }), { error: 'minArticles must be given once' });
+});
+
+test('matches articles against filters', () => {
+  const article = { url: 'https://markets.news.example/a', timestamp: 1000, votes: 3, downvotes: 1, tags: ['etf'], author: 'key' };
+
+  assert.ok(matchesFilters(article, { domain: 'news.example', minVotes: 2, tags: ['etf'], uploader: 'key' }));
+  assert.ok(!matchesFilters(article, { domain: 'example.org' }));
+  assert.ok(!matchesFilters(article, { minVotes: 3 }));
+  assert.ok(!matchesFilters(article, { from: 2000 }));
+});
@@ -0,0 +1,36 @@
+// fixture-server.js - Local HTTP server that serves test fixtures
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// `routes` maps a path to { status, headers, body } or to a
+// (req, res) handler. Resolves { url, close } once listening on 127.0.0.1.
+function startFixtureServer(routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url.split('?')[0]];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    if (typeof route === 'function') {
+      return route(req, res);
+    }
+    res.writeHead(route.status || 200, route.headers || { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(route.body || '');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startFixtureServer, readFixture };
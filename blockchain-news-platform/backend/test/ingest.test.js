@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const ArticleIngester = require('../ingest');
+const { IngestError, canonicalizeUrl } = require('../ingest');
+const { startFixtureServer, readFixture } = require('./fixture-server');
+
+let server;
+const ingester = new ArticleIngester({ allowPrivateHosts: true });
+
+before(async () => {
+  server = await startFixtureServer({
+    '/news/btc-etf-record': { body: readFixture('article.html') },
+    '/fr': { body: readFixture('article-fr.html') },
+    '/old-link': { status: 301, headers: { Location: '/news/btc-etf-record?utm_source=newsletter' } },
+    '/loop': { status: 302, headers: { Location: '/loop' } },
+    '/bad-redirect': { status: 302, headers: { Location: 'http://[not-a-host/' } },
+    '/file-redirect': { status: 302, headers: { Location: 'file:///etc/passwd' } },
+    '/ftp-redirect': { status: 301, headers: { Location: 'ftp://files.example/report.pdf' } },
+    '/report.pdf': { headers: { 'Content-Type': 'application/pdf' }, body: '%PDF-1.4' },
+    '/empty': { body: '<html><body><nav>Home</nav></body></html>' },
+    '/gone': { status: 410, body: 'Gone' }
+  });
+});
+
+after(() => server.close());
+
+test('extracts the title, byline, publication date and language', async () => {
+  const article = await ingester.ingest(`${server.url}/news/btc-etf-record`);
+
+  assert.strictEqual(article.title, 'Bitcoin ETF inflows hit record & more');
+  assert.strictEqual(article.byline, 'Jane Doe, Sam Lee');
+  assert.strictEqual(article.publishedAt, Date.parse('2026-10-01T08:30:00Z'));
+  assert.strictEqual(article.language, 'en-gb');
+});
+
+test('keeps the article text and drops boilerplate', async () => {
+  const { content } = await ingester.ingest(`${server.url}/news/btc-etf-record`);
+
+  assert.match(content, /^Spot bitcoin exchange-traded funds/);
+  assert.match(content, /“more than \$1\.2 billion”/);
+  assert.match(content, /Why it matters/);
+  for (const boilerplate of ['not this paragraph', 'Related:', 'should not appear', 'Copyright', 'Markets']) {
+    assert.ok(!content.includes(boilerplate), `content includes "${boilerplate}"`);
+  }
+});
+
+test('returns the canonical URL without tracking parameters or fragment', async () => {
+  const article = await ingester.ingest(`${server.url}/old-link`);
+  assert.strictEqual(article.url, `${server.url}/news/btc-etf-record?id=7`);
+});
+
+test('guesses the language of pages that do not declare one', async () => {
+  const article = await ingester.ingest(`${server.url}/fr`);
+
+  assert.strictEqual(article.title, 'Le marché');
+  assert.strictEqual(article.language, 'fr');
+  assert.strictEqual(article.byline, null);
+  assert.strictEqual(article.publishedAt, null);
+});
+
+test('canonicalizes URLs', () => {
+  assert.strictEqual(canonicalizeUrl('HTTPS://Example.COM:443/a/?utm_source=x&b=1#top'), 'https://example.com/a?b=1');
+  assert.strictEqual(canonicalizeUrl('/b/', 'http://example.com/a'), 'http://example.com/b');
+  assert.strictEqual(canonicalizeUrl('ftp://example.com/file'), null);
+  assert.strictEqual(canonicalizeUrl('not a url'), null);
+});
+
+test('reports unusable pages with an HTTP status', async () => {
+  const cases = [
+    ['not a url', 400],
+    [`${server.url}/gone`, 502],
+    [`${server.url}/loop`, 502],
+    [`${server.url}/bad-redirect`, 502],
+    [`${server.url}/file-redirect`, 502],
+    [`${server.url}/ftp-redirect`, 502],
+    [`${server.url}/report.pdf`, 415],
+    [`${server.url}/empty`, 422]
+  ];
+  for (const [url, status] of cases) {
+    await assert.rejects(ingester.ingest(url), error => error instanceof IngestError && error.status === status, url);
+  }
+});
+
+test('refuses private and internal addresses unless allowed', async () => {
+  const guarded = new ArticleIngester();
+  const port = new URL(server.url).port;
+  const targets = [
+    `${server.url}/news/btc-etf-record`,
+    `http://localhost:${port}/news/btc-etf-record`,
+    'http://10.0.0.1/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/'
+  ];
+  for (const url of targets) {
+    await assert.rejects(guarded.ingest(url), error => error instanceof IngestError && error.status === 400 && /private address/.test(error.message), url);
+  }
+});
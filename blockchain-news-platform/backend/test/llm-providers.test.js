@@ -0,0 +1,209 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { OpenAICompatibleProvider, MockLLMProvider, LLMRequestError, createLLMProvider } = require('../llm-providers');
+const { startFixtureServer } = require('./fixture-server');
+
+let server;
+// Requests seen by each stub endpoint, keyed by its base path
+const requests = {};
+// Called when the endless stream's connection closes
+let onEndlessClosed = () => {};
+
+// Each stub answers on /<name>/chat/completions; `handler(req, res, attempt, body)`
+// is told how many requests that endpoint has already seen
+function stub(name, handler) {
+  requests[name] = [];
+  return [`/${name}/chat/completions`, (req, res) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      requests[name].push({ headers: req.headers, body });
+      handler(req, res, requests[name].length, body);
+    });
+  }];
+}
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function completion(content) {
+  return { model: 'stub-model', choices: [{ message: { role: 'assistant', content } }], usage: { total_tokens: 7 } };
+}
+
+function event(content) {
+  return `data: ${JSON.stringify({ model: 'stub-model', choices: [{ delta: { content } }] })}\n\n`;
+}
+
+before(async () => {
+  server = await startFixtureServer(Object.fromEntries([
+    stub('ok', (req, res) => json(res, 200, completion('Hello there'))),
+    stub('flaky', (req, res, attempt) => attempt < 3
+      ? json(res, 503, { error: { message: 'Overloaded' } })
+      : json(res, 200, completion('Recovered'))),
+    stub('retry-after', (req, res, attempt) => attempt === 1
+      ? json(res, 429, { error: { message: 'Slow down' } }, { 'Retry-After': '0.05' })
+      : json(res, 200, completion('Waited'))),
+    stub('limited', (req, res) => json(res, 429, { error: { message: 'Rate limited' } })),
+    stub('bad-request', (req, res) => json(res, 400, { error: { message: 'Unknown model' } })),
+    stub('silent', () => {}),
+    stub('sse', (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      // Events split across writes, keep-alive comments and a malformed event
+      const payload = event('Bitcoin') + ': keep-alive\n\n' + event(' rose') + 'data: {not json}\n\n' +
+        event(' 5%') + `data: ${JSON.stringify({ choices: [{ delta: {} }] })}\n\n` + 'data: [DONE]\n\n';
+      const cut = payload.indexOf(' rose') + 2;
+      res.write(payload.slice(0, cut));
+      setTimeout(() => res.end(payload.slice(cut)), 20);
+    }),
+    stub('endless', (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(event('First'));
+      const timer = setInterval(() => res.write(event(' more')), 20);
+      res.on('close', () => {
+        clearInterval(timer);
+        onEndlessClosed();
+      });
+    }),
+    stub('broken', (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(event('Partial'));
+      setTimeout(() => res.destroy(), 20);
+    }),
+    stub('stream-flaky', (req, res, attempt) => {
+      if (attempt === 1) return json(res, 502, { error: { message: 'Bad gateway' } });
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(event('Second') + event(' try') + 'data: [DONE]\n\n');
+    })
+  ]));
+});
+
+after(() => server.close());
+
+function provider(name, options = {}) {
+  return new OpenAICompatibleProvider({ name: 'stub', baseUrl: `${server.url}/${name}/`, retryBaseMs: 1, ...options });
+}
+
+const messages = [{ role: 'user', content: 'What happened to bitcoin?' }];
+
+test('sends an OpenAI-style request and returns the completion', async () => {
+  const result = await provider('ok', { apiKey: 'secret', model: 'base-model' })
+    .complete(messages, { model: 'override', temperature: 0.2, maxTokens: 50 });
+
+  assert.deepStrictEqual(result, { content: 'Hello there', model: 'stub-model', usage: { total_tokens: 7 } });
+  const [{ headers, body }] = requests.ok;
+  assert.strictEqual(headers.authorization, 'Bearer secret');
+  assert.deepStrictEqual(body, { model: 'override', messages, temperature: 0.2, max_tokens: 50, top_p: 1, stream: false });
+});
+
+test('retries retryable statuses with backoff', async () => {
+  const result = await provider('flaky', { maxRetries: 2 }).complete(messages);
+  assert.strictEqual(result.content, 'Recovered');
+  assert.strictEqual(requests.flaky.length, 3);
+});
+
+test('waits as long as Retry-After asks', async () => {
+  const started = Date.now();
+  // Without the header the first backoff would be at least 5 seconds
+  const result = await provider('retry-after', { retryBaseMs: 10000 }).complete(messages);
+  assert.strictEqual(result.content, 'Waited');
+  assert.ok(Date.now() - started >= 40);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('gives up after the retry limit and reports the status', async () => {
+  await assert.rejects(provider('limited', { maxRetries: 1 }).complete(messages),
+    error => error instanceof LLMRequestError && error.status === 429 && error.message === 'Rate limited');
+  assert.strictEqual(requests.limited.length, 2);
+});
+
+test('does not retry client errors', async () => {
+  await assert.rejects(provider('bad-request').complete(messages),
+    error => error.status === 400 && error.message === 'Unknown model' && !error.retryable);
+  assert.strictEqual(requests['bad-request'].length, 1);
+});
+
+test('times out an endpoint that never answers', async () => {
+  await assert.rejects(provider('silent', { timeoutMs: 50, maxRetries: 1 }).complete(messages),
+    error => /timed out after 50ms/.test(error.message));
+  assert.strictEqual(requests.silent.length, 2);
+});
+
+test('parses server-sent events into tokens', async () => {
+  const tokens = [];
+  const result = await provider('sse').stream(messages, {}, { onToken: token => tokens.push(token) });
+
+  assert.deepStrictEqual(tokens, ['Bitcoin', ' rose', ' 5%']);
+  assert.deepStrictEqual(result, { content: 'Bitcoin rose 5%', model: 'stub-model' });
+  assert.strictEqual(requests.sse[0].body.stream, true);
+});
+
+test('retries a stream that fails before the first token', async () => {
+  const tokens = [];
+  const result = await provider('stream-flaky').stream(messages, {}, { onToken: token => tokens.push(token) });
+
+  assert.strictEqual(result.content, 'Second try');
+  assert.deepStrictEqual(tokens, ['Second', ' try']);
+  assert.strictEqual(requests['stream-flaky'].length, 2);
+});
+
+test('does not replay a stream that breaks after the first token', async () => {
+  const tokens = [];
+  await assert.rejects(provider('broken', { maxRetries: 2 }).stream(messages, {}, { onToken: token => tokens.push(token) }),
+    LLMRequestError);
+  assert.deepStrictEqual(tokens, ['Partial']);
+  assert.strictEqual(requests.broken.length, 1);
+});
+
+test('cancels a stream when its signal is aborted', async () => {
+  const controller = new AbortController();
+  const tokens = [];
+  const closed = new Promise(resolve => {
+    onEndlessClosed = resolve;
+  });
+  const streaming = provider('endless').stream(messages, {}, {
+    signal: controller.signal,
+    onToken: token => {
+      tokens.push(token);
+      controller.abort();
+    }
+  });
+
+  await assert.rejects(streaming, error => error.message === 'Request cancelled');
+  assert.deepStrictEqual(tokens, ['First']);
+  assert.strictEqual(requests.endless.length, 1);
+  // The connection is dropped rather than left streaming
+  await closed;
+});
+
+test('cancels the wait between retries', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  const started = Date.now();
+
+  await assert.rejects(provider('limited', { retryBaseMs: 10000 }).complete(messages, { signal: controller.signal }),
+    error => error.message === 'Request cancelled');
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('picks a provider from the environment', () => {
+  assert.strictEqual(createLLMProvider({ LLM_PROVIDER: 'mock' }).id, 'mock:mock');
+  const local = createLLMProvider({ LLM_PROVIDER: 'openai', LLM_BASE_URL: 'http://localhost:11434/v1', LLM_MODEL: 'llama3' });
+  assert.strictEqual(local.id, 'openai:llama3');
+  assert.strictEqual(local.requireApiKey, false);
+  assert.throws(() => createLLMProvider({ LLM_PROVIDER: 'nope' }), /Unknown LLM_PROVIDER/);
+});
+
+test('the mock provider cites the sources in the system prompt', async () => {
+  const mock = new MockLLMProvider();
+  const system = { role: 'system', content: 'Sources:\n[1] "ETF inflows" (2026)\n[2] "Stablecoin rules" (2026)' };
+  const tokens = [];
+  const result = await mock.stream([system, ...messages], {}, { onToken: token => tokens.push(token) });
+
+  assert.strictEqual(result.content, '"ETF inflows" covers this [1]. "Stablecoin rules" covers this [2].');
+  assert.strictEqual(tokens.join(''), result.content);
+});
@@ -0,0 +1,97 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const P2PNetwork = require('../p2p');
+const { createBlockchain, createIdentity } = require('./chain');
+
+// Node ids are public keys
+const PEER_A = 'a'.repeat(64);
+const PEER_B = 'b'.repeat(64);
+
+let blockchain;
+let network;
+
+beforeEach(() => {
+  blockchain = createBlockchain();
+  network = new P2PNetwork(blockchain, 0, createIdentity(), { syncTimeoutMs: 50 });
+});
+
+afterEach(() => {
+  network.stop();
+  blockchain.remove();
+});
+
+// A handshaken peer whose messages to it are collected in `sent`
+function connectPeer(nodeId, address, listenAddress = address) {
+  const socket = {
+    readyState: WebSocket.OPEN,
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    close() {
+      this.readyState = WebSocket.CLOSED;
+    }
+  };
+  network.peers.set(nodeId, socket);
+  network.peerInfo.set(nodeId, { nodeId, address, listenAddress, capabilities: ['headers-sync', 'mempool'], connectedAt: Date.now() });
+  return socket;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('moves on from a sync peer that stops answering', async () => {
+  const staller = connectPeer(PEER_A, '10.0.0.1:6001');
+  const honest = connectPeer(PEER_B, '10.0.0.2:6001');
+
+  network.handleStatus({ height: 1000, totalWork: 1e12 }, PEER_A);
+  network.handleStatus({ height: 10, totalWork: 1e6 }, PEER_B);
+  assert.strictEqual(network.sync.peerId, PEER_A);
+  assert.strictEqual(staller.sent[0].type, 'GET_HEADERS');
+  assert.strictEqual(honest.sent.length, 0);
+
+  await wait(100);
+
+  assert.strictEqual(network.sync.peerId, PEER_B);
+  assert.strictEqual(honest.sent[0].type, 'GET_HEADERS');
+  assert.ok(network.getScore(PEER_A) > 0);
+  assert.ok(!network.peerStatus.has(PEER_A));
+});
+
+test('keeps a sync peer that answers in time', async () => {
+  const peer = connectPeer(PEER_A, '10.0.0.1:6001');
+  network.handleStatus({ height: 5, totalWork: 1e12 }, PEER_A);
+  await wait(20);
+
+  // No headers after all: the sync finishes without a penalty
+  network.handleHeaders([], peer, PEER_A);
+  await wait(100);
+
+  assert.strictEqual(network.sync.peerId, null);
+  assert.strictEqual(network.getScore(PEER_A), 0);
+  assert.strictEqual(peer.sent.length, 1);
+});
+
+test('bans a misbehaving node without banning other nodes on its host', () => {
+  // node2 of `npm run node1..node3` connected to us from a random port
+  connectPeer(PEER_A, '::ffff:127.0.0.1:53122', '127.0.0.1:6002');
+  network.banPeer(PEER_A, 'invalid block');
+
+  assert.ok(network.isBanned(PEER_A));
+  assert.ok(network.isBanned('ws://localhost:6002'));
+  assert.ok(network.isBanned('::ffff:127.0.0.1:6002'));
+  assert.ok(!network.isBanned('ws://localhost:6001'));
+  assert.ok(!network.isBanned('ws://localhost:6003'));
+});
+
+test('bans whole hosts when asked to', () => {
+  const strict = new P2PNetwork(blockchain, 0, createIdentity(), { banHosts: true });
+  strict.peerInfo.set(PEER_A, { nodeId: PEER_A, address: 'ws://10.0.0.7:6001', listenAddress: '10.0.0.7:6001' });
+  strict.banPeer(PEER_A, 'invalid block');
+
+  assert.ok(strict.isBanned('10.0.0.7:41000'));
+  assert.ok(strict.isBanned('ws://10.0.0.7:6005'));
+  assert.ok(!strict.isBanned('ws://10.0.0.8:6001'));
+});
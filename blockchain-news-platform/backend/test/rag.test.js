@@ -0,0 +1,78 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RAGProcessor = require('../rag');
+const { HashingEmbeddingProvider } = require('../embeddings');
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function createProcessor() {
+  return new RAGProcessor({ dataDir, embeddingProvider: new HashingEmbeddingProvider({ dimension: 64 }) });
+}
+
+function document(title, votes = 0) {
+  return { title, content: `${title}. Markets reacted calmly to the news on Tuesday.`, votes };
+}
+
+function logLines() {
+  return fs.readFileSync(path.join(dataDir, 'changes.log'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('appends changes to the log instead of rewriting the snapshot', async () => {
+  const rag = createProcessor();
+  await rag.addDocument('a', document('Bitcoin ETF inflows hit record'));
+  await rag.updateDocument('a', document('Bitcoin ETF inflows hit record', 3));
+  rag.removeDocument('missing');
+
+  assert.ok(!fs.existsSync(path.join(dataDir, 'documents.json')));
+  const [added, voted] = logLines();
+  assert.strictEqual(logLines().length, 2);
+  assert.strictEqual(added.embedding.passages.length, 1);
+  // Only the vote count changed, so the embedding is not logged again
+  assert.strictEqual(voted.document.votes, 3);
+  assert.strictEqual(voted.embedding, undefined);
+});
+
+test('restores documents, embeddings and indexes from the snapshot and the log', async () => {
+  const rag = createProcessor();
+  await rag.addDocument('a', document('Bitcoin ETF inflows hit record'));
+  await rag.addDocument('b', document('EU approves stablecoin framework'));
+  rag.saveData();
+  assert.strictEqual(fs.readFileSync(path.join(dataDir, 'changes.log'), 'utf8'), '');
+
+  await rag.updateDocument('a', document('Bitcoin ETF inflows hit record', 2));
+  await rag.addDocument('c', document('Ethereum upgrade scheduled for March'));
+  rag.removeDocument('b');
+  fs.appendFileSync(path.join(dataDir, 'changes.log'), '{"op":"put","id":"d"');
+
+  const restored = createProcessor();
+  assert.deepStrictEqual(Array.from(restored.documents.keys()).sort(), ['a', 'c']);
+  assert.strictEqual(restored.documents.get('a').votes, 2);
+  assert.deepStrictEqual(Array.from(restored.embeddings.keys()).sort(), ['a', 'c']);
+  assert.strictEqual(restored.vectorIndex.size, 2);
+  assert.deepStrictEqual(restored.searchLexical('ethereum').map(hit => hit.id), ['c']);
+  assert.deepStrictEqual(restored.searchLexical('stablecoin'), []);
+
+  const [top] = await restored.search('Ethereum upgrade scheduled for March', 1);
+  assert.strictEqual(top.id, 'c');
+});
+
+test('ignores logged embeddings from another provider', async () => {
+  const rag = createProcessor();
+  await rag.addDocument('a', document('Bitcoin ETF inflows hit record'));
+
+  const restored = new RAGProcessor({ dataDir, embeddingProvider: new HashingEmbeddingProvider({ dimension: 32 }) });
+  assert.ok(restored.documents.has('a'));
+  assert.strictEqual(restored.embeddings.size, 0);
+  assert.strictEqual(restored.vectorIndex.size, 0);
+});
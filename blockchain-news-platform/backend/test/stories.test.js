@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const StoryClusterer = require('../stories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keyword matching only: nothing is embedded and nothing is a near duplicate
+function createClusterer() {
+  const ragProcessor = {
+    embeddings: new Map(),
+    extractKeywords: (text, topN) => Array.from(new Set(text.toLowerCase().match(/[a-z]{4,}/g))).slice(0, topN)
+  };
+  const duplicateDetector = {
+    getClusters: articles => new Map(articles.map(article => [article.id, { clusterId: article.id, size: 1 }])),
+    getDocumentVector: () => null
+  };
+  return new StoryClusterer(ragProcessor, duplicateDetector);
+}
+
+function article(id, time, title, votes = 0) {
+  return { id, versionId: id, title, content: '', url: `https://${id}.example/story`, timestamp: time, blockTimestamp: time, votes, downvotes: 0 };
+}
+
+test('groups related coverage into one story with a timeline', () => {
+  const stories = createClusterer().getStories([
+    article('a', 1000, 'Senate approves stablecoin bill'),
+    article('b', 2000, 'Ethereum upgrade scheduled'),
+    article('c', 3000, 'Stablecoin bill approval heads to president')
+  ]);
+
+  assert.strictEqual(stories.length, 2);
+  assert.strictEqual(stories[0].title, 'Senate approves stablecoin bill');
+  assert.strictEqual(stories[0].latestTitle, 'Stablecoin bill approval heads to president');
+  assert.deepStrictEqual(stories[0].timeline.map(entry => entry.articleId), ['a', 'c']);
+  assert.strictEqual(stories[0].sourceCount, 2);
+});
+
+test('starts a new story after a week without coverage', () => {
+  const stories = createClusterer().getStories([
+    article('a', 0, 'Senate approves stablecoin bill'),
+    article('b', 8 * DAY_MS, 'Senate approves stablecoin bill amendments')
+  ]);
+  assert.strictEqual(stories.length, 2);
+});
+
+test('reports current vote counts for cached stories', () => {
+  const clusterer = createClusterer();
+  const before = [article('a', 1000, 'Senate approves stablecoin bill', 1)];
+  assert.strictEqual(clusterer.getStories(before)[0].timeline[0].votes, 1);
+
+  const after = [article('a', 1000, 'Senate approves stablecoin bill', 5)];
+  assert.strictEqual(clusterer.getStories(after)[0].timeline[0].votes, 5);
+  assert.strictEqual(clusterer.getStory(after, clusterer.getStories(after)[0].id).timeline[0].votes, 5);
+});
@@ -0,0 +1,26 @@
+// trust.js - Heuristic trust score for articles (0-100)
+
+const TRUSTED_DOMAINS = {
+  'reuters.com': 15, 'bbc.com': 15, 'apnews.com': 15,
+  'nytimes.com': 12, 'washingtonpost.com': 12, 'theguardian.com': 12
+};
+
+function calculateTrustScore(article) {
+  let score = 50;
+
+  if (article.url && article.url.includes('https')) score += 10;
+  if (article.content && article.content.length > 200) score += 10;
+  if (article.votes && article.votes > 0) score += Math.min(article.votes * 2, 20);
+  if (article.peerVerifications) score += article.peerVerifications * 5;
+
+  for (const [domain, bonus] of Object.entries(TRUSTED_DOMAINS)) {
+    if (article.url && article.url.includes(domain)) {
+      score += bonus;
+      break;
+    }
+  }
+
+  return Math.min(100, Math.max(0, score));
+}
+
+module.exports = { calculateTrustScore, TRUSTED_DOMAINS };
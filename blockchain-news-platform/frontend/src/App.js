@@ -1,27 +1,83 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Search, Upload, ThumbsUp, ThumbsDown, ExternalLink, Database, Sparkles, BookOpen, TrendingUp, Zap, Globe, Users, Clock, Award, MessageCircle, Send, X, BarChart3, AlertCircle } from 'lucide-react';
+import { Search, Upload, ThumbsUp, ThumbsDown, ExternalLink, Database, Sparkles, BookOpen, TrendingUp, Zap, Globe, Users, Clock, Award, MessageCircle, Send, X, BarChart3, AlertCircle, History, Plus, Trash2, Download, Rss, RefreshCw, Layers } from 'lucide-react';
+import { loadOrCreateIdentity, signPayload, buildArticlePayload, buildVotePayload, buildRevisionPayload, computeDiff, parseTags } from './identity';
 
 const API_URL = 'http://localhost:3001/api';
 
+// Hostname without "www.", or null for placeholder URLs like "#article_..."
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read a text/event-stream response body, calling onEvent(event, data) for
+// each event as it arrives
+const readServerSentEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    events.forEach(block => {
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    });
+  }
+};
+
 const BlockchainNewsApp = () => {
   const [articles, setArticles] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
-  const [newArticle, setNewArticle] = useState({ title: '', url: '', content: '' });
+  const [newArticle, setNewArticle] = useState({ title: '', url: '', content: '', tags: '' });
+  const [ingestState, setIngestState] = useState({ loading: false, error: null, existingArticleId: null });
+  const [stories, setStories] = useState([]);
+  const [selectedStory, setSelectedStory] = useState(null);
+  const [storyTimeline, setStoryTimeline] = useState([]);
+  const [feeds, setFeeds] = useState([]);
+  const [newFeed, setNewFeed] = useState({ url: '', intervalMinutes: '30', tags: '' });
+  const [feedError, setFeedError] = useState(null);
+  const [isAddingFeed, setIsAddingFeed] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
+  const [searchFilters, setSearchFilters] = useState({
+    from: '', to: '', domain: '', minTrust: '', minVotes: '', uploader: '', tags: '', sort: 'relevance'
+  });
+  const [searchFacets, setSearchFacets] = useState(null);
+  const [activeFacets, setActiveFacets] = useState({});
   const [isSearching, setIsSearching] = useState(false);
   const [activeTab, setActiveTab] = useState('feed');
   const [walletConnected, setWalletConnected] = useState(false);
   const [userAddress, setUserAddress] = useState('');
+  const [identity, setIdentity] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedArticle, setSelectedArticle] = useState(null);
+  const [articleHistory, setArticleHistory] = useState(null);
+  const [revision, setRevision] = useState(null);
+  const [revisionError, setRevisionError] = useState(null);
   const [nodeStatus, setNodeStatus] = useState(null);
   const [topNews, setTopNews] = useState([]);
   const [chatMessages, setChatMessages] = useState([]);
   const [chatInput, setChatInput] = useState('');
   const [isChatOpen, setIsChatOpen] = useState(false);
   const [isChatLoading, setIsChatLoading] = useState(false);
-  const [sessionId] = useState(() => 'session_' + Math.random().toString(36).substr(2, 9));
+  const [sessionId, setSessionId] = useState(() => 'session_' + Math.random().toString(36).substr(2, 9));
+  const [chatSessions, setChatSessions] = useState(null);
   const chatEndRef = useRef(null);
+  const chatAbortRef = useRef(null);
+  const chainLengthRef = useRef(null);
 
   useEffect(() => {
     loadInitialData();
@@ -46,6 +102,11 @@ const BlockchainNewsApp = () => {
       const response = await fetch(`${API_URL}/health`);
       const data = await response.json();
       setNodeStatus(data);
+      // Pending submissions show up once the block containing them is mined
+      if (chainLengthRef.current !== null && data.chainLength !== chainLengthRef.current) {
+        loadArticles();
+      }
+      chainLengthRef.current = data.chainLength;
     } catch (error) {
       console.error('Failed to load node status:', error);
     }
@@ -62,13 +123,21 @@ const BlockchainNewsApp = () => {
     }
   };
 
+  // One entry per story: the best-scored article of each near-duplicate cluster
   const updateTopNews = (articleList) => {
+    const seenClusters = new Set();
     const sorted = [...articleList]
       .sort((a, b) => {
         const scoreA = calculateTrustScore(a) + ((a.votes || 0) - (a.downvotes || 0)) * 2;
         const scoreB = calculateTrustScore(b) + ((b.votes || 0) - (b.downvotes || 0)) * 2;
         return scoreB - scoreA;
       })
+      .filter(article => {
+        const cluster = article.clusterId || article.id;
+        if (seenClusters.has(cluster)) return false;
+        seenClusters.add(cluster);
+        return true;
+      })
       .slice(0, 3);
     setTopNews(sorted);
   };
@@ -92,11 +161,49 @@ const BlockchainNewsApp = () => {
   };
 
   const connectWallet = () => {
-    const address = '0x' + Math.random().toString(16).substr(2, 40);
-    setUserAddress(address);
+    const keyPair = loadOrCreateIdentity();
+    setIdentity(keyPair);
+    setUserAddress(keyPair.publicKey);
     setWalletConnected(true);
   };
 
+  // Fill the form from the page at the entered URL; the extracted byline,
+  // publish date and language are signed along with the article
+  const ingestUrl = async () => {
+    if (!newArticle.url) {
+      return;
+    }
+
+    setIngestState({ loading: true, error: null, existingArticleId: null });
+    try {
+      const response = await fetch(`${API_URL}/articles/ingest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: newArticle.url })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setIngestState({ loading: false, error: data.error || 'Could not read that page', existingArticleId: null });
+        return;
+      }
+
+      setNewArticle({
+        ...newArticle,
+        title: data.article.title,
+        url: data.article.url,
+        content: data.article.content,
+        byline: data.article.byline || undefined,
+        publishedAt: data.article.publishedAt || undefined,
+        language: data.article.language || undefined
+      });
+      setIngestState({ loading: false, error: null, existingArticleId: data.existingArticleId });
+    } catch (error) {
+      console.error('Ingest error:', error);
+      setIngestState({ loading: false, error: 'Could not reach the node', existingArticleId: null });
+    }
+  };
+
   const uploadArticle = async () => {
     if (!newArticle.title) {
       return;
@@ -107,16 +214,25 @@ const BlockchainNewsApp = () => {
     }
 
     try {
+      const unsigned = {
+        ...newArticle,
+        tags: parseTags(newArticle.tags),
+        timestamp: Date.now(),
+        author: identity.publicKey
+      };
+      const signature = signPayload(buildArticlePayload(unsigned), identity);
+
       const response = await fetch(`${API_URL}/articles`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newArticle)
+        body: JSON.stringify({ ...unsigned, signature })
       });
 
       const data = await response.json();
       
       if (data.success) {
-        setNewArticle({ title: '', url: '', content: '' });
+        setNewArticle({ title: '', url: '', content: '', tags: '' });
+        setIngestState({ loading: false, error: null, existingArticleId: null });
         await loadArticles();
         setActiveTab('feed');
       }
@@ -125,16 +241,102 @@ const BlockchainNewsApp = () => {
     }
   };
 
+  const loadStories = async () => {
+    try {
+      const response = await fetch(`${API_URL}/stories?limit=50`);
+      const data = await response.json();
+      setStories(data.stories || []);
+    } catch (error) {
+      console.error('Failed to load stories:', error);
+    }
+  };
+
+  const openStory = async (story) => {
+    setSelectedStory(story);
+    setStoryTimeline([]);
+    try {
+      const response = await fetch(`${API_URL}/stories/${story.id}/timeline`);
+      const data = await response.json();
+      setStoryTimeline(data.timeline || []);
+    } catch (error) {
+      console.error('Failed to load story timeline:', error);
+    }
+  };
+
+  const loadFeeds = async () => {
+    try {
+      const response = await fetch(`${API_URL}/feeds`);
+      const data = await response.json();
+      setFeeds(data.feeds || []);
+    } catch (error) {
+      console.error('Failed to load feeds:', error);
+    }
+  };
+
+  // Feed entries are signed by the node, so no wallet is needed here
+  const addFeed = async () => {
+    if (!newFeed.url) {
+      return;
+    }
+
+    setIsAddingFeed(true);
+    setFeedError(null);
+    try {
+      const response = await fetch(`${API_URL}/feeds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          url: newFeed.url,
+          intervalMinutes: parseInt(newFeed.intervalMinutes) || undefined,
+          tags: parseTags(newFeed.tags)
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setFeedError(data.error || 'Could not add feed');
+      } else {
+        setNewFeed({ url: '', intervalMinutes: '30', tags: '' });
+        await loadFeeds();
+      }
+    } catch (error) {
+      console.error('Error adding feed:', error);
+      setFeedError('Could not reach the node');
+    }
+    setIsAddingFeed(false);
+  };
+
+  const pollFeed = async (id) => {
+    try {
+      await fetch(`${API_URL}/feeds/${id}/poll`, { method: 'POST' });
+      await loadFeeds();
+    } catch (error) {
+      console.error('Error polling feed:', error);
+    }
+  };
+
+  const removeFeed = async (id) => {
+    try {
+      await fetch(`${API_URL}/feeds/${id}`, { method: 'DELETE' });
+      setFeeds(prev => prev.filter(feed => feed.id !== id));
+    } catch (error) {
+      console.error('Error removing feed:', error);
+    }
+  };
+
   const voteArticle = async (articleId, voteType) => {
     if (!walletConnected) {
       return;
     }
 
     try {
+      const vote = { articleId, voteType, timestamp: Date.now(), voter: identity.publicKey };
+      const signature = signPayload(buildVotePayload(vote), identity);
+
       const response = await fetch(`${API_URL}/articles/${articleId}/vote`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ voteType })
+        body: JSON.stringify({ ...vote, signature })
       });
 
       const data = await response.json();
@@ -147,7 +349,7 @@ const BlockchainNewsApp = () => {
           );
           setSearchResults(updatedResults);
         }
-        if (selectedArticle?.id === articleId) {
+        if (data.article && selectedArticle?.id === articleId) {
           setSelectedArticle(data.article);
         }
       }
@@ -162,64 +364,281 @@ const BlockchainNewsApp = () => {
     setIsSearching(true);
     
     try {
-      const response = await fetch(`${API_URL}/search?query=${encodeURIComponent(searchQuery)}&limit=20`);
+      // Results under 25% relevance are dropped server-side so facet counts match the list
+      const params = new URLSearchParams({ query: searchQuery, limit: 20, minRelevance: 25 });
+      Object.entries(searchFilters).forEach(([name, value]) => {
+        if (value !== '') params.set(name, value);
+      });
+      const response = await fetch(`${API_URL}/search?${params}`);
       const data = await response.json();
-      // Filter out results with less than 25% relevance
-      const filtered = (data.results || []).filter(r => r.relevance >= 25);
-      setSearchResults(filtered);
+      setSearchResults(data.results || []);
+      setSearchFacets(data.facets || null);
+      setActiveFacets({});
     } catch (error) {
       console.error('Search error:', error);
       setSearchResults([]);
+      setSearchFacets(null);
     } finally {
       setIsSearching(false);
     }
   };
 
+  const toggleFacet = (field, value) => {
+    setActiveFacets(prev => {
+      const next = { ...prev };
+      if (next[field] === value) {
+        delete next[field];
+      } else {
+        next[field] = value;
+      }
+      return next;
+    });
+  };
+
+  // Facets narrow the results already loaded; a result's keyword facet is a list
+  const visibleResults = searchResults.filter(result =>
+    Object.entries(activeFacets).every(([field, value]) =>
+      [].concat(result.facets?.[field]).includes(value)
+    )
+  );
+
+  // Patch the assistant message that is still being streamed in
+  const updateStreamingMessage = (update) => {
+    setChatMessages(prev => prev.map(msg => (msg.streaming ? { ...msg, ...update(msg) } : msg)));
+  };
+
   const sendChatMessage = async () => {
     if (!chatInput.trim()) return;
 
     const userMessage = { role: 'user', content: chatInput, timestamp: Date.now() };
-    setChatMessages(prev => [...prev, userMessage]);
+    const aiMessage = { role: 'assistant', content: '', articles: [], sources: [], citations: [], streaming: true, timestamp: Date.now() };
+    setChatMessages(prev => [...prev, userMessage, aiMessage]);
     const currentInput = chatInput;
     setChatInput('');
     setIsChatLoading(true);
 
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+
     try {
-      const response = await fetch(`${API_URL}/chat`, {
+      const response = await fetch(`${API_URL}/chat/stream`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           message: currentInput,
-          articleId: selectedArticle?.id
-        })
+          articleId: selectedArticle?.id,
+          sessionId
+        }),
+        signal: controller.signal
       });
-
-      const data = await response.json();
-      
-      if (data.success) {
-        const aiMessage = {
-          role: 'assistant',
-          content: data.response,
-          articles: data.relevantArticles || [],
-          timestamp: Date.now()
-        };
-        setChatMessages(prev => [...prev, aiMessage]);
+      if (!response.ok) {
+        throw new Error(`Chat request failed with status ${response.status}`);
       }
+
+      await readServerSentEvents(response, (event, data) => {
+        if (event === 'articles') {
+          updateStreamingMessage(() => ({ articles: data.relevantArticles || [], sources: data.sources || [] }));
+        } else if (event === 'token') {
+          updateStreamingMessage(msg => ({ content: msg.content + data.delta }));
+        } else if (event === 'done') {
+          updateStreamingMessage(() => ({ content: data.response, citations: data.citations || [] }));
+        } else if (event === 'error') {
+          throw new Error(data.error);
+        }
+      });
     } catch (error) {
-      console.error('Chat error:', error);
-      const errorMessage = {
-        role: 'assistant',
-        content: 'Sorry, I encountered an error. Make sure your Groq API key is configured.',
-        timestamp: Date.now()
-      };
-      setChatMessages(prev => [...prev, errorMessage]);
+      if (error.name !== 'AbortError') {
+        console.error('Chat error:', error);
+        updateStreamingMessage(msg => ({
+          content: msg.content || 'Sorry, I encountered an error. Make sure your Groq API key is configured.'
+        }));
+      }
     } finally {
+      // A reply stopped before its first token leaves nothing worth showing
+      setChatMessages(prev => prev
+        .filter(msg => !(msg.streaming && !msg.content))
+        .map(msg => (msg.streaming ? { ...msg, streaming: false } : msg)));
+      chatAbortRef.current = null;
       setIsChatLoading(false);
     }
   };
 
+  const stopChatMessage = () => {
+    chatAbortRef.current?.abort();
+  };
+
+
+  // Toggle the list of past conversations
+  const toggleChatSessions = async () => {
+    if (chatSessions) {
+      setChatSessions(null);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_URL}/chat/sessions`);
+      const data = await response.json();
+      setChatSessions(data.sessions || []);
+    } catch (error) {
+      console.error('Error loading chat sessions:', error);
+    }
+  };
+
+  const resumeChatSession = async (id) => {
+    try {
+      const response = await fetch(`${API_URL}/chat/sessions/${id}`);
+      const data = await response.json();
+      if (data.session) {
+        setSessionId(data.session.id);
+        setChatMessages(data.session.messages);
+        setChatSessions(null);
+      }
+    } catch (error) {
+      console.error('Error resuming chat session:', error);
+    }
+  };
+
+  const deleteChatSession = async (id) => {
+    try {
+      await fetch(`${API_URL}/chat/sessions/${id}`, { method: 'DELETE' });
+      setChatSessions(prev => prev.filter(session => session.id !== id));
+      if (id === sessionId) {
+        startNewChat();
+      }
+    } catch (error) {
+      console.error('Error deleting chat session:', error);
+    }
+  };
+
+  const startNewChat = () => {
+    setSessionId('session_' + Math.random().toString(36).substr(2, 9));
+    setChatMessages([]);
+    setChatSessions(null);
+  };
+
   const selectArticle = (article) => {
     setSelectedArticle(article);
+    setArticleHistory(null);
+    setRevision(null);
+    setRevisionError(null);
+  };
+
+  const loadHistory = async (articleId) => {
+    try {
+      const response = await fetch(`${API_URL}/articles/${articleId}/history`);
+      const data = await response.json();
+      const versions = data.versions || [];
+      setArticleHistory(versions);
+      return versions;
+    } catch (error) {
+      console.error('Failed to load article history:', error);
+      return [];
+    }
+  };
+
+  const startRevision = () => {
+    setRevision({ title: selectedArticle.title, content: selectedArticle.content || '', reason: '', correction: false });
+    setRevisionError(null);
+  };
+
+  // Revisions are diffs against the latest version, including any still
+  // waiting to be mined, so the history is fetched first
+  const submitRevision = async () => {
+    if (!walletConnected || !revision.reason.trim()) {
+      return;
+    }
+
+    try {
+      const versions = await loadHistory(selectedArticle.id);
+      const latest = versions[versions.length - 1] || selectedArticle;
+      const unsigned = {
+        articleId: selectedArticle.id,
+        previousId: latest.id,
+        title: revision.title !== latest.title ? revision.title : undefined,
+        diff: computeDiff(latest.content || '', revision.content),
+        reason: revision.reason.trim(),
+        correction: revision.correction,
+        timestamp: Date.now(),
+        author: identity.publicKey
+      };
+      const signature = signPayload(buildRevisionPayload(unsigned), identity);
+
+      const response = await fetch(`${API_URL}/articles/${selectedArticle.id}/revisions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...unsigned, signature })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setRevision(null);
+        setRevisionError(null);
+        await loadHistory(selectedArticle.id);
+      } else {
+        setRevisionError(data.error || 'Revision failed');
+      }
+    } catch (error) {
+      console.error('Revision error:', error);
+      setRevisionError('Could not reach the node');
+    }
+  };
+
+  // Open the article behind a [n] marker, preferring the full copy from the feed
+  const openSource = (source) => {
+    const article = articles.find(a => a.id === source.articleId);
+    selectArticle(article || { id: source.articleId, title: source.title, url: source.url });
+  };
+
+  // Turn the [n] / [1, 3] markers in an answer into clickable citations
+  const renderWithCitations = (msg) => {
+    if (!msg.sources || msg.sources.length === 0) return msg.content;
+
+    return msg.content.split(/(\[\d+(?:\s*,\s*\d+)*\])/g).map((part, partIndex) => {
+      const numbers = part.match(/^\[([\d\s,]+)\]$/);
+      if (!numbers) return part;
+
+      return numbers[1].split(',').map(n => parseInt(n)).map(number => {
+        const source = msg.sources[number - 1];
+        if (!source) return `[${number}]`;
+        const quote = msg.citations?.find(c => c.marker === number && c.quote)?.quote;
+        const location = source.blockHash ? `Block #${source.blockIndex} ${source.blockHash.slice(0, 12)}` : 'Pending';
+        return (
+          <button
+            key={`${partIndex}-${number}`}
+            onClick={() => openSource(source)}
+            title={`${source.title}\n${location}${quote ? `\n"${quote}"` : ''}`}
+            className="mx-0.5 px-1 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded hover:bg-indigo-200 align-super"
+          >
+            {number}
+          </button>
+        );
+      });
+    });
+  };
+
+  // Other coverage of the same story, as chips that open each copy
+  const renderSimilarCoverage = (article) => {
+    const similar = articles.filter(a => a.clusterId && a.clusterId === article.clusterId && a.id !== article.id);
+    if (similar.length === 0) return null;
+
+    return (
+      <div className="flex gap-2 flex-wrap items-center mb-3 text-xs">
+        <span className="text-gray-500">{similar.length} similar {similar.length === 1 ? 'report' : 'reports'}:</span>
+        {similar.map(other => (
+          <button
+            key={other.id}
+            onClick={(e) => {
+              e.stopPropagation();
+              selectArticle(other);
+            }}
+            title={other.title}
+            className="px-2 py-1 bg-white border border-gray-200 rounded-full text-gray-700 hover:border-indigo-300 max-w-xs truncate"
+          >
+            {getDomain(other.url) || other.title}
+          </button>
+        ))}
+      </div>
+    );
   };
 
   if (loading) {
@@ -273,6 +692,12 @@ const BlockchainNewsApp = () => {
                 <Globe className="w-4 h-4 text-gray-600" />
                 <span className="text-gray-700">Block #{nodeStatus.chainLength}</span>
               </div>
+              {nodeStatus.pendingTransactions > 0 && (
+                <div className="flex items-center gap-2">
+                  <Clock className="w-4 h-4 text-gray-600" />
+                  <span className="text-gray-700">{nodeStatus.pendingTransactions} pending</span>
+                </div>
+              )}
               <div className="ml-auto text-xs text-gray-500">
                 {nodeStatus.peers > 0 ? '🌐 Connected to network' : '📡 Local only'}
               </div>
@@ -289,12 +714,17 @@ const BlockchainNewsApp = () => {
                 {[
                   { id: 'feed', label: 'Top News', icon: TrendingUp },
                   { id: 'search', label: 'AI Search', icon: Search },
+                  { id: 'stories', label: 'Stories', icon: Layers },
                   { id: 'upload', label: 'Upload', icon: Upload },
                   { id: 'browse', label: 'All Articles', icon: BookOpen }
                 ].map(tab => (
                   <button
                     key={tab.id}
-                    onClick={() => setActiveTab(tab.id)}
+                    onClick={() => {
+                      setActiveTab(tab.id);
+                      if (tab.id === 'upload') loadFeeds();
+                      if (tab.id === 'stories') loadStories();
+                    }}
                     className={`flex-1 px-6 py-4 font-semibold transition-all whitespace-nowrap ${
                       activeTab === tab.id
                         ? 'text-indigo-600 border-b-2 border-indigo-600'
@@ -357,6 +787,12 @@ const BlockchainNewsApp = () => {
                                       Block #{article.blockHeight}
                                     </div>
                                   )}
+                                  {article.corrected && (
+                                    <div className="flex items-center gap-2 bg-orange-100 text-orange-800 px-3 py-1 rounded-full text-sm">
+                                      <AlertCircle className="w-4 h-4" />
+                                      Corrected
+                                    </div>
+                                  )}
                                 </div>
 
                                 {article.content && (
@@ -365,6 +801,8 @@ const BlockchainNewsApp = () => {
                                   </p>
                                 )}
 
+                                {renderSimilarCoverage(article)}
+
                                 <div className="flex gap-3 flex-wrap">
                                   <button
                                     onClick={(e) => {
@@ -445,12 +883,125 @@ const BlockchainNewsApp = () => {
                       </button>
                     </div>
 
-                    {searchResults.length > 0 ? (
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6 text-sm">
+                      <label className="flex flex-col text-gray-600">
+                        From
+                        <input
+                          type="date"
+                          value={searchFilters.from}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, from: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg"
+                        />
+                      </label>
+                      <label className="flex flex-col text-gray-600">
+                        To
+                        <input
+                          type="date"
+                          value={searchFilters.to}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, to: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg"
+                        />
+                      </label>
+                      <label className="flex flex-col text-gray-600">
+                        Domain
+                        <input
+                          type="text"
+                          placeholder="reuters.com"
+                          value={searchFilters.domain}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, domain: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg"
+                        />
+                      </label>
+                      <label className="flex flex-col text-gray-600">
+                        Tags
+                        <input
+                          type="text"
+                          placeholder="markets, crypto"
+                          value={searchFilters.tags}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, tags: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg"
+                        />
+                      </label>
+                      <label className="flex flex-col text-gray-600">
+                        Min trust
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={searchFilters.minTrust}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, minTrust: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg"
+                        />
+                      </label>
+                      <label className="flex flex-col text-gray-600">
+                        Min net votes
+                        <input
+                          type="number"
+                          value={searchFilters.minVotes}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, minVotes: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg"
+                        />
+                      </label>
+                      <label className="flex flex-col text-gray-600">
+                        Uploader
+                        <input
+                          type="text"
+                          placeholder="Public key"
+                          value={searchFilters.uploader}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, uploader: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg font-mono"
+                        />
+                      </label>
+                      <label className="flex flex-col text-gray-600">
+                        Sort by
+                        <select
+                          value={searchFilters.sort}
+                          onChange={(e) => setSearchFilters({ ...searchFilters, sort: e.target.value })}
+                          className="mt-1 px-3 py-2 border rounded-lg bg-white"
+                        >
+                          <option value="relevance">Relevance</option>
+                          <option value="newest">Newest</option>
+                          <option value="trusted">Most trusted</option>
+                        </select>
+                      </label>
+                    </div>
+
+                    {searchFacets && searchResults.length > 0 && (
+                      <div className="mb-6 space-y-2 text-sm">
+                        {[
+                          ['domain', 'Source'],
+                          ['week', 'Week'],
+                          ['day', 'Day'],
+                          ['trust', 'Trust'],
+                          ['keyword', 'Keyword']
+                        ].map(([field, label]) => (searchFacets[field] || []).length > 0 && (
+                          <div key={field} className="flex items-center gap-2 flex-wrap">
+                            <span className="w-20 text-gray-500">{label}</span>
+                            {searchFacets[field].map(({ value, count }) => (
+                              <button
+                                key={value}
+                                onClick={() => toggleFacet(field, value)}
+                                className={`px-3 py-1 rounded-full border transition-all ${
+                                  activeFacets[field] === value
+                                    ? 'bg-indigo-600 text-white border-indigo-600'
+                                    : 'bg-white text-gray-700 border-gray-300 hover:border-indigo-400'
+                                }`}
+                              >
+                                {value} ({count})
+                              </button>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {visibleResults.length > 0 ? (
                       <div className="space-y-4">
                         <h3 className="text-lg font-semibold text-gray-800 mb-4">
                           Found {searchResults.length} articles (≥25% relevance)
+                          {visibleResults.length < searchResults.length && `, showing ${visibleResults.length}`}
                         </h3>
-                        {searchResults.map(article => (
+                        {visibleResults.map(article => (
                           <div 
                             key={article.id} 
                             onClick={() => selectArticle(article)}
@@ -477,6 +1028,11 @@ const BlockchainNewsApp = () => {
                                   Block #{article.blockHeight}
                                 </span>
                               )}
+                              {article.corrected && (
+                                <span className="bg-orange-100 text-orange-800 px-3 py-1 rounded-full">
+                                  Corrected
+                                </span>
+                              )}
                             </div>
                             {article.summary && (
                               <p className="text-gray-700 text-sm mb-3">{article.summary}</p>
@@ -550,14 +1106,52 @@ const BlockchainNewsApp = () => {
                       </div>
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-2">Article URL (optional)</label>
-                        <input
-                          type="url"
-                          value={newArticle.url}
-                          onChange={(e) => setNewArticle({ ...newArticle, url: e.target.value })}
-                          className="w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-                          placeholder="https://example.com/article"
-                        />
-                        <p className="text-xs text-gray-500 mt-1">Leave empty for original content</p>
+                        <div className="flex gap-2">
+                          <input
+                            type="url"
+                            value={newArticle.url}
+                            onChange={(e) => setNewArticle({
+                              ...newArticle,
+                              url: e.target.value,
+                              // Page metadata belongs to the URL it was read from
+                              byline: undefined,
+                              publishedAt: undefined,
+                              language: undefined
+                            })}
+                            className="flex-1 px-4 py-3 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                            placeholder="https://example.com/article"
+                          />
+                          <button
+                            onClick={ingestUrl}
+                            className="flex items-center gap-2 px-4 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-all disabled:opacity-50"
+                            disabled={!newArticle.url || ingestState.loading}
+                          >
+                            <Download className="w-4 h-4" />
+                            {ingestState.loading ? 'Fetching...' : 'Fetch'}
+                          </button>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">Leave empty for original content, or fetch the page to fill in the article</p>
+                        {ingestState.error && (
+                          <p className="text-xs text-red-600 mt-1">{ingestState.error}</p>
+                        )}
+                        {ingestState.existingArticleId && (
+                          <p className="text-xs text-amber-600 mt-1">This URL is already on the chain</p>
+                        )}
+                        {(newArticle.byline || newArticle.publishedAt || newArticle.language) && (
+                          <div className="flex gap-2 flex-wrap mt-2">
+                            {newArticle.byline && (
+                              <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">By {newArticle.byline}</span>
+                            )}
+                            {newArticle.publishedAt && (
+                              <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
+                                Published {new Date(newArticle.publishedAt).toLocaleDateString()}
+                              </span>
+                            )}
+                            {newArticle.language && (
+                              <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">{newArticle.language}</span>
+                            )}
+                          </div>
+                        )}
                       </div>
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-2">Content</label>
@@ -568,6 +1162,17 @@ const BlockchainNewsApp = () => {
                           placeholder="Article content or summary..."
                         />
                       </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Tags (optional)</label>
+                        <input
+                          type="text"
+                          value={newArticle.tags}
+                          onChange={(e) => setNewArticle({ ...newArticle, tags: e.target.value })}
+                          className="w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                          placeholder="markets, regulation"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Comma-separated, up to 10</p>
+                      </div>
                       <button
                         onClick={uploadArticle}
                         className="w-full px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-all font-semibold disabled:opacity-50"
@@ -576,6 +1181,177 @@ const BlockchainNewsApp = () => {
                         {walletConnected ? 'Submit to Blockchain' : 'Connect Wallet First'}
                       </button>
                     </div>
+
+                    <h3 className="text-xl font-semibold text-gray-800 mt-8 mb-2 flex items-center gap-2">
+                      <Rss className="w-5 h-5 text-orange-500" />
+                      News Feeds
+                    </h3>
+                    <p className="text-sm text-gray-500 mb-4">
+                      New entries from RSS and Atom feeds are published automatically, signed by this node.
+                    </p>
+                    <div className="flex gap-2 flex-wrap">
+                      <input
+                        type="url"
+                        value={newFeed.url}
+                        onChange={(e) => setNewFeed({ ...newFeed, url: e.target.value })}
+                        className="flex-1 min-w-0 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        placeholder="https://example.com/feed.xml"
+                      />
+                      <input
+                        type="number"
+                        min="5"
+                        max="1440"
+                        value={newFeed.intervalMinutes}
+                        onChange={(e) => setNewFeed({ ...newFeed, intervalMinutes: e.target.value })}
+                        className="w-24 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        title="Minutes between checks"
+                      />
+                      <input
+                        type="text"
+                        value={newFeed.tags}
+                        onChange={(e) => setNewFeed({ ...newFeed, tags: e.target.value })}
+                        className="w-40 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        placeholder="tags"
+                      />
+                      <button
+                        onClick={addFeed}
+                        className="flex items-center gap-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-all disabled:opacity-50"
+                        disabled={!newFeed.url || isAddingFeed}
+                      >
+                        <Plus className="w-4 h-4" />
+                        {isAddingFeed ? 'Adding...' : 'Add Feed'}
+                      </button>
+                    </div>
+                    {feedError && <p className="text-xs text-red-600 mt-1">{feedError}</p>}
+
+                    <div className="space-y-2 mt-4">
+                      {feeds.map(feed => (
+                        <div key={feed.id} className="bg-gray-50 rounded-lg p-3 border flex items-start gap-3">
+                          <div className="flex-1 min-w-0">
+                            <p className="font-medium text-gray-800 truncate">{feed.title || feed.url}</p>
+                            <p className="text-xs text-gray-500 truncate">{feed.url}</p>
+                            <p className="text-xs text-gray-600 mt-1">
+                              {feed.itemsImported} imported · {feed.itemsSkipped} skipped · every {feed.intervalMinutes} min
+                              {feed.lastFetchAt && ` · checked ${new Date(feed.lastFetchAt).toLocaleTimeString()}`}
+                            </p>
+                            {feed.lastError && (
+                              <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+                                <AlertCircle className="w-3 h-3" />
+                                {feed.lastError}
+                              </p>
+                            )}
+                          </div>
+                          <button
+                            onClick={() => pollFeed(feed.id)}
+                            className="p-2 text-gray-500 hover:text-indigo-600"
+                            title="Check now"
+                          >
+                            <RefreshCw className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => removeFeed(feed.id)}
+                            className="p-2 text-gray-500 hover:text-red-600"
+                            title="Remove feed"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Stories */}
+                {activeTab === 'stories' && (
+                  <div>
+                    {selectedStory ? (
+                      <div>
+                        <button
+                          onClick={() => setSelectedStory(null)}
+                          className="text-sm text-indigo-600 hover:text-indigo-800 mb-4"
+                        >
+                          ← All stories
+                        </button>
+                        <h3 className="text-xl font-semibold text-gray-800 mb-1">{selectedStory.title}</h3>
+                        <p className="text-sm text-gray-500 mb-6">
+                          {selectedStory.articleCount} {selectedStory.articleCount === 1 ? 'article' : 'articles'} from {selectedStory.sourceCount} {selectedStory.sourceCount === 1 ? 'source' : 'sources'}
+                        </p>
+                        <ol className="relative border-l-2 border-indigo-200 ml-2 space-y-6">
+                          {storyTimeline.map(entry => (
+                            <li key={entry.articleId} className="ml-6">
+                              <span className="absolute -left-2 w-4 h-4 bg-indigo-500 rounded-full border-2 border-white" />
+                              <p className="text-xs text-gray-500 mb-1">
+                                {new Date(entry.blockTimestamp).toLocaleString()} · Block #{entry.blockIndex}
+                                {entry.domain && ` · ${entry.domain}`}
+                              </p>
+                              <button
+                                onClick={() => {
+                                  const article = articles.find(a => a.id === entry.articleId);
+                                  if (article) selectArticle(article);
+                                }}
+                                className="text-left font-semibold text-gray-800 hover:text-indigo-600"
+                              >
+                                {entry.title}
+                              </button>
+                              {entry.newKeywords.length > 0 && (
+                                <div className="flex gap-1 flex-wrap mt-1">
+                                  {entry.newKeywords.slice(0, 6).map(keyword => (
+                                    <span key={keyword} className="text-xs bg-purple-50 text-purple-700 px-2 py-0.5 rounded">
+                                      +{keyword}
+                                    </span>
+                                  ))}
+                                </div>
+                              )}
+                            </li>
+                          ))}
+                        </ol>
+                      </div>
+                    ) : (
+                      <div>
+                        <h3 className="text-xl font-semibold text-gray-800 mb-4">
+                          Stories ({stories.length})
+                        </h3>
+                        {stories.length > 0 ? (
+                          <div className="space-y-4">
+                            {stories.map(story => (
+                              <div
+                                key={story.id}
+                                onClick={() => openStory(story)}
+                                className="bg-gray-50 rounded-lg p-5 border-2 border-gray-200 hover:border-indigo-300 transition-all cursor-pointer"
+                              >
+                                <h4 className="text-lg font-semibold text-gray-800">{story.title}</h4>
+                                {story.latestTitle !== story.title && (
+                                  <p className="text-sm text-gray-600 mt-1">Latest: {story.latestTitle}</p>
+                                )}
+                                <div className="flex gap-2 flex-wrap mt-3 text-xs">
+                                  <span className="bg-indigo-100 text-indigo-800 px-2 py-1 rounded-full">
+                                    {story.articleCount} {story.articleCount === 1 ? 'article' : 'articles'}
+                                  </span>
+                                  <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded-full">
+                                    {story.sourceCount} {story.sourceCount === 1 ? 'source' : 'sources'}
+                                  </span>
+                                  <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded-full flex items-center gap-1">
+                                    <Clock className="w-3 h-3" />
+                                    {new Date(story.firstSeen).toLocaleDateString()}
+                                    {story.lastUpdated !== story.firstSeen && ` – ${new Date(story.lastUpdated).toLocaleDateString()}`}
+                                  </span>
+                                  {story.keywords.map(keyword => (
+                                    <span key={keyword} className="bg-purple-50 text-purple-700 px-2 py-1 rounded-full">
+                                      {keyword}
+                                    </span>
+                                  ))}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        ) : (
+                          <div className="text-center py-12 text-gray-500">
+                            <Layers className="w-16 h-16 mx-auto mb-4 text-gray-400" />
+                            <p>No stories yet</p>
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -587,7 +1363,8 @@ const BlockchainNewsApp = () => {
                     </h3>
                     {articles.length > 0 ? (
                       <div className="space-y-4">
-                        {articles.map(article => (
+                        {/* Near duplicates are listed under the first report of their story */}
+                        {articles.filter(article => !article.clusterId || article.clusterId === article.id).map(article => (
                           <div 
                             key={article.id} 
                             onClick={() => selectArticle(article)}
@@ -611,7 +1388,13 @@ const BlockchainNewsApp = () => {
                                   Block #{article.blockHeight}
                                 </span>
                               )}
+                              {article.corrected && (
+                                <span className="bg-orange-100 text-orange-800 px-3 py-1 rounded-full">
+                                  Corrected
+                                </span>
+                              )}
                             </div>
+                            {renderSimilarCoverage(article)}
                             <div className="flex gap-3 flex-wrap">
                               <button
                                 onClick={(e) => {
@@ -692,6 +1475,19 @@ const BlockchainNewsApp = () => {
                 <div className="space-y-4">
                   <div className="bg-white rounded-lg p-4">
                     <h4 className="font-semibold text-gray-800 mb-2 text-lg">{selectedArticle.title}</h4>
+                    {(selectedArticle.byline || selectedArticle.publishedAt) && (
+                      <p className="text-xs text-gray-600 mb-1">
+                        {selectedArticle.byline && `By ${selectedArticle.byline}`}
+                        {selectedArticle.byline && selectedArticle.publishedAt && ' · '}
+                        {selectedArticle.publishedAt && new Date(selectedArticle.publishedAt).toLocaleDateString()}
+                        {selectedArticle.language && ` · ${selectedArticle.language}`}
+                      </p>
+                    )}
+                    {selectedArticle.author && (
+                      <p className="text-xs text-gray-500 mb-2 font-mono" title={selectedArticle.author}>
+                        Signed by {selectedArticle.author.slice(0, 8)}...{selectedArticle.author.slice(-6)}
+                      </p>
+                    )}
                     <div className="flex gap-2 flex-wrap mb-3">
                       <span className="text-xs bg-indigo-100 text-indigo-800 px-2 py-1 rounded">
                         Trust: {calculateTrustScore(selectedArticle)}%
@@ -707,6 +1503,21 @@ const BlockchainNewsApp = () => {
                           Block #{selectedArticle.blockHeight}
                         </span>
                       )}
+                      {selectedArticle.corrected && (
+                        <span className="text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded">
+                          Corrected
+                        </span>
+                      )}
+                      {selectedArticle.revisionCount > 0 && (
+                        <span className="text-xs bg-gray-100 text-gray-800 px-2 py-1 rounded">
+                          Revised {selectedArticle.revisionCount}×
+                        </span>
+                      )}
+                      {(selectedArticle.tags || []).map(tag => (
+                        <span key={tag} className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                          #{tag}
+                        </span>
+                      ))}
                     </div>
                     
                     {/* Vote buttons in analysis */}
@@ -740,8 +1551,104 @@ const BlockchainNewsApp = () => {
                         {selectedArticle.url.startsWith('#') ? 'View Original Content' : 'Read Full Article'} <ExternalLink className="w-4 h-4" />
                       </a>
                     )}
+
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        onClick={() => articleHistory ? setArticleHistory(null) : loadHistory(selectedArticle.id)}
+                        className="flex-1 flex items-center justify-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 text-sm"
+                      >
+                        <History className="w-4 h-4" />
+                        {articleHistory ? 'Hide History' : 'History'}
+                      </button>
+                      {identity?.publicKey === selectedArticle.author && !revision && (
+                        <button
+                          onClick={startRevision}
+                          className="flex-1 flex items-center justify-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 text-sm disabled:opacity-50"
+                          disabled={!walletConnected}
+                        >
+                          <RefreshCw className="w-4 h-4" />
+                          Revise
+                        </button>
+                      )}
+                    </div>
                   </div>
 
+                  {revision && (
+                    <div className="bg-white rounded-lg p-4 space-y-2">
+                      <h5 className="font-semibold text-gray-800">Revise Article</h5>
+                      <input
+                        type="text"
+                        value={revision.title}
+                        onChange={(e) => setRevision({ ...revision, title: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500"
+                      />
+                      <textarea
+                        value={revision.content}
+                        onChange={(e) => setRevision({ ...revision, content: e.target.value })}
+                        rows="6"
+                        className="w-full px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500"
+                      />
+                      <input
+                        type="text"
+                        placeholder="Reason for the change"
+                        value={revision.reason}
+                        onChange={(e) => setRevision({ ...revision, reason: e.target.value })}
+                        maxLength={500}
+                        className="w-full px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500"
+                      />
+                      <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={revision.correction}
+                          onChange={(e) => setRevision({ ...revision, correction: e.target.checked })}
+                        />
+                        This corrects a factual error
+                      </label>
+                      {revisionError && (
+                        <p className="text-xs text-red-600">{revisionError}</p>
+                      )}
+                      <div className="flex gap-2">
+                        <button
+                          onClick={submitRevision}
+                          className="flex-1 px-3 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 text-sm disabled:opacity-50"
+                          disabled={!revision.reason.trim()}
+                        >
+                          Sign & Publish Revision
+                        </button>
+                        <button
+                          onClick={() => setRevision(null)}
+                          className="px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {articleHistory && (
+                    <div className="bg-white rounded-lg p-4">
+                      <h5 className="font-semibold text-gray-800 mb-2 flex items-center gap-2">
+                        <History className="w-4 h-4 text-gray-600" />
+                        Version History
+                      </h5>
+                      <div className="space-y-2">
+                        {articleHistory.map(version => (
+                          <div key={version.id} className="text-xs border-l-2 border-indigo-200 pl-2">
+                            <p className="font-medium text-gray-800">
+                              {version.version === 0 ? 'Original' : `Revision ${version.version}`}
+                              {version.correction && <span className="ml-2 text-orange-700">Correction</span>}
+                              <span className="ml-2 text-gray-500">{new Date(version.timestamp).toLocaleString()}</span>
+                            </p>
+                            {version.reason && <p className="text-gray-700">{version.reason}</p>}
+                            <p className="text-gray-500 font-mono" title={version.blockHash}>
+                              {version.pending ? 'Pending' : `Block #${version.blockIndex} · ${version.blockHash.slice(0, 12)}...`}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {selectedArticle.content && (
                     <div className="bg-white rounded-lg p-4">
                       <h5 className="font-semibold text-gray-800 mb-2 flex items-center gap-2">
@@ -801,27 +1708,66 @@ const BlockchainNewsApp = () => {
                 <MessageCircle className="w-5 h-5" />
                 <span className="font-semibold">AI News Assistant</span>
               </div>
-              <button onClick={() => setIsChatOpen(false)} className="hover:bg-white/20 rounded p-1">
-                <X className="w-5 h-5" />
-              </button>
+              <div className="flex items-center gap-1">
+                <button onClick={startNewChat} className="hover:bg-white/20 rounded p-1" title="New conversation">
+                  <Plus className="w-5 h-5" />
+                </button>
+                <button onClick={toggleChatSessions} className="hover:bg-white/20 rounded p-1" title="Past conversations">
+                  <History className="w-5 h-5" />
+                </button>
+                <button onClick={() => setIsChatOpen(false)} className="hover:bg-white/20 rounded p-1">
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
             </div>
 
             <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-50">
-              {chatMessages.length === 0 ? (
+              {chatSessions ? (
+                chatSessions.length === 0 ? (
+                  <p className="text-center text-sm text-gray-500 mt-8">No past conversations</p>
+                ) : (
+                  chatSessions.map(session => (
+                    <div
+                      key={session.id}
+                      onClick={() => resumeChatSession(session.id)}
+                      className={`flex items-center justify-between gap-2 p-3 rounded-lg border cursor-pointer hover:border-indigo-400 ${
+                        session.id === sessionId ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 bg-white'
+                      }`}
+                    >
+                      <div className="min-w-0">
+                        <div className="text-sm font-medium text-gray-800 truncate">{session.title || 'Untitled'}</div>
+                        <div className="text-xs text-gray-500">
+                          {session.messageCount} messages · {new Date(session.updatedAt).toLocaleString()}
+                        </div>
+                      </div>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          deleteChatSession(session.id);
+                        }}
+                        className="text-gray-400 hover:text-red-600 p-1"
+                        title="Delete conversation"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))
+                )
+              ) : chatMessages.length === 0 ? (
                 <div className="text-center text-gray-500 mt-8">
                   <Sparkles className="w-12 h-12 mx-auto mb-3 text-indigo-400" />
                   <p className="text-sm">Ask me anything about the news!</p>
                   <p className="text-xs mt-2 text-gray-400">Powered by Groq LLaMA 3.1</p>
                 </div>
               ) : (
-                chatMessages.map((msg, idx) => (
+                chatMessages.filter(msg => msg.content).map((msg, idx) => (
                   <div key={idx} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
                     <div className={`max-w-[80%] rounded-lg p-3 ${
                       msg.role === 'user' 
                         ? 'bg-indigo-600 text-white' 
                         : 'bg-white border border-gray-200 text-gray-800'
                     }`}>
-                      <p className="text-sm whitespace-pre-line">{msg.content}</p>
+                      <p className="text-sm whitespace-pre-line">{renderWithCitations(msg)}</p>
                       {msg.articles && msg.articles.length > 0 && (
                         <div className="mt-2 space-y-1">
                           {msg.articles.map(article => (
@@ -840,7 +1786,7 @@ const BlockchainNewsApp = () => {
                   </div>
                 ))
               )}
-              {isChatLoading && (
+              {isChatLoading && !chatMessages.some(msg => msg.streaming && msg.content) && (
                 <div className="flex justify-start">
                   <div className="bg-white border border-gray-200 rounded-lg p-3">
                     <Sparkles className="w-5 h-5 text-indigo-600 animate-spin" />
@@ -861,13 +1807,23 @@ const BlockchainNewsApp = () => {
                   className="flex-1 px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
                   disabled={isChatLoading}
                 />
-                <button
-                  onClick={sendChatMessage}
-                  disabled={isChatLoading || !chatInput.trim()}
-                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-all disabled:opacity-50"
-                >
-                  <Send className="w-4 h-4" />
-                </button>
+                {isChatLoading ? (
+                  <button
+                    onClick={stopChatMessage}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-all"
+                    title="Stop generating"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={sendChatMessage}
+                    disabled={!chatInput.trim()}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-all disabled:opacity-50"
+                  >
+                    <Send className="w-4 h-4" />
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -0,0 +1,110 @@
+// identity.js - Client-side Ed25519 keypair and signing helpers
+import nacl from 'tweetnacl';
+
+const STORAGE_KEY = 'decentranews_identity';
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+
+// Must match canonicalize() in backend/identity.js byte for byte
+export const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return '{' + keys.map(key => JSON.stringify(key) + ':' + canonicalize(value[key])).join(',') + '}';
+};
+
+export const buildArticlePayload = (article) => ({
+  type: 'ARTICLE',
+  title: article.title,
+  url: article.url || `#article_${article.timestamp}`,
+  content: article.content || '',
+  timestamp: article.timestamp,
+  author: article.author,
+  tags: article.tags,
+  byline: article.byline,
+  publishedAt: article.publishedAt,
+  language: article.language
+});
+
+// "Markets, crypto ,markets" -> ['markets', 'crypto']; undefined when empty so
+// untagged articles sign exactly as before
+export const parseTags = (text) => {
+  const tags = Array.from(new Set(
+    (text || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+  ));
+  return tags.length > 0 ? tags : undefined;
+};
+
+export const buildVotePayload = (vote) => ({
+  type: 'VOTE',
+  articleId: vote.articleId,
+  voteType: vote.voteType,
+  timestamp: vote.timestamp,
+  voter: vote.voter
+});
+
+// `previousId` is the version being revised: the article id, or the id of
+// its latest revision
+export const buildRevisionPayload = (revision) => ({
+  type: 'ARTICLE_REVISION',
+  articleId: revision.articleId,
+  previousId: revision.previousId,
+  title: revision.title,
+  diff: revision.diff,
+  reason: revision.reason,
+  correction: revision.correction,
+  timestamp: revision.timestamp,
+  author: revision.author
+});
+
+// Must match computeDiff() in backend/revisions.js: one splice between the
+// common prefix and suffix, or [] when nothing changed
+export const computeDiff = (previous, next) => {
+  if (previous === next) return [];
+
+  let start = 0;
+  while (start < previous.length && start < next.length && previous[start] === next[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < previous.length - start && end < next.length - start &&
+    previous[previous.length - 1 - end] === next[next.length - 1 - end]) {
+    end++;
+  }
+
+  return [{
+    start,
+    deleteCount: previous.length - start - end,
+    insert: next.substring(start, next.length - end)
+  }];
+};
+
+// Load the keypair from localStorage, generating one on first use
+export const loadOrCreateIdentity = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (stored) {
+    try {
+      const { secretKey } = JSON.parse(stored);
+      const keyPair = nacl.sign.keyPair.fromSecretKey(fromHex(secretKey));
+      return { publicKey: toHex(keyPair.publicKey), secretKey };
+    } catch (error) {
+      console.error('Stored identity is corrupt, generating a new one:', error);
+    }
+  }
+
+  const keyPair = nacl.sign.keyPair();
+  const identity = { publicKey: toHex(keyPair.publicKey), secretKey: toHex(keyPair.secretKey) };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(identity));
+  return identity;
+};
+
+export const signPayload = (payload, identity) => {
+  const message = new TextEncoder().encode(canonicalize(payload));
+  return toHex(nacl.sign.detached(message, fromHex(identity.secretKey)));
+};